@@ -0,0 +1,116 @@
+/*
+  MQTT CLI Trainer — lesson content schema (plain JS, no React)
+
+  The sidebar and the lesson panels are generated from a JSON document, so a site can swap in its
+  own topics, addresses and coach narration without touching the page. lessons/default.json is the
+  built-in course; an imported file replaces it until the learner goes back to the defaults.
+
+  { "version": 1, "title": "...", "sections": [section, ...] }
+
+  section   { id, label, icon, title, context?, blocks: [block, ...] }   a lesson page
+            { id, label, icon, panel }                                    a built-in page (PANELS)
+            `context` is the terminal brought to the front on this page ("mqtt" by default)
+  block     { type: "prose", text }            paragraph; **bold** and `code` are marked up
+            { type: "heading", text }          sub-heading
+            { type: "tiles", tiles: [{ title, text }, ...] }
+            { type: "action", title, text?, cmd, expect?, coach? }   a single highlighted command
+            { type: "card", label, cmd, explain?, expect?, session?, context?, coach? }
+            { type: "widget", name }           a live view (WIDGETS)
+  `coach` is the list of steps the coach narrates after the command is sent; `session` sends the
+  card to that named terminal (opened with `context` if missing) instead of the active one.
+*/
+
+export const LESSONS_VERSION = 1;
+export const ICONS = ["overview", "config", "send", "receive", "nodered", "plc", "packets", "logs", "tests"];
+export const PANELS = ["plc", "packets", "logs", "tests"];
+export const WIDGETS = ["nodered-debug"];
+const CONTEXTS = ["mqtt", "nodered"];
+
+const BLOCK_FIELDS = {
+  prose: { required: ["text"], optional: [] },
+  heading: { required: ["text"], optional: [] },
+  tiles: { required: ["tiles"], optional: [] },
+  action: { required: ["title", "cmd"], optional: ["text", "expect", "coach"] },
+  card: { required: ["label", "cmd"], optional: ["explain", "expect", "session", "context", "coach"] },
+  widget: { required: ["name"], optional: [] },
+};
+
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+const list = (values) => values.map((v) => `"${v}"`).join(", ");
+
+// Every problem in the document as "<path>: <message>"; an empty list means it can be used as is
+export function validateLessons(data) {
+  const errors = [];
+  const fail = (path, msg) => { errors.push(`${path}: ${msg}`); };
+  const text = (obj, key, path, required) => {
+    if (obj[key] === undefined) { if (required) fail(path, `missing "${key}"`); return; }
+    if (!isText(obj[key])) fail(path, `"${key}" must be a non-empty string`);
+  };
+  const oneOf = (obj, key, allowed, path) => {
+    if (obj[key] !== undefined && !allowed.includes(obj[key])) fail(path, `"${key}" must be one of ${list(allowed)}, got ${JSON.stringify(obj[key])}`);
+  };
+  const known = (obj, fields, path, what) => {
+    for (const key of Object.keys(obj)) if (!fields.includes(key)) fail(path, `unknown field "${key}" (${what} fields: ${fields.join(", ")})`);
+  };
+  const plain = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+  if (!plain(data)) return ["lessons: expected a JSON object with \"version\" and \"sections\""];
+  if (data.version !== LESSONS_VERSION) fail("version", `must be ${LESSONS_VERSION}, got ${JSON.stringify(data.version)}`);
+  known(data, ["version", "title", "sections"], "lessons", "top-level");
+  text(data, "title", "lessons", false);
+  if (!Array.isArray(data.sections) || data.sections.length === 0) { fail("sections", "must be a non-empty list"); return errors; }
+
+  const ids = new Set();
+  data.sections.forEach((s, i) => {
+    let path = `sections[${i}]`;
+    if (!plain(s)) { fail(path, "must be an object"); return; }
+    if (isText(s.id)) path += ` ("${s.id}")`;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(s.id ?? "")) fail(path, `"id" must be lowercase letters, digits and dashes, got ${JSON.stringify(s.id)}`);
+    else if (ids.has(s.id)) fail(path, `duplicate section id "${s.id}"`);
+    ids.add(s.id);
+    text(s, "label", path, true);
+    text(s, "icon", path, false); oneOf(s, "icon", ICONS, path);
+
+    if (s.panel !== undefined) {
+      known(s, ["id", "label", "icon", "panel"], path, "built-in section");
+      oneOf(s, "panel", PANELS, path);
+      return;
+    }
+    known(s, ["id", "label", "icon", "title", "context", "blocks"], path, "section");
+    text(s, "title", path, true);
+    oneOf(s, "context", CONTEXTS, path);
+    if (!Array.isArray(s.blocks) || s.blocks.length === 0) { fail(path, `needs a non-empty "blocks" list (or a "panel": ${list(PANELS)})`); return; }
+
+    s.blocks.forEach((b, j) => {
+      const at = `${path}.blocks[${j}]`;
+      if (!plain(b)) { fail(at, "must be an object"); return; }
+      const fields = BLOCK_FIELDS[b.type];
+      if (!fields) { fail(at, `"type" must be one of ${list(Object.keys(BLOCK_FIELDS))}, got ${JSON.stringify(b.type)}`); return; }
+      known(b, ["type", ...fields.required, ...fields.optional], at, b.type);
+      if (b.type === "tiles") {
+        if (!Array.isArray(b.tiles) || b.tiles.length === 0) fail(at, `"tiles" must be a non-empty list`);
+        else b.tiles.forEach((t, k) => {
+          if (!plain(t)) { fail(`${at}.tiles[${k}]`, "must be an object"); return; }
+          text(t, "title", `${at}.tiles[${k}]`, true); text(t, "text", `${at}.tiles[${k}]`, true);
+        });
+        return;
+      }
+      fields.required.forEach((key) => text(b, key, at, true));
+      fields.optional.filter((key) => key !== "coach" && key !== "context").forEach((key) => text(b, key, at, false));
+      if (b.type === "widget") oneOf(b, "name", WIDGETS, at);
+      if (b.type === "card") oneOf(b, "context", CONTEXTS, at);
+      if (b.session !== undefined && !/^[A-Za-z0-9._-]+$/.test(b.session)) fail(at, `"session" must be a terminal name (letters, digits, . _ -), got ${JSON.stringify(b.session)}`);
+      if (b.coach !== undefined && !(Array.isArray(b.coach) && b.coach.every(isText))) fail(at, `"coach" must be a list of non-empty strings`);
+    });
+  });
+  return errors;
+}
+
+// Text of a lessons file -> the document, or throws with every problem found (one per line)
+export function parseLessons(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error(`not valid JSON (${e.message})`); }
+  const errors = validateLessons(data);
+  if (errors.length) throw new Error(`${errors.length} problem${errors.length > 1 ? "s" : ""} in the lessons file:\n${errors.join("\n")}`);
+  return data;
+}
@@ -1,261 +1,727 @@
-import React, { useEffect, useRef, useState, useImperativeHandle, forwardRef } from "react";
+import React, { createContext, useContext, useEffect, useLayoutEffect, useRef, useState, useImperativeHandle, forwardRef } from "react";
+import { runSelfTests } from "./selftest.js";
+import { parseLessons, validateLessons } from "./lessons.js";
+import defaultLessons from "./lessons/default.json";
+import { createSimulator, SCROLLBACK_LINES, validTopicFilter, validTopicName, journalLine, PRIORITIES, formatStamp, formatTime, PLC_SPACES, plcAddress, plcText, CHALLENGES, HINT_COST, EXTRA_COMMAND_COST } from "./simulator.js";
 
 /*
   MQTT CLI Trainer — Page 1 (Bottom Dock Terminal + Test Mode)
 
   Key features:
   - "Test my knowledge" mode: hides guidance, disables Send buttons, Coach off; terminal still works.
-  - Bottom‑docked single terminal with color‑coded context (MQTT = green, Node‑RED = red).
+  - Bottom‑docked terminals (tabs or split panes) with color‑coded context (MQTT = green, Node‑RED = red).
   - Auto‑swap terminal context when selecting the Node‑RED page.
-  - Only MQTT & Node‑RED commands (no PLC prompt).
+  - Menu, lesson panels, command cards and coach steps come from ./lessons/default.json (schema in
+    ./lessons.js); a site can import its own lessons file.
+  - Only MQTT & Node‑RED commands (no PLC prompt); a simulated CLICK PLC sits on the broker.
+  - The broker, Node‑RED, PLC and shells live in ./simulator.js; this page only renders them.
+  - Optional live broker: MQTT terminals and the log views can use a real broker over WebSocket (./mqttws.js).
+  - Packets page: a sequence diagram of the simulated broker's traffic.
+  - Terminals and logs render only the rows in view and redraw at most once a frame, so a
+    `mosquitto_pub --repeat` load test at 1k msg/s stays usable; scrollback is capped per terminal.
+  - "Pull cable" on a terminal or the PLC: the broker times the clients out and publishes their wills.
 */
 
-// --- Topic filter match (supports + and #) ---
-function matchTopic(filter, topic) {
-  if (filter === "#" || filter === "+/#") return true; // catch-all
-  const f = filter.split("/");
-  const t = topic.split("/");
-  for (let i = 0; i < f.length; i++) {
-    const part = f[i];
-    if (part === "#") return true; // multi-level wildcard matches rest
-    if (t[i] == null) return false; // topic shorter than filter
-    if (part !== "+" && part !== t[i]) return false;
-  }
-  return t.length === f.length; // exact length unless '#' consumed rest
-}
+// The page's simulator (one per Page, so two pages never share a bus)
+const Simulator = createContext(null);
 
-// Simulated broker bus — simple pub/sub inside the page
-const listeners = new Set();
-function brokerPublish({ topic, payload, retained = false }) {
-  const now = new Date();
-  for (const fn of listeners) fn({ topic, payload, retained, ts: now });
+// --- Learner session: autosaved to localStorage, exported / imported as JSON, transcript as Markdown ---
+const SESSION_KEY = "mqtt-cli-trainer:session";
+const SESSION_VERSION = 2;
+const SESSION_MAX_LINES = 1000;
+const session = { disabled: false }; // set while resetting so the unload save does not write it back
+
+// Simulator state; the page adds its `ui`, `terminal`, `coach`, `lessons` (null: the defaults) and
+// `live` (the live broker settings without the password) parts
+function sessionCapture(sim) {
+  const data = sim.capture();
+  return { ...data, journal: data.journal.slice(-SESSION_MAX_LINES) };
+}
+function sessionSave(sim, page) {
+  if (session.disabled || typeof localStorage === "undefined") return;
+  try { localStorage.setItem(SESSION_KEY, JSON.stringify({ version: SESSION_VERSION, savedAt: new Date(), ...sessionCapture(sim), ...page })); }
+  catch { /* storage full or blocked: keep running without autosave */ }
+}
+// Version 1 saves had a single terminal; it becomes the first MQTT session
+function sessionUpgrade(data) {
+  if (data?.version !== 1) return data;
+  return { ...data, version: 2, terminal: { sessions: [{ ...termSession([], "mqtt"), lines: data.terminal.lines }], active: "mqtt", layout: "tabs" } };
+}
+// Returns the saved session (already restored into `sim`) or null
+function sessionLoad(sim) {
+  if (typeof localStorage === "undefined") return null;
+  try {
+    const data = sessionUpgrade(JSON.parse(localStorage.getItem(SESSION_KEY)));
+    if (data?.version !== SESSION_VERSION) return null;
+    sim.restore(data);
+    return data;
+  } catch { return null; }
+}
+// Lessons saved with a session are checked again: a stale or hand-edited copy falls back to the defaults
+function sessionLessons(data) {
+  return data && validateLessons(data).length === 0 ? data : defaultLessons;
 }
-function brokerListen(fn) {
-  listeners.add(fn);
-  return () => listeners.delete(fn);
+function sessionReset() {
+  session.disabled = true;
+  localStorage.removeItem(SESSION_KEY);
+  window.location.reload();
 }
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a"); a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+// Readable record for the onboarding checklist; `labels` maps panel ids to menu names
+function sessionTranscript(data, labels) {
+  const cards = Object.entries(data.ui.cards).filter(([, cmds]) => cmds.length);
+  const out = [
+    "# MQTT CLI Trainer — session transcript", "",
+    `Exported ${formatStamp(new Date())}. Panels visited: ${data.ui.visited.map((v) => labels[v] || v).join(", ")}.`, "",
+    "## Command cards sent", "",
+    ...(cards.length ? cards.flatMap(([view, cmds]) => [`### ${labels[view] || view}`, "", ...cmds.map((c) => `- \`${c}\``), ""]) : ["None yet.", ""]),
+    "## Test Mode challenges", "",
+  ];
+  if (data.challenges.length) {
+    out.push("| Challenge | Result | Time (s) | Commands | Hints | Score |", "| --- | --- | --- | --- | --- | --- |");
+    data.challenges.forEach((r) => out.push(`| ${CHALLENGES.find((c) => c.id === r.id)?.title ?? r.id} | ${r.status} | ${r.seconds} | ${r.commands} | ${r.hints} | ${r.score} |`));
+    out.push("");
+  } else out.push("None attempted.", "");
+  data.terminal.sessions.forEach((t) => out.push(`## Terminal ${t.id} (${TERM_CONTEXTS[t.context]})`, "", "```text", ...t.lines, "```", ""));
+  out.push("## Coach notes", "");
+  out.push(...(data.coach.notes.length ? data.coach.notes.map((n) => `- ${n}`) : ["None."]), "");
+  return out.join("\n");
+}
+
+// --- Rendering at message rates: listeners only mark a component stale and it re-renders once per
+// animation frame, however many messages arrived in between ---
+const nextFrame = (fn) => (typeof requestAnimationFrame === "function" ? requestAnimationFrame(fn) : setTimeout(fn, 16));
+const cancelFrame = (id) => (typeof cancelAnimationFrame === "function" ? cancelAnimationFrame(id) : clearTimeout(id));
 
-// Pre-canned responder for mosquitto_rr
-function simulateResponder({ reqTopic, resTopic, payload }) {
-  let reply = "ACK";
-  const p = String(payload || "").trim().toLowerCase();
-  if (p === "get" || p === "status") reply = "RUN";
-  else if (p === "stop") reply = "OK";
-  else if (p === "start") reply = "OK";
-  else if (p) reply = `ACK:${payload}`;
-  setTimeout(() => { brokerPublish({ topic: resTopic, payload: reply }); }, 600);
+// `subscribe(tick)` registers tick with one or more simulator listeners and returns their unsubscribe
+// functions. Returns a function that re-renders right away (for controlled inputs).
+function useFrameTick(subscribe, deps) {
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    let frame = null;
+    const tick = () => { if (frame == null) frame = nextFrame(() => { frame = null; setTick((n) => n + 1); }); };
+    const offs = [].concat(subscribe(tick));
+    return () => { cancelFrame(frame); offs.forEach((off) => off?.()); };
+  }, deps);
+  return () => setTick((n) => n + 1);
 }
 
-// Mock systemctl status output
-function systemctlStatus() {
-  return [
-    "● mosquitto.service - Mosquitto MQTT v2.x broker",
-    "     Loaded: loaded (/lib/systemd/system/mosquitto.service; enabled; vendor preset: enabled)",
-    "     Active: active (running) since Wed 2025-08-13 10:15:22 EDT; 1 day ago",
-    "   Main PID: 742 (mosquitto)",
-    "      Tasks: 1 (limit: 19040)",
-    "     Memory: 3.6M",
-    "        CPU: 12ms",
-    "     CGroup: /system.slice/mosquitto.service",
-    "             └─742 /usr/sbin/mosquitto -c /etc/mosquitto/mosquitto.conf",
-    "",
-    "Aug 14 20:05:01 host mosquitto[742]: mosquitto version 2.0.x running",
-    "Aug 14 20:05:01 host mosquitto[742]: Opening ipv4 listen socket on port 1883.",
-  ].join("\n");
+// The journal, or the live broker's log while live mode is on
+function useLogEntries(sim) {
+  useFrameTick((tick) => [sim.journalListen(tick), sim.liveListen(tick), sim.liveLogListen(tick)], [sim]);
+  return sim.live.enabled ? sim.live.log : sim.journal.entries;
 }
 
-function initialLogs() {
-  return [
-    "Aug 14 20:05:01 host mosquitto[742]: mosquitto version 2.0.x starting",
-    "Aug 14 20:05:01 host mosquitto[742]: Config loaded from /etc/mosquitto/mosquitto.conf",
-    "Aug 14 20:05:01 host mosquitto[742]: Opening ipv4 listen socket on port 1883.",
-    "Aug 14 20:05:01 host mosquitto[742]: New connection from 127.0.0.1:52344",
-  ];
+// Re-renders on live broker state changes (and with `withLog`, on new live log lines); returns sim.live
+function useLiveBroker(sim, withLog = false) {
+  useFrameTick((tick) => [sim.liveListen(tick), withLog ? sim.liveLogListen(tick) : null], [sim]);
+  return sim.live;
 }
 
-function formatTime(ts = new Date()) {
-  const mon = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][ts.getMonth()];
-  const dd = String(ts.getDate()).padStart(2, "0");
-  const hh = String(ts.getHours()).padStart(2, "0");
-  const mm = String(ts.getMinutes()).padStart(2, "0");
-  const ss = String(ts.getSeconds()).padStart(2, "0");
-  return `${mon} ${dd} ${hh}:${mm}:${ss}`;
+// Scrolling list that only renders the rows in view (terminals, log views). Rows are `rowHeight` px,
+// an entry with "\n" takes several, and long lines scroll sideways instead of wrapping. While the
+// reader is at the bottom it follows new lines, like a terminal.
+function VirtualLines({ lines, rowHeight, className, lineClass }) {
+  const ref = useRef(null);
+  const [view, setView] = useState({ top: 0, height: 0 });
+  const atBottom = useRef(true);
+  const starts = [0]; // first row of each entry, then the row count
+  for (const l of lines) { let rows = 1; for (let i = l.indexOf("\n"); i >= 0; i = l.indexOf("\n", i + 1)) rows++; starts.push(starts[starts.length - 1] + rows); }
+  const rows = starts[lines.length];
+  const height = view.height || 800; // before layout: a screenful
+  const top = atBottom.current ? Math.max(0, rows * rowHeight - height) : view.top;
+  // Entries from the one holding the first visible row (binary search) to the last, plus a few rows either side
+  const firstRow = Math.max(0, Math.floor(top / rowHeight) - 10); const lastRow = Math.ceil((top + height) / rowHeight) + 10;
+  let lo = 0, hi = lines.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (starts[mid + 1] <= firstRow) lo = mid + 1; else hi = mid; }
+  let end = lo; while (end < lines.length && starts[end] < lastRow) end++;
+
+  useLayoutEffect(() => {
+    const el = ref.current;
+    if (atBottom.current) el.scrollTop = el.scrollHeight;
+    if (el.clientHeight !== view.height) setView({ top: el.scrollTop, height: el.clientHeight });
+  });
+  function onScroll() {
+    const el = ref.current;
+    atBottom.current = el.scrollTop + el.clientHeight >= el.scrollHeight - rowHeight;
+    setView({ top: el.scrollTop, height: el.clientHeight });
+  }
+  return (
+    <div ref={ref} onScroll={onScroll} className={className}>
+      <div style={{ height: starts[lo] * rowHeight }}/>
+      {lines.slice(lo, end).map((l, i) => (
+        <div key={lo + i} className={`whitespace-pre ${lineClass?.(lo + i) ?? ""}`} style={{ height: (starts[lo + i + 1] - starts[lo + i]) * rowHeight, lineHeight: `${rowHeight}px` }}>{l}</div>
+      ))}
+      <div style={{ height: (rows - starts[end]) * rowHeight }}/>
+    </div>
+  );
 }
 
-function useJournalFollow() {
-  const [lines, setLines] = useState(initialLogs());
-  useEffect(() => {
-    const off = brokerListen(({ topic, payload, ts }) => {
-      setLines((prev) => [
-        ...prev,
-        `${formatTime(ts)} host mosquitto[742]: Received PUBLISH on ${topic} (q0, r0, m0, '${payload}')`,
-      ]);
-    });
-    return off;
-  }, []);
-  return [lines, setLines];
+// Terminal header / live broker bar badge for each connection state
+const LINK_STATES = {
+  connecting: { label: "connecting…", dot: "bg-amber-400", pill: "bg-amber-50 text-amber-700" },
+  connected: { label: "connected", pill: "bg-emerald-50 text-emerald-700" },
+  disconnected: { label: "disconnected", dot: "bg-gray-500", pill: "bg-red-50 text-red-600" },
+  stopped: { label: "broker stopped", dot: "bg-gray-500" },
+  idle: { label: "no client connected", dot: "bg-gray-500" },
+  unplugged: { label: "cable pulled", dot: "bg-red-500" },
+};
+
+// --- Terminal sessions: each tab / pane renders one simulator shell with its own scrollback, jobs and MQTT client id ---
+const TERM_CONTEXTS = { mqtt: "MQTT CLI", nodered: "Node‑RED shell" };
+const SCROLLBACK_CHOICES = [1000, 5000, 20000];
+// A new session called `name`, or mqtt / node-red (then -2, -3 ...) whichever is not taken in `sessions`
+function termSession(sessions, context, name) {
+  const base = context === "nodered" ? "node-red" : "mqtt";
+  let id = name || base;
+  for (let n = 2; !name && sessions.some((t) => t.id === id); n++) id = `${base}-${n}`;
+  return { id, context, clientId: id };
 }
 
-// Terminal component (single, color‑coded)
-const Terminal = forwardRef(function Terminal({ title, bindToPublishes, heightClass = "h-72 md:h-96", testMode = false, context = "mqtt" }, ref) {
+// Terminal component (color‑coded by context): shows a shell's output and passes it the keyboard
+function Terminal({ shell, title, heightClass = "h-72 md:h-96", context = "mqtt" }) {
+  const sim = useContext(Simulator);
   const [input, setInput] = useState("");
-  const [lines, setLines] = useState([]);
-  const [subs, setSubs] = useState([]); // {filter, verbose, countMax}
-  const scrollRef = useRef(null);
+  const render = useFrameTick((tick) => [shell.listen(tick), sim.brokerOnState(tick), sim.wireListen(tick), sim.brokerOnCable(tick)], [shell, sim]);
+  const live = useLiveBroker(sim);
+  const { lines, editor, prompt } = shell; const fg = shell.jobs.fg;
+  // MQTT shells follow the live broker while it is on; Node-RED always talks to the simulated one.
+  // On the simulator the dot shows whether any client this session started is connected.
+  const onLive = live.enabled && context === "mqtt";
+  const unplugged = sim.broker.unplugged.has(shell.id);
+  const simLink = sim.broker.service.state !== "active" ? "stopped" : unplugged ? "unplugged" : [...sim.broker.clients].some((c) => c.lane === shell.id) ? "connected" : "idle";
+  const link = LINK_STATES[onLive ? live.state : simLink];
 
   // Theme by context (MQTT = green, Node-RED = red)
   const theme = context === 'nodered'
     ? { border: 'border-red-500/30', bg: 'bg-[#1a0000]', headerBg: 'bg-[#2b0000]', text: 'text-red-200', accent: 'text-red-300', dot: 'bg-red-500', inputBorder: 'border-red-500/40', placeholder: 'placeholder:text-red-400', ring: 'focus:ring-red-500/40', btn: 'bg-red-600' }
     : { border: 'border-emerald-500/30', bg: 'bg-black', headerBg: 'bg-[#001a12]', text: 'text-emerald-300', accent: 'text-emerald-400', dot: 'bg-emerald-500', inputBorder: 'border-emerald-500/40', placeholder: 'placeholder:text-emerald-600', ring: 'focus:ring-emerald-500/40', btn: 'bg-emerald-600' };
 
-  useEffect(() => {
-    if (!bindToPublishes) return;
-    const off = brokerListen(({ topic, payload }) => {
-      const matched = subs.filter((s) => matchTopic(s.filter, topic));
-      if (matched.length === 0) return;
-      matched.forEach((s) => {
-        const line = s.verbose ? `${topic} ${payload}` : `${payload}`;
-        setLines((prev) => [...prev, line]);
-        if (s.countMax != null) {
-          const newCount = (s.count || 0) + 1; s.count = newCount;
-          if (newCount >= s.countMax) {
-            setSubs((cur) => cur.filter((x) => x !== s));
-            setLines((prev) => [...prev, "(subscription exited: -C reached)"]); 
-          }
-        }
-      });
-    });
-    return off;
-  }, [subs, bindToPublishes]);
-
-  useEffect(() => { scrollRef.current?.scrollTo(0, scrollRef.current.scrollHeight); }, [lines]);
-
-  function println(text = "") { setLines((prev) => [...prev, text]); }
-
-  function simulateNodeRed(cmd) {
-    if (/^node-red(\s+--port\s+\d+)?\s*$/i.test(cmd)) {
-      println("Welcome to Node-RED");
-      println("[info] Node-RED version x.y.z");
-      println("[info] Server now running at http://127.0.0.1:1880/");
-      println("[info] Flows file : flows.json");
-      return true;
-    }
-    // Safer boolean variables to avoid parentheses mistakes
-    const isNpmInstall = /npm\s+install\s+-g.*node-red/i.test(cmd);
-    const isCurlInstall = /bash\s+<\(curl.*node-red/i.test(cmd);
-    if (isNpmInstall || isCurlInstall) {
-      println("added 200 packages, and audited 200 packages in 5s");
-      println("Node-RED installed globally. You can start it with 'node-red'.");
-      return true;
+  function interrupt() { shell.interrupt(input); setInput(""); }
+  function submit() { const v = input; setInput(""); shell.submit(v); }
+  function onKey(e) {
+    const key = e.key.toLowerCase();
+    // Ctrl+C with a selection stays "copy"
+    if (e.ctrlKey && key === "c" && e.target.selectionStart === e.target.selectionEnd) { e.preventDefault(); interrupt(); }
+    else if (e.ctrlKey && key === "d") { e.preventDefault(); shell.endOfInput(input); }
+    else if (e.key === "Enter") submit();
+    else if (shell.busy()) return;
+    else if (e.key === "Tab") { e.preventDefault(); setInput(shell.complete(input)); }
+    else if (e.key === "ArrowUp" || e.key === "ArrowDown") { e.preventDefault(); setInput(shell.browseHistory(e.key === "ArrowUp" ? -1 : 1, input)); }
+  }
+  function editorKey(e) {
+    const key = e.key.toLowerCase();
+    if (editor.confirmExit) {
+      if (key === "y" || key === "n") { e.preventDefault(); shell.editorExit(key === "y"); }
+      else if (e.ctrlKey && key === "c") { e.preventDefault(); shell.editorCancel(); }
+      return;
     }
-    if (/^node\s+-v\s*$/i.test(cmd)) { println("v18.x.x"); return true; }
-    return false;
+    if (e.ctrlKey && key === "o") { e.preventDefault(); shell.editorSave(); }
+    if (e.ctrlKey && key === "x") { e.preventDefault(); shell.editorExit(); }
   }
 
-  function handleCommand(raw) {
-    const cmd = raw.trim(); if (!cmd) return; println(`$ ${cmd}`);
+  return (
+    <div className={`rounded-xl border ${theme.border} ${theme.bg} overflow-hidden`}>
+      <div className={`flex items-center justify-between px-3 py-2 border-b ${theme.border} ${theme.headerBg}`}>
+        <div className={`text-[11px] font-semibold ${theme.text}`}>{title} <span className="font-normal opacity-70">· client id {onLive ? live.settings.clientId : shell.clientId}-&lt;pid&gt;</span></div>
+        <div className={`flex items-center gap-2 ${theme.accent}`}>
+          {!onLive && context === "mqtt" && <button onClick={()=>sim.brokerCable(shell.id, unplugged)} title={unplugged ? "Reconnect this session's network" : "Cut this session's network: the broker notices when each client's keepalive runs out, then publishes its will"} className={`px-1.5 rounded border ${theme.inputBorder} text-[10px]`}>{unplugged ? "Plug in" : "Pull cable"}</button>}
+          <div className="flex items-center gap-1" title={onLive ? live.error ?? live.settings.url : "Simulated broker"}><span className={`w-2 h-2 rounded-full ${link.dot ?? theme.dot}`}/><span className="text-[10px]">{onLive ? `live · ${link.label}` : link.label}</span></div>
+        </div>
+      </div>
+      {editor ? (
+        <div className={`${heightClass} flex flex-col font-mono text-[12px] ${theme.bg} ${theme.text}`}>
+          <div className="flex justify-between px-3 py-1 bg-gray-200 text-black"><span>GNU nano 6.2</span><span>{editor.path}</span><span>{editor.dirty ? "Modified" : ""}</span></div>
+          <textarea autoFocus value={editor.text} onChange={(e)=>{ shell.editorChange(e.target.value); render(); }} onKeyDown={editorKey} spellCheck={false} className={`flex-1 resize-none p-3 ${theme.bg} ${theme.text} focus:outline-none`}/>
+          <div className="px-3 py-1 text-center">{editor.status}</div>
+          <div className={`flex gap-4 px-3 py-2 border-t ${theme.border} ${theme.headerBg} text-[11px]`}>
+            {editor.confirmExit ? (
+              <>
+                <button onClick={()=>shell.editorExit(true)}><span className="bg-gray-200 text-black px-1">Y</span> Yes</button>
+                <button onClick={()=>shell.editorExit(false)}><span className="bg-gray-200 text-black px-1">N</span> No</button>
+                <button onClick={shell.editorCancel}><span className="bg-gray-200 text-black px-1">^C</span> Cancel</button>
+              </>
+            ) : (
+              <>
+                <button onClick={shell.editorSave}><span className="bg-gray-200 text-black px-1">^O</span> Write Out</button>
+                <button onClick={()=>shell.editorExit()}><span className="bg-gray-200 text-black px-1">^X</span> Exit</button>
+              </>
+            )}
+          </div>
+        </div>
+      ) : (
+        <>
+          {lines.length === 0 ? (
+            <div className={`${heightClass} font-mono text-[12px] ${theme.bg} p-3 ${context==='nodered'?'text-red-300':'text-emerald-600'}`}>Type <span className={`${context==='nodered'?'text-red-200':'text-emerald-400'}`}>help</span> or run a command.</div>
+          ) : (
+            <VirtualLines lines={lines} rowHeight={18} className={`${heightClass} overflow-auto font-mono text-[12px] ${theme.bg} ${theme.text} p-3`}/>
+          )}
+          <div className={`flex items-center gap-2 px-3 py-2 border-t ${theme.border} ${theme.headerBg}`}>
+            <span className={`font-mono text-[10px] ${context==='nodered'?'text-red-400':'text-emerald-500'}`}>{prompt ? prompt.label : fg ? "" : "$"}</span>
+            <input type={prompt?.secret ? "password" : "text"} value={input} onChange={(e)=>setInput(e.target.value)} onKeyDown={onKey} placeholder={fg ? `${fg.cmd.split(" ")[0]} ${fg.reading ? "reads what you type — Ctrl+D to end input" : "is running — Ctrl+C to stop it"}` : context === 'nodered' ? "Type a Node‑RED command (e.g., node-red) and press Enter" : "Type an MQTT command (e.g., mosquitto_pub ...) and press Enter"} className={`flex-1 ${theme.bg} ${theme.text} ${theme.placeholder} rounded border ${theme.inputBorder} px-2 py-1 text-xs focus:outline-none focus:ring-2 ${theme.ring}`}/>
+            {fg && <button onClick={interrupt} title="Send Ctrl+C to the running command" className={`px-2 py-1 text-[11px] rounded border ${theme.inputBorder} ${theme.text}`}>^C</button>}
+            <button onClick={submit} className={`px-2 py-1 text-[11px] rounded ${theme.btn} text-black font-semibold`}>Run</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-    // Node-RED simulation first (so users can run these without errors)
-    if (simulateNodeRed(cmd)) return;
+// Coach (Play‑by‑Play) panel
+// Notes added within a frame (a busy PLC reports every register write) are shown together; the
+// newest COACH_MAX_NOTES are kept
+const COACH_MAX_NOTES = 200;
+const CoachPanel = forwardRef(function CoachPanel({ initialNotes = [], onNotesChange }, ref) {
+  const [notes, setNotes] = useState(initialNotes);
+  const pending = useRef([]);
+  useEffect(() => { onNotesChange?.(notes); }, [notes]);
+  function add(line) {
+    if (pending.current.push(`${formatTime()} — ${line}`) > 1) return;
+    nextFrame(() => { const added = pending.current; pending.current = []; setNotes((prev) => [...prev, ...added].slice(-COACH_MAX_NOTES)); });
+  }
+  function clear() { setNotes([]); }
+  useImperativeHandle(ref, () => ({ add, clear, get: () => [...notes] }));
+  return (
+    <div className="rounded-xl border border-gray-200 bg-white p-4">
+      <div className="flex items-center justify-between mb-2"><h3 className="text-sm font-semibold">Play‑by‑Play (plain English)</h3><button onClick={clear} className="px-2 py-1 text-[11px] rounded border">Clear</button></div>
+      <ol className="text-[13px] text-gray-800 space-y-2 list-decimal pl-5 max-h-64 overflow-auto">
+        {notes.length === 0 ? (<div className="text-xs text-gray-500">Run a guided command to see step‑by‑step explanations here.</div>) : notes.map((n,i)=>(<li key={i} className="whitespace-pre-wrap">{n}</li>))}
+      </ol>
+    </div>
+  );
+});
 
-    // help & clear
-    if (cmd === "help") {
-      const helpMQTT = testMode ? "Test Mode (MQTT): mosquitto_sub, mosquitto_pub, mosquitto_rr, systemctl status mosquitto, journalctl -u mosquitto -f" : "MQTT: mosquitto_sub, mosquitto_pub, mosquitto_rr, systemctl status mosquitto, journalctl -u mosquitto -f, clear";
-      const helpNR = testMode ? "Test Mode (Node-RED): node-red, node-red --port <n>, npm install -g node-red, node -v" : "Node-RED: node-red, node-red --port <n>, npm install -g --unsafe-perm node-red, node -v, clear";
-      println(context === 'nodered' ? helpNR : helpMQTT); return;
-    }
-    if (cmd === "clear") { setLines([]); return; }
+// Node-RED debug sidebar: output of the flow's debug nodes plus its inject buttons
+function NodeRedDebug({ disabled }) {
+  const { nodeRed, nrListen, nrInject, nrClearDebug } = useContext(Simulator);
+  useFrameTick(nrListen, []);
+  const injects = [...nodeRed.nodes.values()].filter((n) => n.def.type === "inject");
+  const levelClass = { error: "text-red-600", warn: "text-amber-600", debug: "text-gray-500" };
+  return (
+    <div className="rounded-xl border p-3 bg-white">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-medium">Debug messages</div>
+        <div className="flex items-center gap-2">
+          <span className={`text-[11px] ${nodeRed.running ? "text-emerald-700" : "text-gray-500"}`}>{nodeRed.running ? `node-red running on :${nodeRed.port}` : "node-red stopped"}</span>
+          <button onClick={nrClearDebug} className="px-2 py-1 text-xs rounded border hover:bg-gray-50">Clear</button>
+        </div>
+      </div>
+      {injects.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {injects.map((n) => (<button key={n.def.id} disabled={disabled} onClick={() => nrInject(n.def.id)} className={`px-2 py-1 text-xs rounded border ${disabled?"opacity-40 cursor-not-allowed":"hover:bg-gray-50"}`}>▶ {n.def.name || "inject"}</button>))}
+        </div>
+      )}
+      <div className="max-h-64 overflow-auto space-y-1">
+        {nodeRed.debug.length === 0 ? <div className="text-xs text-gray-500">No messages yet. Start node-red, then publish to click/line1/telemetry/DS1.</div> : nodeRed.debug.map((e, i) => (
+          <div key={i} className="border-b border-gray-100 pb-1">
+            <div className="text-[10px] text-gray-500">{e.ts.toLocaleString()} node: {e.node}</div>
+            <div className={`text-[10px] ${levelClass[e.level]}`}>{e.label}</div>
+            <div className="font-mono text-xs whitespace-pre-wrap break-all">{e.value}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
 
-    // systemctl status mosquitto
-    if (/^systemctl\s+status\s+mosquitto\s*$/i.test(cmd)) { println(systemctlStatus()); return; }
+// CLICK PLC panel: live register table, physical input toggles and the MQTT mapping editor.
+// Top-level (not nested in Page) so the draft mapping survives Page re-renders.
+function PlcPanel({ disabled, onSend }) {
+  const { plc, plcListen, plcConnect, plcToggleInput, broker, brokerCable } = useContext(Simulator);
+  useFrameTick(plcListen, []);
+  const [auth, setAuth] = useState(plc.auth);
+  const [draft, setDraft] = useState({ dir: "sub", topic: "", address: "", interval: "0" });
+  const [draftError, setDraftError] = useState(null);
+  const mapped = new Set(plc.map.map((m) => plcAddress(m.address)?.name));
+  const shown = { X: 8, Y: 8, C: 8, DS: 4, DF: 2 };
+  const startCmd = "mosquitto_pub -h 127.0.0.1 -t click/line1/cmd/start -m 1";
+  const watchCmd = "mosquitto_sub -h 127.0.0.1 -t click/line1/telemetry/# -v";
+  const stopCmd = "mosquitto_pub -h 127.0.0.1 -t click/line1/cmd/stop -m 1";
+  const statusCmd = `mosquitto_sub -h 127.0.0.1 -t ${plc.status.topic} -v`;
+  const unplugged = broker.unplugged.has("plc");
 
-    // journalctl follow
-    if (/^journalctl\s+-u\s+mosquitto\s+-f\s*$/i.test(cmd)) {
-      println("-- Journal begins -- (CTRL+C to stop)");
-      const off = brokerListen(({ topic, payload }) => { println(`${formatTime()} host mosquitto[742]: Received PUBLISH on ${topic} (q0, r0, m0, '${payload}')`); });
-      const keyHandler = (e) => { if (e.key === "c" && (e.ctrlKey || e.metaKey)) { off(); println("-- Journal tail stopped --"); window.removeEventListener("keydown", keyHandler); } };
-      window.addEventListener("keydown", keyHandler); return;
-    }
+  function addMapping() {
+    const a = plcAddress(draft.address);
+    if (!a) { setDraftError(`${draft.address || "(empty)"} is not an address in this PLC (X1-16, Y1-16, C1-100, DS1-100, DF1-20)`); return; }
+    if (!draft.topic) { setDraftError("Enter a topic"); return; }
+    if (draft.dir === "pub" && !validTopicName(draft.topic)) { setDraftError("Publish topics need a plain topic (no + or #)"); return; }
+    if (draft.dir === "sub" && !validTopicFilter(draft.topic)) { setDraftError("+ and # must fill a whole topic level, and # can only be the last one"); return; }
+    if (draft.dir === "sub" && a.space === "X") { setDraftError("X inputs come from field wiring; map commands to C bits or DS registers"); return; }
+    plc.map = [...plc.map, draft.dir === "sub"
+      ? { dir: "sub", topic: draft.topic, address: a.name, qos: 1 }
+      : { dir: "pub", topic: draft.topic, address: a.name, interval: Math.max(0, Number(draft.interval) || 0), qos: 0, retain: false }];
+    setDraft({ ...draft, topic: "", address: "" }); setDraftError(null);
+    plcConnect();
+  }
+  function removeMapping(i) { plc.map = plc.map.filter((_, j) => j !== i); plcConnect(); }
 
-    // mosquitto_sub
-    if (cmd.startsWith("mosquitto_sub")) {
-      const v = /\s-v(\s|$)/.test(cmd);
-      const tMatch = cmd.match(/-t\s+([^\s]+)/);
-      const cMatch = cmd.match(/-C\s+(\d+)/);
-      if (!tMatch) { println("Error: missing -t <topic>"); return; }
-      const sub = { filter: tMatch[1], verbose: v };
-      if (cMatch) sub.countMax = parseInt(cMatch[1], 10);
-      setSubs((cur) => [...cur, sub]); return;
-    }
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold">CLICK PLC (line 1)</h2>
+      <p className="text-sm text-gray-700">A simulated CLICK PLC is connected to the broker as <code className="font-mono">{plc.clientId}</code>. Its program latches the conveyor (Y001) from X001 or C1, stops it from X002 or C2, and counts parts in DS1 while it runs.</p>
+      <div className="rounded-xl border p-3 bg-white space-y-2">
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <span className={`px-2 py-0.5 rounded-full ${plc.client && !unplugged ? "bg-emerald-50 text-emerald-700" : "bg-red-50 text-red-600"}`}>{!plc.client ? "MQTT disconnected" : unplugged ? "cable pulled" : "MQTT connected"}</span>
+          <button disabled={disabled} onClick={()=>brokerCable("plc", unplugged)} className={`px-2 py-1 rounded border ${disabled?"opacity-40 cursor-not-allowed":"hover:bg-gray-50"}`}>{unplugged ? "Plug the cable back in" : "Pull the network cable"}</button>
+          {plc.error && <span className="text-red-600">{plc.error}</span>}
+        </div>
+        <div className="text-[11px] text-gray-500">
+          Persistent session (clean session off), keepalive {plc.keepalive} s. On connect the PLC publishes <code className="font-mono">{plc.status.online}</code> to <code className="font-mono">{plc.status.topic}</code> (retained); its Last Will is <code className="font-mono">{plc.status.offline}</code> there, QoS 1, retained.
+          {unplugged && plc.client && ` The broker has not noticed yet: it drops the PLC and publishes the will after ${plc.keepalive * 1.5} s without a packet.`}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <input value={auth.username} onChange={(e)=>setAuth({ ...auth, username: e.target.value })} placeholder="username" className="border rounded px-2 py-1 w-28"/>
+          <input type="password" value={auth.password} onChange={(e)=>setAuth({ ...auth, password: e.target.value })} placeholder="password" className="border rounded px-2 py-1 w-28"/>
+          <button disabled={disabled} onClick={()=>{ plc.auth = auth; plcConnect(); }} className={`px-2 py-1 rounded border ${disabled?"opacity-40 cursor-not-allowed":"hover:bg-gray-50"}`}>Reconnect</button>
+          <span className="text-gray-500">Needed once the broker has allow_anonymous false (e.g. plc1 / clickpass).</span>
+        </div>
+      </div>
+      <div className="rounded-xl border p-3 bg-white space-y-2">
+        <div className="text-sm font-medium">Registers</div>
+        {Object.entries(shown).map(([space, count]) => (
+          <div key={space} className="flex flex-wrap items-center gap-1">
+            <span className="w-28 text-[11px] text-gray-600">{PLC_SPACES[space].label}</span>
+            {Array.from({ length: count }, (_, i) => {
+              const a = plcAddress(`${space}${i + 1}`); const v = plc.mem[space][i + 1];
+              const cls = `font-mono text-[11px] px-2 py-1 rounded border ${PLC_SPACES[space].bit && v ? "bg-emerald-500 text-white border-emerald-600" : "bg-white"} ${mapped.has(a.name) ? "ring-1 ring-blue-400" : ""}`;
+              return space === "X"
+                ? <button key={a.name} disabled={disabled} onClick={()=>plcToggleInput(a.name)} title="Toggle input" className={cls}>{a.name}</button>
+                : <span key={a.name} className={cls}>{PLC_SPACES[space].bit ? a.name : `${a.name} ${plcText(space, v)}`}</span>;
+            })}
+          </div>
+        ))}
+        <div className="text-[11px] text-gray-500">Click an X input to flip the field switch. Blue outline = mapped to MQTT.</div>
+      </div>
+      <div className="rounded-xl border p-3 bg-white space-y-2">
+        <div className="text-sm font-medium">MQTT mapping</div>
+        <table className="w-full text-xs">
+          <thead><tr className="text-left text-gray-500"><th>Direction</th><th>Topic</th><th>Address</th><th>When</th><th/></tr></thead>
+          <tbody>
+            {plc.map.map((m, i) => (
+              <tr key={i} className="border-t">
+                <td className="py-1">{m.dir === "sub" ? "subscribe → write" : "read → publish"}</td>
+                <td className="font-mono">{m.topic}</td>
+                <td className="font-mono">{m.address}</td>
+                <td>{m.dir === "sub" ? "on message" : m.interval ? `every ${m.interval}s` : "on change"}</td>
+                <td className="text-right"><button disabled={disabled} onClick={()=>removeMapping(i)} className="px-1 rounded border">✕</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <select value={draft.dir} onChange={(e)=>setDraft({ ...draft, dir: e.target.value })} className="border rounded px-1 py-1">
+            <option value="sub">subscribe → write</option>
+            <option value="pub">read → publish</option>
+          </select>
+          <input value={draft.topic} onChange={(e)=>setDraft({ ...draft, topic: e.target.value })} placeholder="click/line1/cmd/speed" className="border rounded px-2 py-1 font-mono"/>
+          <input value={draft.address} onChange={(e)=>setDraft({ ...draft, address: e.target.value })} placeholder="DS2" className="border rounded px-2 py-1 w-20 font-mono"/>
+          {draft.dir === "pub" && <input value={draft.interval} onChange={(e)=>setDraft({ ...draft, interval: e.target.value })} title="Seconds between publishes; 0 = on change" className="border rounded px-2 py-1 w-14"/>}
+          <button disabled={disabled} onClick={addMapping} className={`px-2 py-1 rounded border ${disabled?"opacity-40 cursor-not-allowed":"hover:bg-gray-50"}`}>Add</button>
+        </div>
+        {draftError && <div className="text-xs text-red-600">{draftError}</div>}
+      </div>
+      <div className="space-y-2">
+        <CommandBox session="subscriber" disabled={disabled} label="Watch the PLC's telemetry" cmd={watchCmd} explain="DS1 (part count), Y001 (conveyor) and DF1 (motor temperature) as the PLC publishes them." onSend={()=>onSend(watchCmd,["Subscribe to everything the PLC publishes","Y001 is retained, so its last value arrives at once"], { session: "subscriber" })}/>
+        <CommandBox session="subscriber" disabled={disabled} label="Watch the line status" cmd={statusCmd} explain="ONLINE while the PLC is connected; the broker publishes the PLC's will (OFFLINE) when it drops off without disconnecting." onSend={()=>onSend(statusCmd,["Subscribe to the PLC's birth / will topic","The retained value shows the current state at once"], { session: "subscriber" })}/>
+        <CommandBox disabled={disabled} label="Start the conveyor remotely" cmd={startCmd} explain="cmd/start is mapped to C1; the ladder latches Y001 and DS1 starts counting." onSend={()=>onSend(startCmd,["Publish start=1"])}/>
+        <CommandBox disabled={disabled} label="Stop it" cmd={stopCmd} explain="cmd/stop → C2 unlatches Y001. Flipping X002 in the table does the same from the field." onSend={()=>onSend(stopCmd,["Publish stop=1"])}/>
+      </div>
+    </div>
+  );
+}
 
-    // mosquitto_pub
-    if (cmd.startsWith("mosquitto_pub")) {
-      const tMatch = cmd.match(/-t\s+([^\s]+)/);
-      const mMatch = cmd.match(/-m\s+([^\s].*)/);
-      const nFlag = /\s-n(\s|$)/.test(cmd);
-      if (!tMatch) { println("Error: missing -t <topic>"); return; }
-      const topic = tMatch[1];
-      let payload = ""; if (nFlag) payload = ""; else if (mMatch) {
-        payload = mMatch[1].trim();
-        if ((payload.startsWith('"') && payload.endsWith('"')) || (payload.startsWith("'") && payload.endsWith("'"))) payload = payload.slice(1, -1);
-      } else { println("Error: missing -m <message> (or use -n)"); return; }
-      brokerPublish({ topic, payload }); return;
-    }
+// Test Mode: pick a challenge, objectives tick off as they are met, scored summary at the bottom
+function ChallengePanel() {
+  const sim = useContext(Simulator);
+  const { challenges, challengeListen, challengeStart, challengeHint, challengeGiveUp } = sim;
+  useFrameTick(challengeListen, []);
+  const s = challenges.active; const last = challenges.last;
+  const clock = (sec) => `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+  const runs = (id) => challenges.results.filter((r) => r.id === id);
+  const best = (id) => Math.max(0, ...runs(id).map((r) => r.score));
+  const total = CHALLENGES.reduce((sum, c) => sum + best(c.id), 0);
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold">Test Mode</h2>
+      <p className="text-sm text-gray-700">All guidance is hidden and the buttons are disabled. Pick a challenge and solve it from memory in the terminal; objectives tick off as the broker, the PLC and the terminal see them happen. Each hint costs {HINT_COST} points, each command beyond par {EXTRA_COMMAND_COST}.</p>
+      {s ? (
+        <div className="rounded-xl border p-3 bg-white space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-medium">{s.def.title}</div>
+            <div className="text-xs font-mono text-gray-600">{clock(Math.round((sim.clock.now() - s.startedAt) / 1000))} / {clock(s.def.timeLimit)} · {s.commands} commands</div>
+          </div>
+          <p className="text-sm text-gray-700">{s.def.brief}</p>
+          <ul className="text-sm space-y-1">
+            {s.def.objectives.map((o, i) => (<li key={i} className={s.done[i] ? "text-emerald-700" : "text-gray-700"}>{s.done[i] ? "✔" : "○"} {o.text}</li>))}
+          </ul>
+          {s.hints > 0 && <ol className="text-xs text-amber-700 list-decimal pl-5 space-y-1">{s.def.hints.slice(0, s.hints).map((h, i) => (<li key={i} className="font-mono whitespace-pre-wrap">{h}</li>))}</ol>}
+          <div className="flex gap-2">
+            <button disabled={s.hints >= s.def.hints.length} onClick={challengeHint} className={`px-2 py-1 text-xs rounded border ${s.hints >= s.def.hints.length ? "opacity-40 cursor-not-allowed" : "hover:bg-gray-50"}`}>Hint ({s.def.hints.length - s.hints} left, −{HINT_COST})</button>
+            <button onClick={challengeGiveUp} className="px-2 py-1 text-xs rounded border hover:bg-gray-50">Give up</button>
+          </div>
+        </div>
+      ) : last && (
+        <div className={`rounded-xl border p-3 text-sm ${last.status === "passed" ? "bg-emerald-50 border-emerald-200" : "bg-red-50 border-red-200"}`}>
+          <strong>{last.def.title}</strong>: {last.status === "passed" ? `passed in ${clock(last.seconds)} with ${last.commands} commands and ${last.hints} hints — ${last.score} points` : `${last.status} after ${clock(last.seconds)} — 0 points`}
+        </div>
+      )}
+      <div className="rounded-xl border p-3 bg-white">
+        <table className="w-full text-xs">
+          <thead><tr className="text-left text-gray-500"><th>Challenge</th><th>Attempts</th><th>Best</th><th/></tr></thead>
+          <tbody>
+            {CHALLENGES.map((c) => (
+              <tr key={c.id} className="border-t">
+                <td className="py-1">{c.title}</td>
+                <td>{runs(c.id).length}</td>
+                <td>{runs(c.id).length ? best(c.id) : "—"}</td>
+                <td className="text-right"><button disabled={s?.def.id === c.id} onClick={() => challengeStart(c.id)} className={`px-2 py-1 rounded border ${s?.def.id === c.id ? "opacity-40 cursor-not-allowed" : "hover:bg-gray-50"}`}>{runs(c.id).length ? "Retry" : "Start"}</button></td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot><tr className="border-t font-medium"><td className="py-1">Total</td><td/><td>{total} / {CHALLENGES.length * 100}</td><td/></tr></tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-    // mosquitto_rr
-    if (cmd.startsWith("mosquitto_rr")) {
-      const tMatch = cmd.match(/-t\s+([^\s]+)/);
-      const eMatch = cmd.match(/-e\s+([^\s]+)/);
-      const mMatch = cmd.match(/-m\s+([^\s].*)/);
-      const wMatch = cmd.match(/-w\s+(\d+)/);
-      if (!tMatch || !eMatch) { println("Error: need -t <reqTopic> and -e <resTopic>"); return; }
-      const reqTopic = tMatch[1]; const resTopic = eMatch[1];
-      let payload = mMatch ? mMatch[1].trim() : "";
-      if ((payload.startsWith('"') && payload.endsWith('"')) || (payload.startsWith("'") && payload.endsWith("'"))) payload = payload.slice(1, -1);
-      brokerPublish({ topic: reqTopic, payload }); simulateResponder({ reqTopic, resTopic, payload });
-      const off = brokerListen(({ topic, payload: p }) => { if (topic === resTopic) { println(String(p)); off(); } });
-      const waitMs = wMatch ? parseInt(wMatch[1], 10) * 1000 : 3000;
-      setTimeout(() => { try { off(); } catch {} println("(timeout waiting for response)"); }, waitMs + 50); return;
-    }
+// Self-tests: the simulator suite (selftest.js) on its own lab and fake clock, reported inline.
+// Top-level so the report survives Page re-renders.
+function SelfTestPanel() {
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+  function run() { setRunning(true); runSelfTests().then((r) => { setResults(r); setRunning(false); }); }
+  const failed = results?.filter((r) => !r.pass).length;
+  const diffClass = (l) => (l.startsWith("- ") ? "text-red-300" : l.startsWith("+ ") ? "text-emerald-300" : "text-gray-400");
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold">Self‑tests</h2>
+      <p className="text-sm text-gray-700">Checks that the simulation behaves like the real tools. They run on a separate lab with a simulated clock, so your terminals and broker are left alone; <code className="font-mono">npm test</code> runs the same suite.</p>
+      <button disabled={running} onClick={run} className={`px-3 py-2 text-xs rounded-lg bg-emerald-600 text-black font-semibold ${running ? "opacity-40 cursor-not-allowed" : ""}`}>{running ? "Running…" : "Run tests"}</button>
+      {results && (
+        <div className="rounded-xl border p-3 bg-white space-y-2">
+          <div className={`text-sm font-medium ${failed ? "text-red-600" : "text-emerald-700"}`}>{failed ? `${failed} of ${results.length} tests failed` : `All ${results.length} tests passed`}</div>
+          <ul className="text-sm space-y-2">
+            {results.map((r) => (
+              <li key={r.name}>
+                <div className={r.pass ? "text-emerald-700" : "text-red-600"}>{r.pass ? "PASS" : "FAIL"} — {r.name}</div>
+                {r.failures.map((f, i) => (
+                  <div key={i} className="mt-1">
+                    <div className="text-[11px] text-gray-500">{f.label ?? "expected (−) / actual (+)"}</div>
+                    <pre className="rounded-lg p-2 text-[11px] overflow-x-auto bg-black">{f.diff.map((l, j) => (<div key={j} className={diffClass(l)}>{l}</div>))}</pre>
+                  </div>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
 
-    println("command not found. Type 'help'");
+// Packets page: a sequence diagram of what the simulated broker and its clients put on the wire
+// (sim.wire), one lane per client group plus the broker's. Pause freezes the diagram while traffic
+// goes on, Step then shows one more packet, Replay plays the trace again from the start.
+const PACKET_COLORS = { CONNECT: "#059669", CONNACK: "#059669", SUBSCRIBE: "#7c3aed", SUBACK: "#7c3aed", PUBLISH: "#2563eb", DISCONNECT: "#dc2626", "connection closed": "#dc2626", "cable pulled": "#dc2626", "cable plugged in": "#059669", "will published": "#d97706" };
+// Events on a lane rather than packets between it and the broker
+const PACKET_MARKS = { "will published": "⚑", "cable plugged in": "⇄" };
+const PACKET_ROWS = 200; // newest rows drawn
+function packetSummary(p) {
+  const f = p.fields;
+  switch (p.type) {
+    case "CONNECT": return `${f.clientId}${(f.cleanSession ?? f.cleanStart) ? "" : " c0"}${f.will ? " +will" : ""}`;
+    case "CONNACK": return `rc ${f.returnCode ?? f.reasonCode}${f.sessionPresent ? " sp1" : ""}`;
+    case "SUBSCRIBE": return f.subscriptions.map((s) => `${s.topic} q${s.qos}`).join(", ");
+    case "SUBACK": return f.granted.join(", ");
+    case "PUBLISH": return `${f.topic} q${f.qos}${f.retain ? " r1" : ""}${f.note ? " denied" : ""}`;
+    case "DISCONNECT": return f.reasonCode ? `rc 0x${f.reasonCode.toString(16)}` : "";
+    case "will published": return `${f.topic} = ${f.payload}`;
+    default: return f.packetId != null ? `id ${f.packetId}` : "";
   }
+}
+function PacketPanel() {
+  const sim = useContext(Simulator);
+  const live = useLiveBroker(sim);
+  useFrameTick(sim.wireListen, [sim]);
+  const packets = sim.wire.packets;
+  const [until, setUntil] = useState(null); // last seq drawn while paused or replaying; null follows the traffic
+  const [replaying, setReplaying] = useState(false);
+  const [from, setFrom] = useState(0); // Clear hides the packets up to this seq
+  const [lane, setLane] = useState(""); // "" draws every lane
+  const [selected, setSelected] = useState(null);
+  const scrollRef = useRef(null);
+
+  const all = packets.filter((p) => p.seq > from && (!lane || p.lane === lane));
+  const shown = until == null ? all : all.filter((p) => p.seq <= until);
+  const next = until == null ? null : all.find((p) => p.seq > until);
+  // Replay draws one more packet every 400 ms and follows the traffic again at the end
+  useEffect(() => {
+    if (!replaying) return;
+    if (!next) { setReplaying(false); setUntil(null); return; }
+    const timer = setTimeout(() => setUntil(next.seq), 400);
+    return () => clearTimeout(timer);
+  }, [replaying, until]);
+  useEffect(() => { if (until == null) scrollRef.current?.scrollTo(0, scrollRef.current.scrollHeight); }, [shown.length, until]);
+
+  const lanes = ["broker", ...new Set(all.map((p) => p.lane))];
+  const rows = shown.slice(-PACKET_ROWS);
+  const colW = 150, rowH = 26, headH = 28, timeW = 64;
+  const width = timeW + lanes.length * colW; const height = headH + rows.length * rowH + 8;
+  const laneX = (name) => timeW + lanes.indexOf(name) * colW + colW / 2;
+  const button = "px-3 py-1.5 rounded-lg border disabled:opacity-40";
 
-  useImperativeHandle(ref, () => ({ run: (cmd) => handleCommand(cmd), getLines: () => [...lines], clear: () => setLines([]), setInput: (v) => setInput(v) }));
+  function pause() { setReplaying(false); setUntil(until == null ? (all[all.length - 1]?.seq ?? from) : null); }
+  function replay() { setSelected(null); setUntil(all[0].seq - 1); setReplaying(true); }
+  function clear() { setFrom(packets[packets.length - 1]?.seq ?? from); setUntil(null); setReplaying(false); setSelected(null); }
 
   return (
-    <div className={`rounded-xl border ${theme.border} ${theme.bg} overflow-hidden`}>
-      <div className={`flex items-center justify-between px-3 py-2 border-b ${theme.border} ${theme.headerBg}`}>
-        <div className={`text-[11px] font-semibold ${theme.text}`}>{title}</div>
-        <div className={`flex items-center gap-1 ${theme.accent}`}><span className={`w-2 h-2 rounded-full ${theme.dot}`}/><span className="text-[10px]">connected</span></div>
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold">Packets</h2>
+      <p className="text-sm text-gray-700">Every MQTT packet between the simulated broker and its clients: CONNECT / CONNACK, SUBSCRIBE / SUBACK, PUBLISH with its QoS 1 (PUBACK) and QoS 2 (PUBREC, PUBREL, PUBCOMP) handshakes, and DISCONNECT, plus pulled cables, dropped connections and the wills the broker publishes for them. Each terminal session, Node‑RED, the PLC and the <code className="font-mono">mosquitto_rr</code> responder get a lane; click an arrow to see the packet's fields.</p>
+      {live.enabled && <p className="text-xs text-amber-700">Live broker mode: the terminals talk to {live.settings.url}, so only the PLC and Node‑RED show up here.</p>}
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <button onClick={pause} className={button}>{until == null ? "Pause" : "Resume"}</button>
+        <button onClick={()=>{ setReplaying(false); setUntil(next.seq); }} disabled={!next || replaying} className={button}>Step</button>
+        <button onClick={replay} disabled={all.length === 0} className={button}>Replay</button>
+        <button onClick={clear} className={button}>Clear</button>
+        <select value={lane} onChange={(e)=>setLane(e.target.value)} className="px-2 py-1.5 rounded-lg border bg-white">
+          <option value="">All lanes</option>
+          {[...new Set(packets.map((p) => p.lane))].map((l) => (<option key={l} value={l}>{l}</option>))}
+        </select>
+        <span className="text-gray-500">{until == null ? "following the traffic" : replaying ? "replaying…" : `paused · ${all.length - shown.length} more to step through`}</span>
       </div>
-      <div ref={scrollRef} className={`${heightClass} overflow-auto font-mono text-[12px] ${theme.bg} ${theme.text} p-3`}>
-        {lines.length === 0 ? <div className={`${context==='nodered'?'text-red-300':'text-emerald-600'}`}>Type <span className={`${context==='nodered'?'text-red-200':'text-emerald-400'}`}>help</span> or run a command.</div> : lines.map((ln, i) => (<div key={i} className="whitespace-pre-wrap">{ln}</div>))}
+      <div ref={scrollRef} className="rounded-xl border bg-white overflow-auto max-h-[28rem]">
+        {rows.length === 0 ? <div className="p-3 text-sm text-gray-500">No packets yet. Run <code className="font-mono">mosquitto_sub</code> / <code className="font-mono">mosquitto_pub</code> in a terminal.</div> : (
+          <svg width={width} height={height} className="font-mono text-[10px]">
+            {lanes.map((l) => (
+              <g key={l}>
+                <text x={laneX(l)} y={16} textAnchor="middle" className="fill-gray-700 font-semibold">{l}</text>
+                <line x1={laneX(l)} x2={laneX(l)} y1={headH - 6} y2={height} stroke={l === "broker" ? "#111827" : "#d1d5db"} strokeDasharray={l === "broker" ? undefined : "4 3"}/>
+              </g>
+            ))}
+            {rows.map((p, r) => {
+              const top = headH + r * rowH; const y = top + rowH - 8;
+              const client = laneX(p.lane); const broker = laneX("broker");
+              const [x1, x2] = p.dir === "in" ? [client, broker] : [broker, client];
+              const tip = x2 > x1 ? -6 : 6; const color = PACKET_COLORS[p.type] ?? "#6b7280";
+              return (
+                <g key={p.seq} onClick={()=>setSelected(p)} className="cursor-pointer">
+                  <rect x={0} y={top} width={width} height={rowH} fill={selected?.seq === p.seq ? "#eff6ff" : "transparent"}/>
+                  <text x={4} y={y} className="fill-gray-400">{formatTime(p.ts).slice(7)}</text>
+                  {p.dir == null ? (
+                    <text x={client} y={y} textAnchor="middle" fill={color}>{PACKET_MARKS[p.type] ?? "✕"} {`${p.type} ${packetSummary(p)}`.trim()}</text>
+                  ) : (
+                    <>
+                      <line x1={x1} x2={x2} y1={y} y2={y} stroke={color} strokeWidth="1.5"/>
+                      <polygon points={`${x2},${y} ${x2 + tip},${y - 3.5} ${x2 + tip},${y + 3.5}`} fill={color}/>
+                      <text x={(x1 + x2) / 2} y={y - 4} textAnchor="middle" fill={color}>{`${p.type} ${packetSummary(p)}`.slice(0, Math.max(12, Math.floor(Math.abs(x2 - x1) / 6)))}</text>
+                    </>
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+        )}
       </div>
-      <div className={`flex items-center gap-2 px-3 py-2 border-t ${theme.border} ${theme.headerBg}`}>
-        <span className={`font-mono text-[10px] ${context==='nodered'?'text-red-400':'text-emerald-500'}`}>$</span>
-        <input value={input} onChange={(e)=>setInput(e.target.value)} onKeyDown={(e)=>{ if(e.key==="Enter"){ const v=input; setInput(""); handleCommand(v);} }} placeholder={context === 'nodered' ? "Type a Node‑RED command (e.g., node-red) and press Enter" : "Type an MQTT command (e.g., mosquitto_pub ...) and press Enter"} className={`flex-1 ${theme.bg} ${theme.text} ${theme.placeholder} rounded border ${theme.inputBorder} px-2 py-1 text-xs focus:outline-none focus:ring-2 ${theme.ring}`}/>
-        <button onClick={()=>{ const v=input; setInput(""); handleCommand(v); }} className={`px-2 py-1 text-[11px] rounded ${theme.btn} text-black font-semibold`}>Run</button>
+      {selected && (
+        <div className="rounded-xl border p-3 bg-white text-xs space-y-1">
+          <div className="font-semibold">{selected.type} · {selected.dir === "in" ? `${selected.clientId} → broker` : selected.dir === "out" ? `broker → ${selected.clientId}` : selected.clientId} · {formatTime(selected.ts)}</div>
+          <pre className="font-mono bg-gray-50 rounded p-2 overflow-x-auto">{JSON.stringify(selected.fields, null, 2)}</pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Logs page: the journal (or the live broker's log) with a search box and level / client filters.
+// Simulated entries name their client; live ones get it from the log line.
+function LogsPanel() {
+  const sim = useContext(Simulator);
+  const entries = useLogEntries(sim); const live = sim.live;
+  const [search, setSearch] = useState("");
+  const [level, setLevel] = useState(7); // least severe priority shown
+  const [client, setClient] = useState("");
+  const clients = [...new Set(entries.map((e) => e.clientId).filter(Boolean))].sort();
+  const needle = search.trim().toLowerCase();
+  const shown = entries.filter((e) => e.priority <= level && (!client || e.clientId === client) && (!needle || journalLine(e).toLowerCase().includes(needle)));
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold">Logs</h2>
+      <p className="text-sm text-gray-700">{live.enabled ? <>The live broker's log from <code className="font-mono">{live.settings.url}</code> (<code className="font-mono">$SYS/broker/log/#</code>, sent when mosquitto.conf has <code className="font-mono">log_dest topic</code>).</> : <>The journal, as <code className="font-mono">journalctl</code> shows it: mosquitto logs connections, subscriptions, every PUBLISH (the lab's mosquitto.conf has <code className="font-mono">log_type all</code>), disconnects and refused logins.</>}</p>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <input value={search} onChange={(e)=>setSearch(e.target.value)} placeholder="Search the log" className="px-2 py-1.5 rounded-lg border w-52"/>
+        <select value={level} onChange={(e)=>setLevel(Number(e.target.value))} className="px-2 py-1.5 rounded-lg border bg-white">
+          {PRIORITIES.map((p, i) => i >= 3 && (<option key={p} value={i}>{i === 7 ? "All levels" : `${p} and more severe`}</option>))}
+        </select>
+        <select value={client} onChange={(e)=>setClient(e.target.value)} className="px-2 py-1.5 rounded-lg border bg-white">
+          <option value="">All clients</option>
+          {clients.map((c) => (<option key={c} value={c}>{c}</option>))}
+        </select>
+        <span className="text-gray-500">{shown.length} of {entries.length} entries</span>
       </div>
+      <VirtualLines lines={shown.map(journalLine)} rowHeight={20} lineClass={(i) => (shown[i].priority <= 3 ? "text-red-400" : shown[i].priority === 4 ? "text-amber-300" : "")}
+        className="font-mono text-sm bg-black text-emerald-300 rounded-xl p-3 overflow-auto max-h-80"/>
     </div>
   );
-});
+}
 
-// Coach (Play‑by‑Play) panel
-const CoachPanel = forwardRef(function CoachPanel(_, ref) {
-  const [notes, setNotes] = useState([]);
-  function add(line) { const stamp = formatTime(); setNotes((prev)=>[...prev, `${stamp} — ${line}`]); }
-  function clear() { setNotes([]); }
-  useImperativeHandle(ref, () => ({ add, clear, get: () => [...notes] }));
+// Logs drawer under the terminals: the same log, unfiltered
+function LogDrawer() {
+  const sim = useContext(Simulator);
+  const entries = useLogEntries(sim); const live = sim.live;
   return (
-    <div className="rounded-xl border border-gray-200 bg-white p-4">
-      <div className="flex items-center justify-between mb-2"><h3 className="text-sm font-semibold">Play‑by‑Play (plain English)</h3><button onClick={clear} className="px-2 py-1 text-[11px] rounded border">Clear</button></div>
-      <ol className="text-[13px] text-gray-800 space-y-2 list-decimal pl-5 max-h-64 overflow-auto">
-        {notes.length === 0 ? (<div className="text-xs text-gray-500">Run a guided command to see step‑by‑step explanations here.</div>) : notes.map((n,i)=>(<li key={i} className="whitespace-pre-wrap">{n}</li>))}
-      </ol>
+    <div className="rounded-xl border bg-white p-4 mt-4">
+      <h3 className="text-sm font-semibold mb-2">Live broker logs{live.enabled && <span className="font-normal text-gray-500"> · {live.settings.url}</span>}</h3>
+      <VirtualLines lines={entries.map(journalLine)} rowHeight={16} className="font-mono text-xs bg-black text-emerald-300 rounded-lg p-3 overflow-auto max-h-56"/>
     </div>
   );
-});
+}
+
+// Simulator / live broker switch: the terminal's mosquitto clients and log views can use a real broker
+function LiveBrokerBar() {
+  const sim = useContext(Simulator);
+  const live = useLiveBroker(sim);
+  const [draft, setDraft] = useState(() => ({ ...sim.live.settings }));
+  const [editing, setEditing] = useState(false);
+  const field = (key) => ({ value: draft[key], onChange: (e) => setDraft((d) => ({ ...d, [key]: e.target.value })) });
+  function connect(e) {
+    e.preventDefault();
+    setEditing(false); sim.liveConnect({ ...draft, url: draft.url.trim(), clientId: draft.clientId.trim() || "trainer" });
+  }
+  function simulator() { setEditing(false); sim.liveDisconnect(); }
+  const link = live.enabled && LINK_STATES[live.state];
+  const input = "rounded border px-2 py-1 text-xs font-mono";
+  return (
+    <div className="rounded-xl border bg-white p-3 mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-gray-600">Broker:</span>
+        <div className="inline-flex rounded-lg border overflow-hidden">
+          <button onClick={simulator} className={`px-3 py-1.5 ${!live.enabled && !editing ? "bg-gray-900 text-white" : "bg-white"}`}>Simulator</button>
+          <button onClick={()=>setEditing(true)} className={`px-3 py-1.5 ${live.enabled || editing ? "bg-gray-900 text-white" : "bg-white"}`}>Live broker</button>
+        </div>
+        {link && <span className={`text-xs px-2 py-1 rounded-full ${link.pill}`}>{link.label} · <span className="font-mono">{live.settings.url}</span></span>}
+        {live.enabled && live.error && <span className="text-xs text-red-600">{live.error}{live.state === "disconnected" ? " — retrying every 5 s" : ""}</span>}
+      </div>
+      {editing && (
+        <form onSubmit={connect} className="mt-3 flex flex-wrap items-end gap-2">
+          <label className="flex flex-col text-xs text-gray-600">WebSocket URL<input required {...field("url")} placeholder="ws://localhost:9001" className={`${input} w-56`}/></label>
+          <label className="flex flex-col text-xs text-gray-600">Username<input {...field("username")} autoComplete="username" className={`${input} w-32`}/></label>
+          <label className="flex flex-col text-xs text-gray-600">Password<input type="password" {...field("password")} autoComplete="current-password" className={`${input} w-32`}/></label>
+          <label className="flex flex-col text-xs text-gray-600">Client id<input {...field("clientId")} className={`${input} w-32`}/></label>
+          <button type="submit" className="px-3 py-1.5 rounded bg-black text-white text-xs">Connect</button>
+          <button type="button" onClick={()=>setEditing(false)} className="px-3 py-1.5 rounded border text-xs">Cancel</button>
+          <p className="w-full text-xs text-gray-500">The broker needs a websockets listener (<code className="font-mono">listener 9001</code> then <code className="font-mono">protocol websockets</code>), and <code className="font-mono">log_dest topic</code> for its log to show here. Commands connect as <code className="font-mono">&lt;client id&gt;-&lt;pid&gt;</code>; -u / -P on the command line override the username and password. The password is not saved.</p>
+        </form>
+      )}
+    </div>
+  );
+}
 
 // Sidebar Nav Icon
 function Icon({ name }) {
@@ -266,20 +732,27 @@ function Icon({ name }) {
     case "send": return (<svg viewBox="0 0 24 24" className={common}><path d="M4 12h13M13 5l7 7-7 7" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round"/></svg>);
     case "receive": return (<svg viewBox="0 0 24 24" className={common}><path d="M20 12H7M11 5l-7 7 7 7" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round"/></svg>);
     case "nodered": return (<svg viewBox="0 0 24 24" className={common}><circle cx="6" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/><circle cx="18" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/><path d="M9 12h6" stroke="currentColor" strokeWidth="2"/></svg>);
+    case "plc": return (<svg viewBox="0 0 24 24" className={common}><rect x="5" y="4" width="14" height="16" rx="1" stroke="currentColor" strokeWidth="2" fill="none"/><path d="M9 8h6M9 12h6M9 16h2" stroke="currentColor" strokeWidth="2"/></svg>);
     case "logs": return (<svg viewBox="0 0 24 24" className={common}><rect x="4" y="5" width="16" height="14" rx="2" stroke="currentColor" strokeWidth="2" fill="none"/><path d="M8 9h8M8 13h5" stroke="currentColor" strokeWidth="2"/></svg>);
+    case "packets": return (<svg viewBox="0 0 24 24" className={common}><path d="M6 4v16M18 4v16M6 8h10M14 6l2 2-2 2M18 15H8M10 13l-2 2 2 2" stroke="currentColor" strokeWidth="1.5" fill="none" strokeLinecap="round"/></svg>);
     case "tests": return (<svg viewBox="0 0 24 24" className={common}><path d="M9 11l2 2 4-5" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round"/><rect x="4" y="4" width="16" height="16" rx="2" stroke="currentColor" strokeWidth="2" fill="none"/></svg>);
     default: return null;
   }
 }
 
+// Commands of the current panel's cards already sent to the terminal (saved progress)
+const SentCards = createContext(new Set());
+
 // Command card used in panels (single send)
-function CommandBox({ label, cmd, onSend, explain, disabled, codeClassName }) {
+function CommandBox({ label, cmd, onSend, explain, expect, disabled, codeClassName, session }) {
+  const sent = useContext(SentCards).has(cmd);
   return (
     <div className="rounded-xl border border-gray-200 p-3 bg-white">
       <div className="flex items-start justify-between gap-3">
         <div>
-          <div className="font-medium text-sm">{label}</div>
+          <div className="font-medium text-sm">{label}{session && <span className="ml-2 text-[10px] font-mono text-gray-500" title="Runs in this terminal session">→ {session}</span>}{sent && <span className="ml-2 text-xs text-emerald-600">✓ done</span>}</div>
           {explain && <div className="text-xs text-gray-600 mt-1">{explain}</div>}
+          {expect && <div className="text-xs text-gray-500 mt-1">Expect: <code className="font-mono">{expect}</code></div>}
         </div>
         <div className="flex gap-2 shrink-0">
           {onSend && (
@@ -294,215 +767,242 @@ function CommandBox({ label, cmd, onSend, explain, disabled, codeClassName }) {
   );
 }
 
-export default function Page() {
-  const [logs] = useJournalFollow();
-  const termRef = useRef(null); const coachRef = useRef(null);
-  const [view, setView] = useState("overview");
-  const [showCoach, setShowCoach] = useState(true);
-  const [showTerm, setShowTerm] = useState(true);
-  const [showLogs, setShowLogs] = useState(false);
-  const [activeTerm, setActiveTerm] = useState("mqtt"); // mqtt | nodered (label only)
-  const [testMode, setTestMode] = useState(false);
-
-  // Auto-swap terminal based on selected panel
-  useEffect(() => {
-    if (view === 'nodered') setActiveTerm('nodered');
-    else setActiveTerm('mqtt');
-  }, [view]);
-
-  function runAndNarrate(cmd, steps) {
-    termRef.current?.run(cmd);
-    (steps || []).forEach((s, i) => setTimeout(() => coachRef.current?.add(s), 220 * (i + 1)));
-  }
+// --- Lesson panels, generated from the lessons file (see lessons.js for the schema) ---
+// **bold** and `code` inside lesson text
+function LessonText({ text }) {
+  return text.split(/(\*\*[^*]+\*\*|`[^`]+`)/).map((part, i) => (
+    part.startsWith("**") && part.endsWith("**") && part.length > 4 ? <strong key={i}>{part.slice(2, -2)}</strong>
+      : part.startsWith("`") && part.endsWith("`") && part.length > 2 ? <code key={i} className="font-mono">{part.slice(1, -1)}</code>
+      : part
+  ));
+}
 
-  // ===== Panels =====
-  function PanelOverview() {
-    const exampleJsonCmd = `mosquitto_pub -h 127.0.0.1 -t sensors/line1 -m '{"temp":22.8,"hum":41}'`;
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Overview</h2>
-        <p className="text-sm text-gray-700">We practice only the tools you asked for: <strong>MQTT CLI</strong> (mosquitto_pub/sub/rr) and <strong>Node‑RED</strong> (install + start). Use the menu to focus on one area at a time. The terminal is <em>single</em> and color‑coded. Pick which context you want from the toolbar, then send commands from the cards.</p>
+// `onSend(cmd, coach, target)` runs a command and narrates its coach steps
+function LessonBlock({ block, disabled, onSend }) {
+  switch (block.type) {
+    case "prose": return <p className="text-sm text-gray-700"><LessonText text={block.text}/></p>;
+    case "heading": return <h3 className="text-sm font-semibold pt-2">{block.text}</h3>;
+    case "tiles":
+      return (
         <div className="grid md:grid-cols-3 gap-3">
-          <div className="rounded-xl border p-3 bg-white"><div className="text-sm font-medium mb-1">Configure</div><div className="text-xs text-gray-600">Check Mosquitto + follow logs.</div></div>
-          <div className="rounded-xl border p-3 bg-white"><div className="text-sm font-medium mb-1">Send/Receive</div><div className="text-xs text-gray-600">Publish DS1; subscribe to commands.</div></div>
-          <div className="rounded-xl border p-3 bg-white"><div className="text-sm font-medium mb-1">Node‑RED</div><div className="text-xs text-gray-600">Install & start the editor/server.</div></div>
+          {block.tiles.map((t, i) => (
+            <div key={i} className="rounded-xl border p-3 bg-white"><div className="text-sm font-medium mb-1">{t.title}</div><div className="text-xs text-gray-600"><LessonText text={t.text}/></div></div>
+          ))}
         </div>
+      );
+    case "action":
+      return (
         <div className="rounded-xl border p-3 bg-white">
-          <div className="text-sm font-medium mb-1">Try a quick publish</div>
-          <div className="text-xs text-gray-600 mb-2">Publishes a JSON reading. Make sure the terminal is set to <strong>MQTT</strong> (toolbar below).</div>
-          <button disabled={testMode} onClick={() => runAndNarrate(exampleJsonCmd, ["You published a JSON payload on sensors/line1","Broker delivered it to any subscribers (e.g., Node‑RED mqtt‑in)"])} className={`px-3 py-2 text-xs rounded-lg border ${testMode?"opacity-40 cursor-not-allowed":""}`}>Send to terminal</button>
+          <div className="text-sm font-medium mb-1">{block.title}</div>
+          {block.text && <div className="text-xs text-gray-600 mb-2"><LessonText text={block.text}/></div>}
+          {block.expect && <div className="text-xs text-gray-500 mb-2">Expect: <code className="font-mono">{block.expect}</code></div>}
+          <button disabled={disabled} onClick={() => onSend(block.cmd, block.coach)} className={`px-3 py-2 text-xs rounded-lg border ${disabled?"opacity-40 cursor-not-allowed":""}`}>Send to terminal</button>
         </div>
-      </div>
-    );
-  }
-
-  function PanelConfigure() {
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Initial configuration (broker ready)</h2>
-        <p className="text-sm text-gray-700">Make sure the <strong>broker</strong> is up and that we can see traffic. Set the terminal to <strong>MQTT</strong>.</p>
+      );
+    case "cards":
+      return (
         <div className="space-y-2">
-          <CommandBox disabled={testMode} label="Check broker status" cmd="systemctl status mosquitto" explain="Shows if Mosquitto is running and listening on 1883." onSend={()=>runAndNarrate("systemctl status mosquitto",["Ask the OS for Mosquitto status","If active, clients can connect on 1883"])}/>
-          <CommandBox disabled={testMode} label="Follow broker logs" cmd="journalctl -u mosquitto -f" explain="Live log tail — publishes will show up here." onSend={()=>runAndNarrate("journalctl -u mosquitto -f",["Following Mosquitto logs","Press Ctrl+C to stop (simulated)"])}/>
-          <CommandBox disabled={testMode} label="Sniff click telemetry" cmd="mosquitto_sub -h 127.0.0.1 -t click/# -v" explain="Subscribe to all topics under click/; -v prints topic + payload." onSend={()=>runAndNarrate("mosquitto_sub -h 127.0.0.1 -t click/# -v",["Listening to click/#","Any publish to click/... will appear here"])}/>
+          {block.cards.map((c, i) => (
+            <CommandBox key={i} disabled={disabled} label={c.label} cmd={c.cmd} explain={c.explain} expect={c.expect} session={c.session}
+              codeClassName={c.context === "nodered" ? "bg-black text-red-300" : undefined}
+              onSend={() => onSend(c.cmd, c.coach, c.session ? { session: c.session, context: c.context } : undefined)}/>
+          ))}
         </div>
-      </div>
-    );
+      );
+    case "widget": return block.name === "nodered-debug" ? <NodeRedDebug disabled={disabled}/> : null;
+    default: return null;
   }
+}
 
-  function PanelSend() {
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Send data (CLICK → Node‑RED via MQTT)</h2>
-        <p className="text-sm text-gray-700">Publish PLC‑like readings with <code className="font-mono">mosquitto_pub</code>. Set the terminal to <strong>MQTT</strong>.</p>
-        <div className="space-y-2">
-          <CommandBox disabled={testMode} label="Publish DS1 to telemetry" cmd="mosquitto_pub -h 127.0.0.1 -t click/line1/telemetry/DS1 -m 123" explain="Emulates CLICK sending DS1=123; Node‑RED mqtt‑in (click/line1/telemetry/#) would show it." onSend={()=>runAndNarrate("mosquitto_pub -h 127.0.0.1 -t click/line1/telemetry/DS1 -m 123",["PLC publishes DS1=123","Broker routes to all subscribers","Node‑RED debug would show 123"])}/>
-          <CommandBox disabled={testMode} label="Set status with retain" cmd="mosquitto_pub -h 127.0.0.1 -t click/line1/status -m RUN -r" explain="Pins the latest run state so late subscribers see it immediately." onSend={()=>runAndNarrate("mosquitto_pub -h 127.0.0.1 -t click/line1/status -m RUN -r",["Published retained status RUN","Late subscribers get RUN instantly"])}/>
-        </div>
-      </div>
-    );
-  }
+function LessonPanel({ section, disabled, onSend }) {
+  // Consecutive cards share one stack
+  const blocks = [];
+  section.blocks.forEach((b) => {
+    const last = blocks[blocks.length - 1];
+    if (b.type !== "card") blocks.push(b);
+    else if (last?.type === "cards") last.cards.push(b);
+    else blocks.push({ type: "cards", cards: [b] });
+  });
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold">{section.title}</h2>
+      {blocks.map((b, i) => <LessonBlock key={i} block={b} disabled={disabled} onSend={onSend}/>)}
+    </div>
+  );
+}
 
-  function PanelReceive() {
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Receive commands (Node‑RED → CLICK via MQTT)</h2>
-        <p className="text-sm text-gray-700">Subscribe and simulate a command being sent. Set terminal to <strong>MQTT</strong>.</p>
-        <div className="space-y-2">
-          <CommandBox disabled={testMode} label="Subscribe to command topics" cmd="mosquitto_sub -h 127.0.0.1 -t click/line1/cmd/# -v" explain="Wildcards let you catch all commands under cmd/." onSend={()=>runAndNarrate("mosquitto_sub -h 127.0.0.1 -t click/line1/cmd/# -v",["Listening for Node‑RED commands","Any publish under cmd/ will print here"])}/>
-          <CommandBox disabled={testMode} label="Send START" cmd="mosquitto_pub -h 127.0.0.1 -t click/line1/cmd/start -m 1" explain="Control path: Node‑RED → broker → PLC mapping sets bit/register." onSend={()=>runAndNarrate("mosquitto_pub -h 127.0.0.1 -t click/line1/cmd/start -m 1",["Command start=1 published","Broker forwards to subscribers","PLC would set the mapped bit to 1"])}/>
-        </div>
-      </div>
-    );
+export default function Page() {
+  // Resume where the learner left off before anything renders
+  const [{ sim, resumed }] = useState(() => {
+    const sim = createSimulator(); const resumed = sessionLoad(sim);
+    (resumed?.terminal.sessions ?? [termSession([], "mqtt")]).forEach((t) => sim.openShell(t));
+    Object.assign(sim.live.settings, resumed?.live); // the page always starts on the simulator
+    return { sim, resumed };
+  });
+  const live = useLiveBroker(sim);
+  const coachRef = useRef(null);
+  const ui = resumed?.ui;
+  const [lessons, setLessons] = useState(() => sessionLessons(resumed?.lessons));
+  const [view, setView] = useState(ui?.view ?? lessons.sections[0].id);
+  // An unknown view (e.g. from a session saved with other lessons) shows the first section
+  const section = lessons.sections.find((s) => s.id === view) ?? lessons.sections[0];
+  const [showCoach, setShowCoach] = useState(ui?.showCoach ?? true);
+  const [showTerm, setShowTerm] = useState(ui?.showTerm ?? true);
+  const [showLogs, setShowLogs] = useState(ui?.showLogs ?? false);
+  // Terminal sessions ({id, context, clientId}), shown as tabs or side-by-side panes
+  const [terms, setTerms] = useState(() => [...sim.shells.values()].map(({ id, context, clientId }) => ({ id, context, clientId })));
+  const [activeTermId, setActiveTermId] = useState(resumed?.terminal.active ?? "mqtt");
+  const [termLayout, setTermLayout] = useState(resumed?.terminal.layout ?? "tabs");
+  const [scrollback, setScrollback] = useState(ui?.scrollback ?? SCROLLBACK_LINES); // lines each terminal keeps
+  const activeSession = terms.find((t) => t.id === activeTermId) ?? terms[0];
+  const [testMode, setTestMode] = useState(ui?.testMode ?? false);
+  const [visited, setVisited] = useState(ui?.visited ?? []);
+  const [cards, setCards] = useState(ui?.cards ?? {}); // panel id -> commands of the cards sent
+  // Coach notes live in that component; the latest copy is kept here for saving
+  const notesRef = useRef(resumed?.coach.notes ?? []);
+  const [sessionKey, setSessionKey] = useState(0); // bumped on import to remount Terminal / Coach
+
+  // Test Mode challenges check the simulated broker
+  useEffect(() => { sim.testMode = testMode; if (testMode) sim.liveDisconnect(); }, [testMode]);
+  useEffect(() => { setVisited((v) => (v.includes(section.id) ? v : [...v, section.id])); }, [section.id]);
+  useEffect(() => { sim.setScrollback(scrollback); }, [scrollback]);
+
+  function pageSnapshot() {
+    return {
+      ui: { view, visited, testMode, showCoach, showTerm, showLogs, cards, scrollback },
+      terminal: { sessions: terms.map((t) => ({ ...t, lines: sim.shells.get(t.id).lines.slice(-SESSION_MAX_LINES) })), active: activeTermId, layout: termLayout },
+      coach: { notes: notesRef.current },
+      lessons: lessons === defaultLessons ? null : lessons,
+      live: { url: live.settings.url, username: live.settings.username, clientId: live.settings.clientId },
+    };
   }
+  // Autosave every few seconds and when the tab closes
+  const snapshotRef = useRef(pageSnapshot); snapshotRef.current = pageSnapshot;
+  useEffect(() => {
+    const save = () => sessionSave(sim, snapshotRef.current());
+    const timer = setInterval(save, 5000);
+    window.addEventListener("beforeunload", save);
+    return () => { clearInterval(timer); window.removeEventListener("beforeunload", save); };
+  }, []);
 
-  function PanelNodeRed() {
-    const installCmd = "npm install -g --unsafe-perm node-red";
-    const startCmd = "node-red";
-    const startPortCmd = "node-red --port 1880";
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Node‑RED (install & start)</h2>
-        <p className="text-sm text-gray-700">Set the terminal to <strong>Node‑RED</strong>. These are the only commands included here as requested.</p>
-        <div className="space-y-2">
-          <CommandBox disabled={testMode} label="Install Node‑RED (global)" cmd={installCmd} explain="Installs Node‑RED globally via npm." onSend={()=>runAndNarrate(installCmd,["Installing Node‑RED globally with npm","When finished, you can run 'node-red'"])} codeClassName="bg-black text-red-300"/>
-          <CommandBox disabled={testMode} label="Start Node‑RED" cmd={startCmd} explain="Launches the editor/server on port 1880 by default." onSend={()=>runAndNarrate(startCmd,["Starting Node‑RED server","Open http://127.0.0.1:1880/ in your browser"])} codeClassName="bg-black text-red-300"/>
-          <CommandBox disabled={testMode} label="Start on a specific port" cmd={startPortCmd} explain="Override the port (1880 default)." onSend={()=>runAndNarrate(startPortCmd,["Starting Node‑RED on port 1880 (override)","Visit the shown URL in a browser"])} codeClassName="bg-black text-red-300"/>
-        </div>
-      </div>
-    );
+  function exportSession() {
+    downloadText("mqtt-trainer-session.json", JSON.stringify({ version: SESSION_VERSION, savedAt: new Date(), ...sessionCapture(sim), ...pageSnapshot() }, null, 2), "application/json");
+  }
+  function exportTranscript() {
+    const labels = Object.fromEntries(nav.map((n) => [n.id, n.label]));
+    downloadText("mqtt-trainer-transcript.md", sessionTranscript({ ...sessionCapture(sim), ...pageSnapshot() }, labels), "text/markdown");
+  }
+  function importSession(file) {
+    file.text().then((text) => {
+      const data = sessionUpgrade(JSON.parse(text));
+      if (data?.version !== SESSION_VERSION) throw new Error("not a session file from this trainer");
+      sim.restore(data); sim.liveDisconnect(); Object.assign(sim.live.settings, data.live);
+      [...sim.shells.keys()].forEach(sim.closeShell); data.terminal.sessions.forEach((t) => sim.openShell(t));
+      setView(data.ui.view); setVisited(data.ui.visited); setCards(data.ui.cards); setTestMode(data.ui.testMode);
+      setShowCoach(data.ui.showCoach); setShowTerm(data.ui.showTerm); setShowLogs(data.ui.showLogs); setScrollback(data.ui.scrollback ?? SCROLLBACK_LINES);
+      setTerms(data.terminal.sessions.map(({ lines, ...t }) => t)); setActiveTermId(data.terminal.active); setTermLayout(data.terminal.layout);
+      notesRef.current = data.coach.notes;
+      setLessons(sessionLessons(data.lessons));
+      setSessionKey((k) => k + 1);
+    }).catch((e) => alert(`Could not import the session: ${e.message}`));
+  }
+  // A site's own lessons replace the menu and panels; progress on sections it shares is kept
+  function importLessons(file) {
+    file.text().then((text) => { switchLessons(parseLessons(text)); })
+      .catch((e) => alert(`Could not import the lessons: ${e.message}`));
+  }
+  function switchLessons(next) {
+    setLessons(next);
+    if (!next.sections.some((s) => s.id === view)) setView(next.sections[0].id);
   }
 
-  function PanelLogs() {
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Logs</h2>
-        <p className="text-sm text-gray-700">Live broker logs appear below whenever a publish occurs.</p>
-        <div className="font-mono text-sm bg-black text-emerald-300 rounded-xl p-3 overflow-auto max-h-80">
-          {logs.map((l,i)=>(<div key={i} className="whitespace-pre">{l}</div>))}
-        </div>
-      </div>
-    );
+  // Opens a session (or finds the one called `name`) and returns its id. Without focus it stays
+  // in the background, so the layout goes to split panes to keep it in view.
+  function openSession(context, name, focus = true) {
+    const t = (name && terms.find((x) => x.id === name)) || termSession(terms, context, name);
+    if (!sim.shells.has(t.id)) sim.openShell(t);
+    setTerms((cur) => (cur.some((x) => x.id === t.id) ? cur : [...cur, t]));
+    if (focus) setActiveTermId(t.id);
+    else if (t.id !== activeSession.id) setTermLayout("split");
+    return t.id;
+  }
+  // Cards never interrupt a running command: they go to the active session, or to an idle one of
+  // the same kind (opened if needed) while a command holds it
+  function idleSession() {
+    const busy = (t) => sim.shells.get(t.id).busy();
+    if (!busy(activeSession)) return activeSession.id;
+    const idle = terms.find((t) => t.context === activeSession.context && !busy(t));
+    return idle ? idle.id : openSession(activeSession.context, undefined, false);
   }
+  function closeSession(id) {
+    if (terms.length === 1) return;
+    const i = terms.findIndex((t) => t.id === id); const rest = terms.filter((t) => t.id !== id);
+    setTerms(rest); sim.closeShell(id);
+    if (id === activeTermId) setActiveTermId(rest[Math.min(i, rest.length - 1)].id);
+  }
+  function runIn(id, cmd) { sim.shells.get(id).run(cmd); }
 
-  function PanelTests() {
-    function runQuickTests() {
-      const results = [];
-      // Test 1: pub/sub (single terminal)
-      termRef.current?.clear(); termRef.current?.run("mosquitto_sub -h 127.0.0.1 -t test/hello -v"); termRef.current?.run("mosquitto_pub -h 127.0.0.1 -t test/hello -m \"hi\"");
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const lines = termRef.current?.getLines()||[]; resolve({name:"Pub/Sub", pass: lines.some(l=>l.endsWith("test/hello hi"))}); },300); }));
-      // Test 2: rr
-      termRef.current?.clear(); termRef.current?.run("mosquitto_rr -h 127.0.0.1 -t requests/line1/status -e replies/line1 -m get -w 3");
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const lines = termRef.current?.getLines()||[]; resolve({name:"RR reply", pass: lines.some(l=>l.trim()==="RUN")}); },1000); }));
-      // Test 3: wildcard
-      termRef.current?.clear(); termRef.current?.run("mosquitto_sub -h 127.0.0.1 -t sensors/# -v"); termRef.current?.run("mosquitto_pub -h 127.0.0.1 -t sensors/line2 -m ping");
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const lines = termRef.current?.getLines()||[]; resolve({name:"Wildcard #", pass: lines.some(l=>l.endsWith("sensors/line2 ping"))}); },300); }));
-      // Test 4: -C
-      termRef.current?.clear(); termRef.current?.run("mosquitto_sub -h 127.0.0.1 -t test/hello -v -C 1"); termRef.current?.run("mosquitto_pub -h 127.0.0.1 -t test/hello -m hi1"); termRef.current?.run("mosquitto_pub -h 127.0.0.1 -t test/hello -m hi2");
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const lines=termRef.current?.getLines()||[]; const pass=lines.some(l=>l.endsWith("test/hello hi1")) && !lines.some(l=>l.endsWith("test/hello hi2")) && lines.some(l=>l.includes("-C reached")); resolve({name:"-C exits", pass}); },400); }));
-      // Test 5: coach
-      coachRef.current?.clear(); runAndNarrate("mosquitto_pub -h 127.0.0.1 -t test/hello -m test",["You sent a message","Subscribers on test/hello will receive it"]);
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const pass=(coachRef.current?.get()||[]).length>=2; resolve({name:"Coach logs", pass}); },700); }));
-      // Test 6: Auto Node‑RED context + help text
-      const prevView = view; 
-      setView("nodered");
-      setTimeout(()=>{ termRef.current?.clear(); termRef.current?.run("help"); },50);
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const lines = termRef.current?.getLines()||[]; const pass = lines.some(l=>/Node-RED:|Test Mode \(Node-RED\)/.test(l)); resolve({name:"Node‑RED help context", pass}); setView(prevView); },300); }));
-      // Test 7: Node‑RED install sim
-      termRef.current?.clear(); termRef.current?.run("npm install -g --unsafe-perm node-red");
-      results.push(new Promise((resolve)=>{ setTimeout(()=>{ const lines = termRef.current?.getLines()||[]; const pass = lines.some(l=>/installed globally/i.test(l)); resolve({name:"Node‑RED install sim", pass}); },400); }));
-
-      Promise.all(results).then(arr=>{ const ok = arr.every(r=>r.pass); alert((ok?"✅ All tests passed\n":"❌ Some tests failed\n")+arr.map(r=>`${r.pass?"PASS":"FAIL"} — ${r.name}`).join("\n")); });
-    }
+  // Auto-swap terminal based on selected panel: a shell of the section's context comes to the front
+  useEffect(() => {
+    const context = section.context ?? "mqtt";
+    if (activeSession.context === context) return;
+    const match = terms.find((t) => t.context === context);
+    if (match) setActiveTermId(match.id); else openSession(context);
+  }, [section]);
 
-    return (
-      <div className="space-y-3">
-        <h2 className="text-lg font-semibold">Self‑tests</h2>
-        <p className="text-sm text-gray-700">Quick checks to prove the simulation behaves like the real tools.</p>
-        <button onClick={runQuickTests} className="px-3 py-2 text-xs rounded-lg bg-emerald-600 text-black font-semibold">Run tests</button>
-      </div>
-    );
+  // The PLC reports what actually happened (register writes, ladder outputs, its own publishes)
+  useEffect(() => sim.plcOnEvent((text) => coachRef.current?.add(text)), []);
+
+  // `target` ({session, context}) sends the card to a named terminal session, opening it if needed
+  function runAndNarrate(cmd, steps, target) {
+    setCards((prev) => ({ ...prev, [section.id]: [...new Set([...(prev[section.id] || []), cmd])] }));
+    runIn(target ? openSession(target.context || "mqtt", target.session, false) : idleSession(), cmd);
+    (steps || []).forEach((s, i) => setTimeout(() => coachRef.current?.add(s), 220 * (i + 1)));
   }
 
+  // ===== Panels =====
   function renderPanel() {
-    switch (view) {
-      case "overview": return <PanelOverview/>;
-      case "config": return <PanelConfigure/>;
-      case "send": return <PanelSend/>;
-      case "receive": return <PanelReceive/>;
-      case "nodered": return <PanelNodeRed/>;
-      case "logs": return <PanelLogs/>;
-      case "tests": return <PanelTests/>;
-      default: return <PanelOverview/>;
+    switch (section.panel) {
+      case "plc": return <PlcPanel disabled={testMode} onSend={runAndNarrate}/>;
+      case "logs": return <LogsPanel/>;
+      case "tests": return <SelfTestPanel/>;
+      case "packets": return <PacketPanel/>;
+      default: return <LessonPanel section={section} disabled={testMode} onSend={runAndNarrate}/>;
     }
   }
 
-  const nav = [
-    { id: "overview", label: "Overview", icon: "overview" },
-    { id: "config", label: "Configure", icon: "config" },
-    { id: "send", label: "Send", icon: "send" },
-    { id: "receive", label: "Receive", icon: "receive" },
-    { id: "nodered", label: "Node‑RED", icon: "nodered" },
-    { id: "logs", label: "Logs", icon: "logs" },
-    { id: "tests", label: "Tests", icon: "tests" },
-  ];
+  const nav = lessons.sections.map(({ id, label, icon }) => ({ id, label, icon }));
 
   // Toolbar containing the terminal selector + test toggle
   function Toolbar() {
     return (
       <div className="rounded-xl border bg-white p-3 mb-4 flex flex-wrap items-center gap-3">
         <div className="flex items-center gap-2">
-          <span className="text-sm text-gray-600">Terminal context:</span>
+          <span className="text-sm text-gray-600">New terminal:</span>
           <div className="inline-flex rounded-lg border overflow-hidden text-sm">
-            <button onClick={()=>setActiveTerm("mqtt")} className={`px-3 py-1.5 inline-flex items-center gap-1.5 ${activeTerm==="mqtt"?"bg-black text-emerald-300 border border-emerald-400":"bg-white"}`}>
+            <button onClick={()=>openSession("mqtt")} className="px-3 py-1.5 inline-flex items-center gap-1.5 bg-black text-emerald-300">
               <svg viewBox="0 0 24 24" className="w-3.5 h-3.5" aria-hidden="true"><path d="M3 12h4m2 0h4m2 0h4M7 8l2 2m0 4l-2 2M17 8l-2 2m0 4l2 2" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round"/></svg>
-              MQTT
+              + MQTT
             </button>
-            <button onClick={()=>setActiveTerm("nodered")} className={`px-3 py-1.5 inline-flex items-center gap-1.5 ${activeTerm==="nodered"?"bg-[#2b0000] text-red-300 border border-red-400":"bg-white"}`}>
+            <button onClick={()=>openSession("nodered")} className="px-3 py-1.5 inline-flex items-center gap-1.5 bg-[#2b0000] text-red-300">
               <svg viewBox="0 0 24 24" className="w-3.5 h-3.5" aria-hidden="true"><circle cx="7" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/><circle cx="17" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/><path d="M10 12h4" stroke="currentColor" strokeWidth="2"/></svg>
-              Node‑RED
+              + Node‑RED
             </button>
           </div>
-          <div className={`ml-2 text-xs px-2 py-1 rounded-full inline-flex items-center gap-1 ${activeTerm==='nodered'?'bg-red-50 text-red-600':'bg-emerald-50 text-emerald-700'}`}>
-            {activeTerm==='nodered' ? (
-              <>
-                <svg viewBox="0 0 24 24" className="w-3.5 h-3.5" aria-hidden="true">
-                  <circle cx="7" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/>
-                  <circle cx="17" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/>
-                  <path d="M10 12h4" stroke="currentColor" strokeWidth="2"/>
-                </svg>
-                <span>Node‑RED terminal</span>
-              </>
+          <div className="inline-flex rounded-lg border overflow-hidden text-sm">
+            <button onClick={()=>setTermLayout("tabs")} className={`px-3 py-1.5 ${termLayout==="tabs"?"bg-gray-900 text-white":"bg-white"}`}>Tabs</button>
+            <button onClick={()=>setTermLayout("split")} className={`px-3 py-1.5 ${termLayout==="split"?"bg-gray-900 text-white":"bg-white"}`}>Split</button>
+          </div>
+          <select value={scrollback} onChange={(e)=>setScrollback(Number(e.target.value))} title="Lines each terminal keeps; older ones are dropped" className="px-2 py-1.5 rounded-lg border bg-white text-sm">
+            {SCROLLBACK_CHOICES.map((n) => (<option key={n} value={n}>{n.toLocaleString("en-US")} lines</option>))}
+          </select>
+          <div className={`ml-2 text-xs px-2 py-1 rounded-full inline-flex items-center gap-1 ${activeSession.context==='nodered'?'bg-red-50 text-red-600':'bg-emerald-50 text-emerald-700'}`}>
+            {activeSession.context==='nodered' ? (
+              <svg viewBox="0 0 24 24" className="w-3.5 h-3.5" aria-hidden="true"><circle cx="7" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/><circle cx="17" cy="12" r="3" stroke="currentColor" strokeWidth="2" fill="none"/><path d="M10 12h4" stroke="currentColor" strokeWidth="2"/></svg>
             ) : (
-              <>
-                <svg viewBox="0 0 24 24" className="w-3.5 h-3.5" aria-hidden="true">
-                  <rect x="4" y="5" width="16" height="6" rx="1.5" stroke="currentColor" strokeWidth="2" fill="none"/>
-                  <rect x="4" y="13" width="16" height="6" rx="1.5" stroke="currentColor" strokeWidth="2" fill="none"/>
-                  <path d="M7 8h4M7 16h4" stroke="currentColor" strokeWidth="2"/>
-                </svg>
-                <span>MQTT terminal</span>
-              </>
+              <svg viewBox="0 0 24 24" className="w-3.5 h-3.5" aria-hidden="true"><path d="M3 12h4m2 0h4m2 0h4M7 8l2 2m0 4l-2 2M17 8l-2 2m0 4l2 2" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round"/></svg>
             )}
+            <span>{activeSession.id}</span>
           </div>
         </div>
         <label className="flex items-center gap-2 ml-auto text-sm">
@@ -520,71 +1020,88 @@ export default function Page() {
   }
 
   return (
-    <div className="min-h-screen w-full bg-gradient-to-b from-gray-50 to-white text-gray-900">
-      <header className="sticky top-0 z-10 border-b border-gray-200 bg-white/80 backdrop-blur">
-        <div className="mx-auto max-w-7xl px-4 py-3 flex items-center justify-between">
-          <div>
-            <h1 className="text-xl md:text-2xl font-bold tracking-tight">MQTT CLI Trainer — Page 1</h1>
-            <p className="text-xs text-gray-600">Menu‑driven • Single terminal (MQTT/Node‑RED) • Color‑coded terminal</p>
-          </div>
-        </div>
-      </header>
-
-      <main className="mx-auto max-w-7xl px-4 py-6">
-        <Toolbar/>
-        <div className="grid grid-cols-12 gap-4">
-          {/* Sidebar */}
-          {!testMode && (
-            <aside className="col-span-12 md:col-span-3 lg:col-span-2">
-              <nav className="rounded-xl border bg-white p-2 sticky top-20">
-                {nav.map((n)=> (
-                  <button key={n.id} onClick={()=>setView(n.id)} className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${view===n.id?"bg-black text-white":"hover:bg-gray-50"}`}>
-                    <span className="text-current"><Icon name={n.icon}/></span>
-                    <span>{n.label}</span>
-                  </button>
-                ))}
-                <div className="mt-2 border-t pt-2 text-[11px] text-gray-500">Pick a section, then use the command cards.</div>
-              </nav>
-            </aside>
-          )}
-
-          {/* Main Panel */}
-          <section className={`${!testMode ? 'col-span-12 md:col-span-9 lg:col-span-10' : 'col-span-12'}`}>
-            <div className="rounded-xl border bg-white p-4">
-              {testMode ? (
-                <div className="space-y-2">
-                  <h2 className="text-lg font-semibold">Test Mode</h2>
-                  <p className="text-sm text-gray-700">All guidance is hidden and the buttons are disabled. Type commands from memory. Use <code className="font-mono">help</code> to see available tools.</p>
-                </div>
-              ) : (
-                renderPanel()
-              )}
+    <Simulator.Provider value={sim}>
+      <div className="min-h-screen w-full bg-gradient-to-b from-gray-50 to-white text-gray-900">
+        <header className="sticky top-0 z-10 border-b border-gray-200 bg-white/80 backdrop-blur">
+          <div className="mx-auto max-w-7xl px-4 py-3 flex items-center justify-between">
+            <div>
+              <h1 className="text-xl md:text-2xl font-bold tracking-tight">{lessons.title ?? "MQTT CLI Trainer — Page 1"}</h1>
+              <p className="text-xs text-gray-600">Menu‑driven • Tabbed or split terminals (MQTT/Node‑RED) • Color‑coded terminal</p>
             </div>
+            <div className="flex items-center gap-2 text-xs">
+              <span className="text-gray-500">Progress is saved in this browser.</span>
+              <button onClick={exportTranscript} className="px-2 py-1 rounded border hover:bg-gray-50">Transcript</button>
+              <button onClick={exportSession} className="px-2 py-1 rounded border hover:bg-gray-50">Export session</button>
+              <label className="px-2 py-1 rounded border hover:bg-gray-50 cursor-pointer">Import session<input type="file" accept="application/json" className="hidden" onChange={(e)=>{ if (e.target.files[0]) importSession(e.target.files[0]); e.target.value = ""; }}/></label>
+              <label className="px-2 py-1 rounded border hover:bg-gray-50 cursor-pointer">Import lessons<input type="file" accept="application/json" className="hidden" onChange={(e)=>{ if (e.target.files[0]) importLessons(e.target.files[0]); e.target.value = ""; }}/></label>
+              {lessons !== defaultLessons && <button onClick={()=>switchLessons(defaultLessons)} className="px-2 py-1 rounded border hover:bg-gray-50">Default lessons</button>}
+              <button onClick={()=>{ if (confirm("Erase saved progress and start over?")) sessionReset(); }} className="px-2 py-1 rounded border hover:bg-gray-50">Reset</button>
+            </div>
+          </div>
+        </header>
 
-            {showCoach && !testMode && (
-              <div className="mt-4"><CoachPanel ref={coachRef}/></div>
+        <main className="mx-auto max-w-7xl px-4 py-6">
+          <Toolbar/>
+          {!testMode && <LiveBrokerBar key={sessionKey}/>}
+          <div className="grid grid-cols-12 gap-4">
+            {/* Sidebar */}
+            {!testMode && (
+              <aside className="col-span-12 md:col-span-3 lg:col-span-2">
+                <nav className="rounded-xl border bg-white p-2 sticky top-20">
+                  {nav.map((n)=> (
+                    <button key={n.id} onClick={()=>setView(n.id)} className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${section.id===n.id?"bg-black text-white":"hover:bg-gray-50"}`}>
+                      <span className="text-current"><Icon name={n.icon}/></span>
+                      <span>{n.label}</span>
+                      {cards[n.id]?.length > 0 && <span className="ml-auto text-[10px] opacity-70">{cards[n.id].length} ✓</span>}
+                    </button>
+                  ))}
+                  <div className="mt-2 border-t pt-2 text-[11px] text-gray-500">Pick a section, then use the command cards.</div>
+                </nav>
+              </aside>
             )}
-          </section>
-        </div>
 
-        {/* Bottom dock terminal */}
-        {showTerm && (
-          <div className="mt-6">
-            <Terminal ref={termRef} title={`Terminal (${activeTerm === 'mqtt' ? 'MQTT CLI' : 'Node‑RED shell'})`} bindToPublishes heightClass="h-80 md:h-[28rem]" testMode={testMode} context={activeTerm}/>
+            {/* Main Panel */}
+            <section className={`${!testMode ? 'col-span-12 md:col-span-9 lg:col-span-10' : 'col-span-12'}`}>
+              <div className="rounded-xl border bg-white p-4">
+                {testMode ? (
+                  <ChallengePanel/>
+                ) : (
+                  <SentCards.Provider value={new Set(cards[section.id] || [])}>{renderPanel()}</SentCards.Provider>
+                )}
+              </div>
+
+              {showCoach && !testMode && (
+                <div className="mt-4"><CoachPanel key={sessionKey} ref={coachRef} initialNotes={notesRef.current} onNotesChange={(n)=>{ notesRef.current = n; }}/></div>
+              )}
+            </section>
           </div>
-        )}
 
-        {showLogs && (
-          <div className="rounded-xl border bg-white p-4 mt-4">
-            <h3 className="text-sm font-semibold mb-2">Live broker logs</h3>
-            <div className="font-mono text-xs bg-black text-emerald-300 rounded-lg p-3 overflow-auto max-h-56">
-              {logs.map((l,i)=>(<div key={i} className="whitespace-pre">{l}</div>))}
+          {/* Bottom dock terminal */}
+          {showTerm && (
+            <div className="mt-6">
+              <div className="flex flex-wrap items-end gap-1">
+                {terms.map((t) => (
+                  <div key={t.id} className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-t-lg border border-b-0 text-xs font-mono ${t.id === activeSession.id ? (t.context === "nodered" ? "bg-[#2b0000] text-red-300" : "bg-[#001a12] text-emerald-300") : "bg-white text-gray-600"}`}>
+                    <button onClick={()=>setActiveTermId(t.id)}>{t.id}</button>
+                    {terms.length > 1 && <button onClick={()=>closeSession(t.id)} title="Close this session (stops what runs in it)" className="opacity-60 hover:opacity-100">✕</button>}
+                  </div>
+                ))}
+              </div>
+              <div className={termLayout === "split" ? "grid md:grid-cols-2 gap-3" : ""}>
+                {terms.map((t) => (
+                  <div key={`${sessionKey}:${t.id}`} onFocusCapture={()=>setActiveTermId(t.id)} className={termLayout === "tabs" ? (t.id === activeSession.id ? "" : "hidden") : t.id === activeSession.id ? "rounded-xl ring-2 ring-blue-400" : ""}>
+                    <Terminal shell={sim.shells.get(t.id)} title={`${t.id} (${TERM_CONTEXTS[t.context]})`} heightClass={termLayout === "split" ? "h-72 md:h-96" : "h-80 md:h-[28rem]"} context={t.context}/>
+                  </div>
+                ))}
+              </div>
             </div>
-          </div>
-        )}
-      </main>
+          )}
 
-      <footer className="text-center text-[11px] text-gray-500 py-4">Page 1 · Bottom Dock Terminal · Test Mode available</footer>
-    </div>
+          {showLogs && <LogDrawer/>}
+        </main>
+
+        <footer className="text-center text-[11px] text-gray-500 py-4">Page 1 · Bottom Dock Terminal · Test Mode available</footer>
+      </div>
+    </Simulator.Provider>
   );
 }
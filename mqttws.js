@@ -0,0 +1,387 @@
+/*
+  MQTT CLI Trainer — MQTT over WebSocket client (plain JS, no dependencies)
+
+  Just enough MQTT 3.1 / 3.1.1 / 5 for the terminal's mosquitto_pub / _sub / _rr to talk to a real
+  broker from the page (simulator.js, live broker mode): CONNECT (clean or persistent, with a will),
+  PUBLISH at QoS 0-2 both ways, SUBSCRIBE / UNSUBSCRIBE, keepalive PINGREQ and DISCONNECT. The
+  WebSocket (subprotocol "mqtt") only carries the bytes; packets are encoded and decoded here.
+*/
+
+export const PACKET = {
+  CONNECT: 1, CONNACK: 2, PUBLISH: 3, PUBACK: 4, PUBREC: 5, PUBREL: 6, PUBCOMP: 7,
+  SUBSCRIBE: 8, SUBACK: 9, UNSUBSCRIBE: 10, UNSUBACK: 11, PINGREQ: 12, PINGRESP: 13, DISCONNECT: 14,
+};
+const PACKET_NAMES = Object.fromEntries(Object.entries(PACKET).map(([name, type]) => [type, name]));
+export function packetName(type) { return PACKET_NAMES[type] ?? `UNKNOWN(${type})`; }
+
+// MQTT 5 properties: id -> [name, wire type]
+const PROPERTIES = {
+  0x01: ["payloadFormat", "byte"], 0x02: ["messageExpiry", "u32"], 0x03: ["contentType", "str"],
+  0x08: ["responseTopic", "str"], 0x09: ["correlationData", "bin"], 0x0B: ["subscriptionId", "varint"],
+  0x11: ["sessionExpiry", "u32"], 0x12: ["assignedClientId", "str"], 0x13: ["serverKeepAlive", "u16"],
+  0x15: ["authMethod", "str"], 0x16: ["authData", "bin"], 0x17: ["requestProblemInfo", "byte"],
+  0x18: ["willDelay", "u32"], 0x19: ["requestResponseInfo", "byte"], 0x1A: ["responseInfo", "str"],
+  0x1C: ["serverReference", "str"], 0x1F: ["reasonString", "str"], 0x21: ["receiveMaximum", "u16"],
+  0x22: ["topicAliasMaximum", "u16"], 0x23: ["topicAlias", "u16"], 0x24: ["maximumQos", "byte"],
+  0x25: ["retainAvailable", "byte"], 0x26: ["userProperties", "pair"], 0x27: ["maximumPacketSize", "u32"],
+  0x28: ["wildcardAvailable", "byte"], 0x29: ["subscriptionIdsAvailable", "byte"], 0x2A: ["sharedAvailable", "byte"],
+};
+const PROPERTY_IDS = Object.fromEntries(Object.entries(PROPERTIES).map(([id, [name]]) => [name, Number(id)]));
+
+// CONNACK return codes (3.1.1) and reason codes (5) with the wording the mosquitto clients print
+const CONNACK_TEXT = {
+  1: "Connection Refused: unacceptable protocol version.", 2: "Connection Refused: identifier rejected.",
+  3: "Connection Refused: broker unavailable.", 4: "Connection Refused: bad user name or password.",
+  5: "Connection Refused: not authorised.",
+};
+const REASON_TEXT = {
+  0x80: "Unspecified error", 0x81: "Malformed Packet", 0x82: "Protocol Error", 0x83: "Implementation specific error",
+  0x84: "Unsupported Protocol Version", 0x85: "Client Identifier not valid", 0x86: "Bad User Name or Password",
+  0x87: "Not authorized", 0x88: "Server unavailable", 0x89: "Server busy", 0x8A: "Banned",
+  0x8C: "Bad authentication method", 0x95: "Packet too large", 0x97: "Quota exceeded", 0x9F: "Connection rate exceeded",
+};
+export function reasonText(code) { return REASON_TEXT[code] ?? `Unknown reason (${code})`; }
+export function connackText(code, protocol) {
+  return protocol === 5 ? reasonText(code) : CONNACK_TEXT[code] ?? `Connection Refused: unknown reason (${code}).`;
+}
+
+const utf8 = new TextEncoder();
+const fromUtf8 = new TextDecoder();
+
+// --- Encoding: every packet is built as a list of byte chunks ---
+function u16(n) { return [(n >> 8) & 0xff, n & 0xff]; }
+function u32(n) { return [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff]; }
+function varint(n) {
+  const out = [];
+  do { let b = n % 128; n = Math.floor(n / 128); if (n > 0) b |= 0x80; out.push(b); } while (n > 0);
+  return out;
+}
+function bin(bytes) { return [...u16(bytes.length), ...bytes]; }
+function str(text) { return bin(utf8.encode(text)); }
+function toBytes(value) { return typeof value === "string" ? utf8.encode(value) : new Uint8Array(value ?? []); }
+
+function encodeProperties(props = {}) {
+  const out = [];
+  for (const [name, value] of Object.entries(props)) {
+    const id = PROPERTY_IDS[name];
+    if (id == null || value == null) continue;
+    const type = PROPERTIES[id][1];
+    if (type === "pair") { for (const [k, v] of value) out.push(id, ...str(k), ...str(v)); continue; }
+    out.push(id);
+    if (type === "byte") out.push(value & 0xff);
+    else if (type === "u16") out.push(...u16(value));
+    else if (type === "u32") out.push(...u32(value));
+    else if (type === "varint") out.push(...varint(value));
+    else if (type === "str") out.push(...str(value));
+    else out.push(...bin(toBytes(value)));
+  }
+  return [...varint(out.length), ...out];
+}
+
+// `packet` is { type, ...fields } as decodePacket() returns it; `protocol` is 3, 4 or 5
+export function encodePacket(packet, protocol = 4) {
+  const v5 = protocol === 5;
+  const props = (p) => (v5 ? encodeProperties(p) : []);
+  let flags = 0; let body = [];
+  switch (packet.type) {
+    case PACKET.CONNECT: {
+      const { clientId = "", username, password, keepalive = 60, clean = true, will } = packet;
+      const name = protocol === 3 ? "MQIsdp" : "MQTT";
+      const willFlags = will ? 0x04 | ((will.qos ?? 0) << 3) | (will.retain ? 0x20 : 0) : 0;
+      const connectFlags = (username != null ? 0x80 : 0) | (password != null ? 0x40 : 0) | willFlags | (clean ? 0x02 : 0);
+      body = [...str(name), protocol, connectFlags, ...u16(keepalive), ...props(packet.properties), ...str(clientId)];
+      if (will) body.push(...props(will.properties ?? {}), ...str(will.topic), ...bin(toBytes(will.payload ?? "")));
+      if (username != null) body.push(...str(username));
+      if (password != null) body.push(...bin(toBytes(password)));
+      break;
+    }
+    case PACKET.CONNACK:
+      body = [packet.sessionPresent ? 1 : 0, packet.returnCode ?? 0, ...props(packet.properties)];
+      break;
+    case PACKET.PUBLISH: {
+      const { topic, qos = 0, retain = false, dup = false, packetId } = packet;
+      flags = (dup ? 0x08 : 0) | (qos << 1) | (retain ? 1 : 0);
+      body = [...str(topic), ...(qos > 0 ? u16(packetId) : []), ...props(packet.properties), ...toBytes(packet.payload)];
+      break;
+    }
+    case PACKET.PUBACK: case PACKET.PUBREC: case PACKET.PUBREL: case PACKET.PUBCOMP:
+      if (packet.type === PACKET.PUBREL) flags = 0x02;
+      body = u16(packet.packetId);
+      if (v5 && packet.reasonCode) body.push(packet.reasonCode);
+      break;
+    case PACKET.SUBSCRIBE:
+      flags = 0x02;
+      body = [...u16(packet.packetId), ...props(packet.properties), ...packet.subscriptions.flatMap(({ topic, qos = 0 }) => [...str(topic), qos])];
+      break;
+    case PACKET.SUBACK:
+      body = [...u16(packet.packetId), ...props(packet.properties), ...packet.granted];
+      break;
+    case PACKET.UNSUBSCRIBE:
+      flags = 0x02;
+      body = [...u16(packet.packetId), ...props(packet.properties), ...packet.topics.flatMap(str)];
+      break;
+    case PACKET.UNSUBACK:
+      body = [...u16(packet.packetId), ...(v5 ? [...props(packet.properties), ...(packet.reasonCodes ?? [])] : [])];
+      break;
+    case PACKET.PINGREQ: case PACKET.PINGRESP:
+      break;
+    case PACKET.DISCONNECT:
+      if (v5 && packet.reasonCode) body = [packet.reasonCode];
+      break;
+    default:
+      throw new Error(`cannot encode packet type ${packet.type}`);
+  }
+  return Uint8Array.from([(packet.type << 4) | flags, ...varint(body.length), ...body]);
+}
+
+// --- Decoding ---
+function reader(bytes, pos = 0) {
+  const r = {
+    pos,
+    left: () => bytes.length - r.pos,
+    byte: () => { if (r.pos >= bytes.length) throw new Error("packet too short"); return bytes[r.pos++]; },
+    u16: () => (r.byte() << 8) | r.byte(),
+    u32: () => ((r.byte() << 24) >>> 0) + (r.byte() << 16) + (r.byte() << 8) + r.byte(),
+    varint: () => { let n = 0; let mul = 1; let b; do { b = r.byte(); n += (b & 0x7f) * mul; mul *= 128; } while (b & 0x80); return n; },
+    bin: () => { const n = r.u16(); if (r.left() < n) throw new Error("packet too short"); const out = bytes.slice(r.pos, r.pos + n); r.pos += n; return out; },
+    str: () => fromUtf8.decode(r.bin()),
+    rest: () => { const out = bytes.slice(r.pos); r.pos = bytes.length; return out; },
+  };
+  return r;
+}
+function decodeProperties(r) {
+  const end = r.varint() + r.pos; const props = {};
+  while (r.pos < end) {
+    const id = r.varint(); const prop = PROPERTIES[id];
+    if (!prop) throw new Error(`unknown property 0x${id.toString(16)}`);
+    const [name, type] = prop;
+    if (type === "pair") { (props.userProperties ??= []).push([r.str(), r.str()]); continue; }
+    props[name] = type === "byte" ? r.byte() : type === "u16" ? r.u16() : type === "u32" ? r.u32() : type === "varint" ? r.varint() : type === "str" ? r.str() : r.bin();
+  }
+  return props;
+}
+
+// One whole packet (fixed header included) -> { type, ...fields }; throws on a malformed packet
+export function decodePacket(bytes, protocol = 4) {
+  const v5 = protocol === 5;
+  const r = reader(bytes);
+  const first = r.byte(); const type = first >> 4; const flags = first & 0x0f;
+  r.varint();
+  const props = () => (v5 ? decodeProperties(r) : {});
+  switch (type) {
+    case PACKET.CONNECT: {
+      const protocolName = r.str(); const level = r.byte(); const cf = r.byte(); const keepalive = r.u16();
+      const properties = level === 5 ? decodeProperties(r) : {};
+      const packet = { type, protocolName, protocol: level, clean: !!(cf & 0x02), keepalive, properties, clientId: r.str() };
+      if (cf & 0x04) {
+        const willProperties = level === 5 ? decodeProperties(r) : {};
+        packet.will = { properties: willProperties, topic: r.str(), payload: fromUtf8.decode(r.bin()), qos: (cf >> 3) & 3, retain: !!(cf & 0x20) };
+      }
+      if (cf & 0x80) packet.username = r.str();
+      if (cf & 0x40) packet.password = fromUtf8.decode(r.bin());
+      return packet;
+    }
+    case PACKET.CONNACK: {
+      const sessionPresent = !!(r.byte() & 1); const returnCode = r.byte();
+      return { type, sessionPresent, returnCode, properties: r.left() ? props() : {} };
+    }
+    case PACKET.PUBLISH: {
+      const qos = (flags >> 1) & 3;
+      const packet = { type, dup: !!(flags & 8), qos, retain: !!(flags & 1), topic: r.str() };
+      if (qos > 0) packet.packetId = r.u16();
+      packet.properties = props();
+      packet.payload = r.rest();
+      return packet;
+    }
+    case PACKET.PUBACK: case PACKET.PUBREC: case PACKET.PUBREL: case PACKET.PUBCOMP: {
+      const packet = { type, packetId: r.u16(), reasonCode: 0, properties: {} };
+      if (v5 && r.left()) { packet.reasonCode = r.byte(); if (r.left()) packet.properties = decodeProperties(r); }
+      return packet;
+    }
+    case PACKET.SUBSCRIBE: {
+      const packet = { type, packetId: r.u16(), properties: props(), subscriptions: [] };
+      while (r.left()) packet.subscriptions.push({ topic: r.str(), qos: r.byte() & 3 });
+      return packet;
+    }
+    case PACKET.SUBACK:
+      return { type, packetId: r.u16(), properties: props(), granted: [...r.rest()] };
+    case PACKET.UNSUBSCRIBE: {
+      const packet = { type, packetId: r.u16(), properties: props(), topics: [] };
+      while (r.left()) packet.topics.push(r.str());
+      return packet;
+    }
+    case PACKET.UNSUBACK: {
+      const packet = { type, packetId: r.u16(), properties: {}, reasonCodes: [] };
+      if (v5) { packet.properties = decodeProperties(r); packet.reasonCodes = [...r.rest()]; }
+      return packet;
+    }
+    case PACKET.PINGREQ: case PACKET.PINGRESP:
+      return { type };
+    case PACKET.DISCONNECT:
+      return { type, reasonCode: r.left() ? r.byte() : 0, properties: v5 && r.left() ? decodeProperties(r) : {} };
+    default:
+      throw new Error(`unknown packet type ${type}`);
+  }
+}
+
+// Splits a byte stream into whole packets; WebSocket frames may carry several, or part of one
+export function splitPackets(bytes) {
+  const packets = []; let pos = 0;
+  while (pos + 2 <= bytes.length) {
+    let len = 0; let mul = 1; let i = pos + 1; let b;
+    do { if (i >= bytes.length) return { packets, rest: bytes.slice(pos) }; b = bytes[i++]; len += (b & 0x7f) * mul; mul *= 128; } while (b & 0x80);
+    if (i + len > bytes.length) break;
+    packets.push(bytes.slice(pos, i + len)); pos = i + len;
+  }
+  return { packets, rest: bytes.slice(pos) };
+}
+
+const REAL_CLOCK = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (t) => clearTimeout(t),
+  setInterval: (fn, ms) => setInterval(fn, ms), clearInterval: (t) => clearInterval(t),
+};
+
+// One client connection (`properties` go out with CONNECT on MQTT 5; `clean` false asks for a persistent
+// session and `will` is { topic, payload, qos, retain, properties }). Nothing happens until connect(); then
+//   connect()                              -> { connack } or { error } (the text mosquitto's clients print)
+//   subscribe(filters, qos, properties)    -> granted QoS / failure codes from SUBACK
+//   publish({ topic, payload, qos, retain, properties }) resolves when the QoS flow completes
+//   unsubscribe(filters), disconnect() (sends DISCONNECT), close() (drops the socket)
+// onMessage(fn) gets { topic, payload (text), qos, retain, properties }; onLost(fn) fires once if
+// the connection drops without disconnect(); onPacket(fn) sees every packet as ("sending" | "received", packet).
+export function createMqttConnection({ url, clientId = "", username, password, protocol = 4, keepalive = 60, clean = true, will = null, properties: connectProperties = {}, WebSocket = globalThis.WebSocket, clock = REAL_CLOCK, connectTimeout = 10000 }) {
+  const handlers = { message: new Set(), lost: new Set(), packet: new Set() };
+  const pending = new Map(); // "<PACKET>:<id>" -> resolve
+  const inbound = new Map(); // QoS 2 messages waiting for PUBREL
+  let ws = null; let buffer = new Uint8Array(0); let nextId = 1; let pingTimer = null;
+  let state = "idle"; // idle | connecting | connected | closed
+
+  const emit = (kind, ...args) => handlers[kind].forEach((fn) => fn(...args));
+  const on = (kind) => (fn) => { handlers[kind].add(fn); return () => handlers[kind].delete(fn); };
+  function packetId() { const id = nextId; nextId = nextId % 65535 + 1; return id; }
+  function send(packet) {
+    if (!ws || ws.readyState !== 1) return false;
+    emit("packet", "sending", packet);
+    ws.send(encodePacket(packet, protocol));
+    return true;
+  }
+  function expect(type, id) { return new Promise((resolve) => pending.set(`${type}:${id}`, resolve)); }
+  function settle(type, id, value) {
+    const resolve = pending.get(`${type}:${id}`);
+    if (resolve) { pending.delete(`${type}:${id}`); resolve(value); }
+  }
+  function shutdown(lost) {
+    if (state === "closed") return;
+    const wasConnected = state === "connected";
+    state = "closed";
+    conn.state = state;
+    clock.clearInterval(pingTimer);
+    try { ws?.close(); } catch { /* already closing */ }
+    for (const resolve of pending.values()) resolve(null);
+    pending.clear();
+    if (lost && wasConnected) emit("lost");
+  }
+
+  function received(packet) {
+    emit("packet", "received", packet);
+    switch (packet.type) {
+      case PACKET.CONNACK: settle(PACKET.CONNACK, 0, packet); break;
+      case PACKET.SUBACK: settle(PACKET.SUBACK, packet.packetId, packet.granted); break;
+      case PACKET.UNSUBACK: settle(PACKET.UNSUBACK, packet.packetId, packet); break;
+      case PACKET.PUBACK: case PACKET.PUBCOMP: settle(packet.type, packet.packetId, packet); break;
+      case PACKET.PUBREC:
+        send({ type: PACKET.PUBREL, packetId: packet.packetId });
+        settle(PACKET.PUBREC, packet.packetId, packet);
+        break;
+      case PACKET.PUBLISH: {
+        const msg = { topic: packet.topic, payload: fromUtf8.decode(packet.payload), qos: packet.qos, retain: packet.retain, properties: packet.properties };
+        if (packet.qos === 1) send({ type: PACKET.PUBACK, packetId: packet.packetId });
+        if (packet.qos === 2) {
+          if (!inbound.has(packet.packetId)) inbound.set(packet.packetId, msg);
+          send({ type: PACKET.PUBREC, packetId: packet.packetId });
+          break;
+        }
+        emit("message", msg);
+        break;
+      }
+      case PACKET.PUBREL: {
+        const msg = inbound.get(packet.packetId); inbound.delete(packet.packetId);
+        send({ type: PACKET.PUBCOMP, packetId: packet.packetId });
+        if (msg) emit("message", msg);
+        break;
+      }
+      case PACKET.DISCONNECT: shutdown(true); break;
+      default: break; // PINGRESP
+    }
+  }
+
+  function connect() {
+    state = "connecting"; conn.state = state;
+    return new Promise((resolve) => {
+      let done = false;
+      const finish = (result) => { if (done) return; done = true; clock.clearTimeout(timer); if (result.error) shutdown(false); resolve(result); };
+      const timer = clock.setTimeout(() => finish({ error: "Error: Connection timed out" }), connectTimeout);
+      if (typeof WebSocket !== "function") { finish({ error: "Error: WebSockets are not available here" }); return; }
+      try {
+        ws = new WebSocket(url, ["mqtt"]);
+      } catch (e) {
+        finish({ error: `Error: ${e.message}` }); return;
+      }
+      ws.binaryType = "arraybuffer";
+      ws.onopen = () => {
+        send({ type: PACKET.CONNECT, clientId, username, password, keepalive, clean, will, properties: connectProperties });
+        expect(PACKET.CONNACK, 0).then((connack) => {
+          if (!connack) { finish({ error: "Error: The connection was lost." }); return; }
+          if (connack.returnCode !== 0) { finish({ error: `Connection error: ${connackText(connack.returnCode, protocol)}` }); return; }
+          state = "connected"; conn.state = state;
+          const every = connack.properties?.serverKeepAlive ?? keepalive;
+          if (every > 0) pingTimer = clock.setInterval(() => send({ type: PACKET.PINGREQ }), every * 1000);
+          finish({ connack });
+        });
+      };
+      ws.onmessage = (ev) => {
+        const chunk = new Uint8Array(ev.data);
+        const joined = new Uint8Array(buffer.length + chunk.length); joined.set(buffer); joined.set(chunk, buffer.length);
+        const { packets, rest } = splitPackets(joined); buffer = rest;
+        for (const bytes of packets) {
+          let packet;
+          try { packet = decodePacket(bytes, protocol); } catch { shutdown(true); return; }
+          received(packet);
+        }
+      };
+      // Browsers give no detail on a failed WebSocket; from the client's side it is a refused connection
+      ws.onerror = () => finish({ error: "Error: Connection refused" });
+      ws.onclose = () => { finish({ error: "Error: Connection refused" }); shutdown(true); };
+    });
+  }
+
+  async function subscribe(filters, qos = 0, properties = {}) {
+    const id = packetId();
+    const answer = expect(PACKET.SUBACK, id);
+    if (!send({ type: PACKET.SUBSCRIBE, packetId: id, subscriptions: filters.map((topic) => ({ topic, qos })), properties })) return null;
+    return answer;
+  }
+  async function unsubscribe(filters) {
+    const id = packetId();
+    const answer = expect(PACKET.UNSUBACK, id);
+    if (!send({ type: PACKET.UNSUBSCRIBE, packetId: id, topics: filters, properties: {} })) return null;
+    return answer;
+  }
+  async function publish({ topic, payload = "", qos = 0, retain = false, properties = {} }) {
+    const id = qos > 0 ? packetId() : undefined;
+    const answer = qos === 1 ? expect(PACKET.PUBACK, id) : qos === 2 ? expect(PACKET.PUBCOMP, id) : null;
+    if (!send({ type: PACKET.PUBLISH, topic, payload, qos, retain, packetId: id, properties })) return null;
+    return qos === 0 ? { packetId: 0 } : answer;
+  }
+  function disconnect() {
+    if (state === "connected") send({ type: PACKET.DISCONNECT });
+    shutdown(false);
+  }
+
+  const conn = {
+    state, clientId, protocol,
+    connect, subscribe, unsubscribe, publish, disconnect, close: () => shutdown(false),
+    onMessage: on("message"), onLost: on("lost"), onPacket: on("packet"),
+  };
+  return conn;
+}
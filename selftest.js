@@ -0,0 +1,538 @@
+/*
+  MQTT CLI Trainer — simulator self-tests (plain JS, no React, no test framework)
+
+  Every test gets its own createSimulator() on a fake clock, so nothing waits on real time and the
+  live lab is never touched. The page's Tests panel runs them in the browser; `npm test` runs the
+  same list under Node (test/selftest.test.js).
+*/
+import { CHALLENGES, createSimulator, formatMessage, matchTopic, parseMosqArgs, parseShell } from "./simulator.js";
+
+// Timers only fire when the test advances the clock, in due order (ties in the order they were set)
+export function createFakeClock(start = Date.UTC(2025, 7, 13, 14, 15, 22)) {
+  let now = start; let nextId = 1;
+  const timers = new Map();
+  const add = (fn, ms, every) => { const id = nextId++; timers.set(id, { fn, at: now + Math.max(0, Number(ms) || 0), every }); return id; };
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, 0),
+    clearTimeout: (id) => { timers.delete(id); },
+    setInterval: (fn, ms) => add(fn, ms, Math.max(1, Number(ms) || 0)),
+    clearInterval: (id) => { timers.delete(id); },
+    // Moves time forward by `ms`, running what falls due and letting promises settle in between
+    async advance(ms = 0) {
+      const end = now + ms;
+      for (;;) {
+        await settle();
+        let next = null;
+        for (const [id, t] of timers) if (t.at <= end && (!next || t.at < next[1].at)) next = [id, t];
+        if (!next) break;
+        const [id, t] = next; now = t.at;
+        if (t.every) t.at += t.every; else timers.delete(id);
+        t.fn();
+      }
+      now = end;
+    },
+  };
+}
+async function settle() { for (let i = 0; i < 20; i++) await null; }
+
+// Lines present in only one side, prefixed "- " (expected) / "+ " (actual); shared lines get "  "
+export function diffLines(expected, actual) {
+  const n = expected.length; const m = actual.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) for (let j = m - 1; j >= 0; j--) lcs[i][j] = expected[i] === actual[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+  const out = []; let i = 0; let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && expected[i] === actual[j]) { out.push(`  ${expected[i]}`); i++; j++; }
+    else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) out.push(`- ${expected[i++]}`);
+    else out.push(`+ ${actual[j++]}`);
+  }
+  return out;
+}
+const asLines = (v) => (Array.isArray(v) ? v.map((x) => (typeof x === "string" ? x : JSON.stringify(x))) : JSON.stringify(v, null, 2).split("\n"));
+
+// What a test body gets: an isolated lab plus expect(), which records a diff instead of throwing
+function createLab() {
+  const clock = createFakeClock();
+  const sim = createSimulator({ clock });
+  const failures = [];
+  const lab = {
+    sim, clock,
+    shell: sim.openShell({ id: "test" }),
+    // Types `cmd` into a shell, lets `ms` of simulated time pass and returns the lines it printed
+    async run(cmd, { ms = 0, shell = lab.shell } = {}) {
+      const from = shell.lines.length;
+      shell.submit(cmd);
+      await clock.advance(ms);
+      return shell.lines.slice(from);
+    },
+    expect(actual, expected, label) {
+      const a = asLines(actual); const e = asLines(expected);
+      if (a.join("\n") !== e.join("\n")) failures.push({ label, diff: diffLines(e, a) });
+    },
+  };
+  return { lab, failures };
+}
+
+// --- The suite: { name, run(lab) } ---
+export const SELF_TESTS = [
+  {
+    name: "matchTopic: wildcards and levels",
+    run: ({ expect }) => {
+      const cases = [
+        ["sport/tennis/player1", "sport/tennis/player1", true],
+        ["sport/tennis/#", "sport/tennis", true], // # also matches the parent level
+        ["sport/tennis/#", "sport/tennis/player1/ranking", true],
+        ["sport/#", "sports", false],
+        ["sport/+", "sport", false],
+        ["sport/+", "sport/", true], // an empty level is still a level
+        ["sport/+/player1", "sport/tennis/player1", true],
+        ["sport/+/player1", "sport/tennis/player2", false],
+        ["+/+", "/finance", true],
+        ["/+", "/finance", true],
+        ["+", "/finance", false],
+        ["+", "finance", true],
+        ["a/b", "a/b/c", false],
+        ["a/b/c", "a/b", false],
+        ["#", "any/topic/at/all", true],
+        ["#", "$SYS/broker/uptime", false], // leading wildcards skip $ topics
+        ["+/broker/uptime", "$SYS/broker/uptime", false],
+        ["$SYS/#", "$SYS/broker/uptime", true],
+        ["$SYS/broker/+", "$SYS/broker/uptime", true],
+        ["a/#/b", "a/x/b", false], // invalid filters match nothing
+        ["sport+", "sport+", false],
+        ["a/+", "a/+", false], // nor do topic names with wildcards
+        ["a//b", "a//b", true],
+        ["", "", false],
+      ];
+      expect(cases.map(([f, t]) => `${f} ~ ${t}: ${matchTopic(f, t)}`), cases.map(([f, t, want]) => `${f} ~ ${t}: ${want}`));
+    },
+  },
+  {
+    name: "Flag parsing: mosquitto_pub / mosquitto_sub errors",
+    run: ({ expect }) => {
+      expect(parseMosqArgs("mosquitto_pub", ["-t", "a", "-q", "3", "-m", "x"]).error, ["Error: Invalid QoS given: 3", "Use 'mosquitto_pub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_pub", ["-t", "a"]).error, ["Error: Both topic and message must be supplied.", "Use 'mosquitto_pub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_sub", ["-t"]).error, ["Error: -t argument given but no topic specified.", "Use 'mosquitto_sub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_sub", ["-x"]).error, ["Error: Unknown option '-x'.", "Use 'mosquitto_sub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_rr", ["-t", "a", "-e", "b", "-m", "x", "-W", "0"]).error, ['Error: Invalid timeout "0".', "Use 'mosquitto_rr --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_sub", ["-t", "a/#/b"]).error, ["Error: Invalid subscription topic 'a/#/b', are all '+' and '#' wildcards correct?", "Use 'mosquitto_sub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_sub", ["-t", "a", "-T", "sport+"]).error, ["Error: Invalid filter topic 'sport+', are all '+' and '#' wildcards correct?", "Use 'mosquitto_sub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_pub", ["-t", "a/#", "-m", "x"]).error, ["Error: Invalid publish topic 'a/#', does it contain '+' or '#'?", "Use 'mosquitto_pub --help' to see usage."]);
+      expect(parseMosqArgs("mosquitto_rr", ["-t", "a", "-e", "r/+", "-m", "x"]).error, ["Error: Invalid response topic 'r/+', does it contain '+' or '#'?", "Use 'mosquitto_rr --help' to see usage."]);
+      const pub = (...d) => parseMosqArgs("mosquitto_pub", ["-t", "a", "-m", "x", ...d]).error?.[0];
+      expect([pub("--repeat", "0"), pub("--repeat", "many"), pub("--repeat-delay", "-0.5"), pub("--repeat")], [
+        "Error: --repeat argument must be >0.", "Error: --repeat argument must be >0.", "Error: --repeat-delay argument must be >=0.0.",
+        "Error: --repeat argument given but no count specified.",
+      ]);
+      expect([pub("-k", "2"), pub("--will-qos", "3", "--will-topic", "w"), pub("--will-topic", "w/#"), pub("--will-payload", "bye"), pub("--will-retain"), pub("-c")], [
+        "Error: Invalid keepalive given, it must be between 5 and 65535 inclusive.", "Error: Invalid will QoS 3.", "Error: Invalid will topic 'w/#', does it contain '+' or '#'?",
+        "Error: Will payload given, but no will topic given.", "Error: Will retain given, but no will topic given.", "Error: You must provide a client id if you are using the -c option.",
+      ]);
+      expect([
+        pub("-D", "publish", "correlation-data"), pub("-D", "ping", "user-property", "k", "v"), pub("-D", "publish", "expiry", "5"),
+        pub("-D", "publish", "subscription-identifier", "1"), pub("-D", "publish", "message-expiry-interval", "-1"),
+        pub("-D", "publish", "content-type", "a", "-D", "publish", "content-type", "b"),
+      ], [
+        "Error: -D argument given but not enough arguments specified.", "Error: Invalid command given in -D ping",
+        "Error: Invalid property name expiry in -D publish expiry", "Error: subscription-identifier property not allowed for publish in -D publish subscription-identifier",
+        "Error: Property value (-1) out of range for property message-expiry-interval.", "Error in PUBLISH properties: Duplicate property in property list.",
+      ]);
+    },
+  },
+  {
+    name: "Flag parsing: options and shell syntax",
+    run: ({ expect }) => {
+      expect(parseMosqArgs("mosquitto_sub", ["-t", "a/#", "-t", "b", "-v", "-C", "2", "--qos", "1"]).opts, { topics: ["a/#", "b"], filterOut: [], verbose: true, count: 2, qos: 1, protocol: 4 });
+      // -D implies MQTT v5 unless a later -V picks another version
+      expect(parseMosqArgs("mosquitto_pub", ["-t", "a", "-m", "x", "-D", "publish", "user-property", "line", "1", "-D", "publish", "correlation-data", "42"]).opts,
+        { topic: "a", message: "x", props: { publish: { userProperties: [["line", "1"]], correlationData: "42" } }, protocol: 5, qos: 0 });
+      expect(parseMosqArgs("mosquitto_pub", ["-t", "a", "-m", "x", "-D", "publish", "content-type", "t", "-V", "mqttv311"]).opts.protocol, 4);
+      expect(parseShell(`echo "a b" 'c|d' | sudo tee -a f >> g`), { stages: [["echo", "a b", "c|d"], ["sudo", "tee", "-a", "f"]], redirect: { path: "g", append: true }, background: false });
+      expect(parseShell("mosquitto_sub -t 'x/#' &"), { stages: [["mosquitto_sub", "-t", "x/#"]], redirect: null, background: true });
+    },
+  },
+  {
+    name: "Retained messages reach late subscribers and can be cleared",
+    run: async ({ run, expect }) => {
+      await run("mosquitto_pub -t line/status -m RUN -r");
+      expect(await run("mosquitto_sub -t line/status -v -C 1"), ["$ mosquitto_sub -t line/status -v -C 1", "line/status RUN"]);
+      await run("mosquitto_pub -t line/status -r -n");
+      expect(await run("mosquitto_sub -t line/status -v", { ms: 5000 }), ["$ mosquitto_sub -t line/status -v"]);
+    },
+  },
+  {
+    name: "$SYS: retained statistics on subscribe, updates every sys_interval",
+    run: async ({ run, expect }) => {
+      const stats = "mosquitto_sub -t '$SYS/broker/messages/received' -t '$SYS/broker/retained messages/count' -v";
+      const output = (lines) => lines.filter((l) => !l.startsWith("$ ") && !l.startsWith("["));
+      expect(output(await run(`${stats} -C 2`)), ["$SYS/broker/messages/received 0", "$SYS/broker/retained messages/count 0"]);
+      await run("mosquitto_sub -t '#' -v &"); // sees the publish below but none of the $SYS tree
+      expect(output(await run("mosquitto_pub -t line/status -m RUN -r")), ["line/status RUN"]);
+      expect(output(await run(`${stats} &`, { ms: 10000 })), [
+        "$SYS/broker/messages/received 0", "$SYS/broker/retained messages/count 0",
+        // the PLC's retained birth message on click/line1/status counts too
+        "$SYS/broker/messages/received 2", "$SYS/broker/retained messages/count 12",
+      ]);
+      await run("kill %1 %2");
+      await run("sudo systemctl restart mosquitto"); // the counters start again with the broker (and the PLC reconnects)
+      expect(output(await run(`${stats} -C 1`)), ["$SYS/broker/messages/received 1"]);
+    },
+  },
+  {
+    name: "QoS is downgraded to the subscription; live traffic arrives with r0",
+    run: async ({ run, expect }) => {
+      await run("mosquitto_sub -t a/+ -q 1 -d &");
+      expect((await run("mosquitto_pub -t a/b -m hi -q 2 -r")).filter((l) => l.startsWith("Client (null) received PUBLISH")), ["Client (null) received PUBLISH (d0, q1, r0, m1, 'a/b', ... (2 bytes))"]);
+      await run("kill %1");
+      await run("mosquitto_sub -t a/+ -d &");
+      expect((await run("mosquitto_pub -t a/c -m yo -q 1")).filter((l) => l.startsWith("Client (null) received PUBLISH")), ["Client (null) received PUBLISH (d0, q0, r0, m0, 'a/c', ... (2 bytes))"]);
+    },
+  },
+  {
+    name: "QoS 2 publish: PUBREC / PUBREL / PUBCOMP",
+    run: async ({ run, expect }) => {
+      expect(await run("mosquitto_pub -t a/b -m hi -q 2 -d"), [
+        "$ mosquitto_pub -t a/b -m hi -q 2 -d",
+        "Client (null) sending CONNECT",
+        "Client (null) received CONNACK (0)",
+        "Client (null) sending PUBLISH (d0, q2, r0, m1, 'a/b', ... (2 bytes))",
+        "Client (null) received PUBREC (Mid: 1)",
+        "Client (null) sending PUBREL (m1)",
+        "Client (null) received PUBCOMP (Mid: 1, RC:0)",
+        "Client (null) sending DISCONNECT",
+      ]);
+    },
+  },
+  {
+    name: "mosquitto_sub -C exits after the count",
+    run: async ({ run, expect, shell }) => {
+      await run("mosquitto_sub -t t -v -C 1 &");
+      await run("mosquitto_pub -t t -m hi1");
+      await run("mosquitto_pub -t t -m hi2");
+      expect(shell.lines.filter((l) => l.startsWith("t ") || l.startsWith("[1]")), ["[1] 2301", "t hi1", "[1]+  Done                    mosquitto_sub -t t -v -C 1"]);
+    },
+  },
+  {
+    name: "mosquitto_passwd: mismatched, empty or cancelled passwords exit 1, a saved one 0",
+    run: async ({ sim, run, expect, shell }) => {
+      await run("mosquitto_passwd -c pw plc1 &");
+      await run("secret");
+      expect((await run("secrte")).slice(1), ["Error: Passwords do not match.", "[1]+  Exit 1                  mosquitto_passwd -c pw plc1"]);
+      expect((await run("mosquitto_passwd -c -b pw plc1 '' &")).slice(1), ["[1] 2302", "Error: Empty password.", "[1]+  Exit 1                  mosquitto_passwd -c -b pw plc1 ''"]);
+      await run("mosquitto_passwd -c cancelled plc1");
+      await run("secret");
+      shell.interrupt();
+      expect([shell.lines.at(-1), shell.busy(), sim.vfs.files.has("/home/tech/cancelled")], ["Reenter password: ^C", false, false], "Ctrl+C at the prompt writes nothing");
+      expect((await run("mosquitto_passwd -c -b pw plc1 clickpass &")).slice(1), ["[1] 2304", "[1]+  Done                    mosquitto_passwd -c -b pw plc1 clickpass"]);
+    },
+  },
+  {
+    name: "Saved sessions: restoring a stopped broker stops the running one and tells its clients",
+    run: async ({ run, expect, sim, clock, shell }) => {
+      sim.serviceStop();
+      const snapshot = JSON.parse(JSON.stringify(sim.capture()));
+      sim.serviceStart();
+      await run("mosquitto_sub -t lab/# &");
+      expect(sim.plc.client !== null, true, "the PLC is connected");
+      sim.restore(snapshot);
+      await clock.advance(10);
+      expect(shell.lines.slice(-2), ["Error: The connection was lost.", "[1]+  Exit 7                  mosquitto_sub -t lab/#"]);
+      expect([sim.broker.service.state, sim.plc.client], ["inactive", null]);
+      sim.restore({ ...snapshot, broker: { ...snapshot.broker, state: "active" } });
+      expect([sim.broker.service.state, sim.plc.client !== null], ["active", true], "an active snapshot starts it again");
+    },
+  },
+  {
+    name: "Challenges: giving up puts back what the setup changed; the lockdown hint passes",
+    run: async ({ sim, run, expect }) => {
+      const hint = CHALLENGES.find((c) => c.id === "lockdown").hints[2].split("\n");
+      expect(hint, [
+        "sudo mosquitto_passwd -c -b /etc/mosquitto/passwd plc1 clickpass",
+        "printf 'allow_anonymous false\\npassword_file /etc/mosquitto/passwd\\n' | sudo tee /etc/mosquitto/conf.d/auth.conf",
+        "sudo systemctl restart mosquitto",
+        "mosquitto_pub -u plc1 -P clickpass -t click/line1/telemetry/DS1 -m 1",
+      ], "one command per line");
+      await run("mosquitto_pub -t click/line1/status -m STOP -r");
+      sim.challengeStart("retained-status");
+      expect(sim.broker.retained.has("click/line1/status"), false, "the setup clears it");
+      sim.challengeGiveUp();
+      expect(sim.broker.retained.get("click/line1/status")?.payload, "STOP", "back after giving up");
+      sim.challengeStart("broker-restart");
+      sim.challengeGiveUp();
+      expect(sim.broker.service.state, "active");
+      sim.challengeStart("lockdown");
+      for (const line of hint) await run(line, { ms: 100 });
+      expect(sim.challenges.last?.status, "passed");
+    },
+  },
+  {
+    name: "mosquitto_rr: the reply comes before -W and cancels the timeout",
+    run: async ({ run, expect, clock, shell }) => {
+      expect(await run("mosquitto_rr -t requests/line1/status -e replies/line1 -m get -W 2", { ms: 500 }), ["$ mosquitto_rr -t requests/line1/status -e replies/line1 -m get -W 2"]);
+      expect(shell.busy(), true, "still waiting after 500 ms");
+      await clock.advance(100);
+      expect(shell.lines.slice(-1), ["RUN"]);
+      expect(shell.busy(), false, "done once the reply arrived");
+      await clock.advance(5000);
+      expect(shell.lines.slice(-1), ["RUN"], "no timeout line later");
+    },
+  },
+  {
+    name: "mosquitto_rr: MQTT v5 only, \"Timed out\" after -W, no -l",
+    run: async ({ run, expect, sim, clock, shell }) => {
+      expect((await run("mosquitto_rr -t req -e res -m status -V mqttv311 &")).slice(1), ["[1] 2301", "Error: mosquitto_rr only supports MQTT v5.", "[1]+  Exit 1                  mosquitto_rr -t req -e res -m status -V mqttv311"]);
+      sim.vfs.files.get("/home/tech/responder.json").content = JSON.stringify({ rules: [{ topic: "req", reply: null }] });
+      expect((await run("mosquitto_rr -t req -e res -m status -W 1 &", { ms: 999 })).slice(1), ["[1] 2302"], "still waiting at 999 ms");
+      await clock.advance(1);
+      expect(shell.lines.slice(-2), ["Timed out", "[1]+  Exit 27                 mosquitto_rr -t req -e res -m status -W 1"]);
+      expect((await run("mosquitto_rr -t req -e res -l")).slice(1), ["Error: Unknown option '-l'.", "Use 'mosquitto_rr --help' to see usage."]);
+    },
+  },
+  {
+    name: "MQTT 5 properties: -D on publish, -F output, retained expiry, none for v3.1.1 subscribers",
+    run: async ({ run, expect, clock, shell }) => {
+      await run("mosquitto_sub -t 'line/#' -F '%t %p D=%D P=%P E=%E S=%S' -D subscribe subscription-identifier 7 &");
+      await run("mosquitto_sub -t 'line/#' -F '%t %p D=%D P=%P' &");
+      await run("mosquitto_pub -t line/cmd -m go -r -D publish correlation-data c1 -D publish user-property k v -D publish user-property a b -D publish message-expiry-interval 30");
+      expect(shell.lines.filter((l) => l.startsWith("line/")), ["line/cmd go D=c1 P=k:v a:b E=30 S=7", "line/cmd go D= P="]);
+      await clock.advance(20000);
+      expect((await run("mosquitto_sub -t line/cmd -V mqttv5 -C 1 -F '%p %E %r'")).slice(1), ["go 10 1"], "expiry counts down in the store");
+      await clock.advance(10000);
+      expect((await run("mosquitto_sub -t line/cmd -V mqttv5 -C 1 -F %p &")).slice(2), [], "then it is gone");
+      expect((await run("mosquitto_rr -t plc/cmd -e plc/ack -m start -D publish correlation-data 42 -F '%p cd=%D %%'", { ms: 650 })).slice(1), ["OK cd=42 %"]);
+    },
+  },
+  {
+    name: "mosquitto_sub -F: JSON (%j, %J, --pretty), hex, field widths and times; -N and -R",
+    run: async ({ run, expect, shell }) => {
+      const msg = { topic: "plc/raw", payload: "\x01*AB", qos: 1, mid: 3, retained: true };
+      const now = new Date(Date.UTC(2025, 7, 13, 14, 15, 22, 250));
+      expect(formatMessage("%x %X %l %m|%-8t|%8t|%05l|%.3t|%3p|%U %", msg, { now }), "012a4142 012A4142 4 3|plc/raw | plc/raw|00004|plc|\x01*A|1755094522.250000000 ");
+      const noTime = (line) => line.replace(/"tst":\t?"[^"]+"/, '"tst":"-"');
+      await run("mosquitto_sub -t 'sensors/#' -F %j &");
+      await run("mosquitto_sub -t 'sensors/#' -F %J --pretty &");
+      await run("mosquitto_pub -t sensors/line1 -m '{\"temp\":22.8,\"hum\":41}'");
+      expect(shell.lines.filter((l) => l.startsWith("{")).map(noTime), [
+        '{"tst":"-","topic":"sensors/line1","qos":0,"retain":0,"payloadlen":22,"payload":"{\\"temp\\":22.8,\\"hum\\":41}"}',
+        '{\n\t"tst":"-",\n\t"topic":\t"sensors/line1",\n\t"qos":\t0,\n\t"retain":\t0,\n\t"payloadlen":\t22,\n\t"payload":\t{\n\t\t"temp":\t22.8,\n\t\t"hum":\t41\n\t}\n}',
+      ]);
+      expect((await run("mosquitto_pub -t sensors/line1 -m 22.8C")).filter((l) => l.startsWith("Error")), ["Error: Message payload is not valid JSON on topic sensors/line1."]);
+      await run("kill %1 %2");
+      await run("mosquitto_pub -t line/state -m RUN -r");
+      await run("mosquitto_sub -t 'line/#' -R -N -v &");
+      expect((await run("mosquitto_pub -t line/state -m STOP")).slice(1), ["line/state STOP"], "-R skips the retained RUN");
+      await run("mosquitto_pub -t line/count -m 7");
+      expect(shell.lines.slice(-2), ["line/state STOP$ mosquitto_pub -t line/count -m 7", "line/count 7"], "-N leaves the line open");
+      await run("mosquitto_pub -t line/state -n");
+      expect(shell.lines.slice(-1), ["line/count 7$ mosquitto_pub -t line/state -n"], "a null message prints nothing with -N");
+      await run("kill %1");
+      await run("mosquitto_sub -t 'line/#' -v &");
+      expect((await run("mosquitto_pub -t line/state -n")).slice(1), ["line/state (null)"]);
+    },
+  },
+  {
+    name: "mosquitto_pub -l / -s read the terminal until Ctrl+D, or piped stdin",
+    run: async ({ run, expect, clock, shell }) => {
+      await run("mosquitto_sub -t 'plc/#' -v &");
+      await run("mosquitto_pub -t plc/cmd -l");
+      expect(shell.jobs.fg?.reading, true);
+      expect(await run("start"), ["start", "plc/cmd start"], "-l sends each line as it is typed");
+      expect(await run(""), ["", "plc/cmd (null)"]);
+      shell.endOfInput(""); await clock.advance(0);
+      expect(shell.busy(), false, "Ctrl+D ends the input");
+      await run("mosquitto_pub -t plc/note -s");
+      await run("line one"); await run("line two");
+      shell.endOfInput(""); await clock.advance(0);
+      expect(shell.lines.slice(-1), ["plc/note line one\nline two\n"], "-s sends everything typed at once");
+      await run("mosquitto_pub -t plc/cmd -l");
+      await run("stop"); shell.interrupt(""); await clock.advance(0);
+      expect(shell.lines.slice(-3), ["stop", "plc/cmd stop", "^C"]);
+      expect((await run("printf 'a\\nb\\n' | mosquitto_pub -t plc/cmd -l")).slice(1), ["plc/cmd a", "plc/cmd b"]);
+      await run("printf '\\x00\\x2a' > reg.bin");
+      await run("kill %1");
+      await run("mosquitto_sub -t plc/reg -F '%l bytes: %x' &");
+      expect((await run("mosquitto_pub -t plc/reg -f reg.bin")).slice(1), ["2 bytes: 002a"]);
+    },
+  },
+  {
+    name: "mosquitto_pub --repeat: paced by --repeat-delay, stopped by Ctrl+C; scrollback keeps the newest lines",
+    run: async ({ run, expect, clock, sim, shell }) => {
+      await run("mosquitto_sub -t 'load/#' -v &");
+      expect(await run("mosquitto_pub -t load/a -m x --repeat 3 --repeat-delay 0.5"), ["$ mosquitto_pub -t load/a -m x --repeat 3 --repeat-delay 0.5", "load/a x"]);
+      expect(shell.busy(), true, "the job runs until the last send");
+      const sent = () => shell.lines.filter((l) => l === "load/a x").length;
+      await clock.advance(400);
+      expect(sent(), 1);
+      await clock.advance(600);
+      expect([sent(), shell.busy()], [3, false]);
+      await run("mosquitto_pub -t load/b -m y -q 1 --repeat 1000 --repeat-delay 0.001", { ms: 250 });
+      shell.interrupt(); await clock.advance(1000);
+      expect(shell.lines.filter((l) => l === "load/b y").length, 251, "1k msg/s for 250 ms");
+      sim.setScrollback(100);
+      await run("mosquitto_pub -t load/c -m z --repeat 500", { ms: 10 });
+      expect([shell.lines.length, shell.lines.slice(-1)[0], sim.broker.stats.received >= 754], [100, "load/c z", true]);
+    },
+  },
+  {
+    name: "journalctl: broker events with priorities and client ids, -u / -p / -n / --since / -o json and -f",
+    run: async ({ run, expect, clock, shell, sim }) => {
+      await run("mosquitto_sub -t lab/# -i watcher &");
+      await run("mosquitto_pub -t lab/x -m hi -i sender");
+      await run("kill -9 %1");
+      expect(sim.journal.entries.filter((e) => e.clientId === "watcher").map((e) => `${e.priority} ${e.text.replace(/:\d+ as/, ":* as")}`), [
+        "5 New client connected from 127.0.0.1:* as watcher (p2, c1, k60).", "7 Sending CONNACK to watcher (0, 0)",
+        "7 Received SUBSCRIBE from watcher", "7 \tlab/# (QoS 0)", "5 watcher 0 lab/#", "7 Sending SUBACK to watcher",
+        "7 Sending PUBLISH to watcher (d0, q0, r0, m0, 'lab/x', ... (2 bytes))", "5 Client watcher closed its connection.",
+      ], "kill -9 gives the broker no DISCONNECT");
+      expect((await run("journalctl -u mosquitto -p notice -n 2 -o cat")).slice(1), ["Client sender disconnected.", "Client watcher closed its connection."]);
+      const json = JSON.parse((await run("journalctl -n 1 -o json --no-pager"))[1]);
+      expect([json.PRIORITY, json._SYSTEMD_UNIT, json.MESSAGE], ["5", "mosquitto.service", "Client watcher closed its connection."]);
+      await clock.advance(600000);
+      expect((await run("journalctl --since '-5 min' -p notice")).slice(1), ["-- No entries --"], "only the PLC's debug lines are that recent");
+      await run("mosquitto_pub -t lab/x -m late -i late");
+      expect((await run("journalctl --since '5 min ago' -p notice -o cat -n 1")).slice(1), ["Client late disconnected."]);
+      expect((await run("journalctl -u mqtt-responder --no-pager")).slice(1), ["-- No entries --"]);
+      expect((await run("journalctl -p loud")).slice(1), ["Unknown log level loud"]);
+      await run("journalctl -fu mosquitto -n 0 -p notice -o cat &");
+      await run("mosquitto_pub -t lab/x -m again -i again");
+      expect(shell.lines.slice(-1), ["Client again disconnected."], "-f follows with the same filters");
+    },
+  },
+  {
+    name: "packet trace: CONNECT, SUBSCRIBE, the QoS 2 handshake, the responder's lane and a broker stop",
+    run: async ({ run, expect, sim }) => {
+      const trace = (from) => sim.wire.packets.slice(from).filter((p) => p.lane !== "plc" && p.lane !== "node-red").map((p) => `${p.lane} ${p.dir} ${p.type}`);
+      let from = sim.wire.packets.length;
+      await run("mosquitto_sub -t lab/q2 -q 2 &");
+      await run("mosquitto_pub -t lab/q2 -m hi -q 2");
+      expect(trace(from), [
+        "test in CONNECT", "test out CONNACK", "test in SUBSCRIBE", "test out SUBACK",
+        "test in CONNECT", "test out CONNACK", "test in PUBLISH", "test out PUBREC", "test in PUBREL", "test out PUBCOMP",
+        "test out PUBLISH", "test in PUBREC", "test out PUBREL", "test in PUBCOMP", "test in DISCONNECT",
+      ]);
+      const publish = sim.wire.packets.find((p) => p.seq > from && p.type === "PUBLISH");
+      expect(publish.fields, { topic: "lab/q2", payload: "hi", qos: 2, retain: 0, dup: 0, packetId: 1 });
+      from = sim.wire.packets.length;
+      await run("mosquitto_rr -t req -e res -m status -V 5", { ms: 700 });
+      expect(trace(from).filter((l) => l.endsWith("PUBLISH")), ["test in PUBLISH", "mqtt-responder out PUBLISH", "mqtt-responder in PUBLISH", "test out PUBLISH"]);
+      from = sim.wire.packets.length;
+      await run("sudo systemctl stop mosquitto");
+      expect(trace(from), ["test null connection closed"], "a v3.1.1 client just loses the connection");
+      await run("sudo systemctl start mosquitto");
+    },
+  },
+  {
+    name: "Last Will and persistent sessions: kill -9 fires the will, -c queues QoS 1, a pulled cable times out at 1.5 × keepalive",
+    run: async ({ run, expect, sim, clock, shell }) => {
+      const status = () => sim.broker.retained.get("click/line1/status")?.payload;
+      expect(status(), "ONLINE", "the PLC's birth message");
+      await run("mosquitto_sub -t lab/status -v &");
+      await run("mosquitto_sub -t lab/x -i dev --will-topic lab/status --will-payload dead &");
+      expect((await run("kill %2")).filter((l) => l.startsWith("lab/")), []);
+      await run("mosquitto_sub -t lab/x -i dev --will-topic lab/status --will-payload dead &");
+      expect((await run("kill -9 %2")).filter((l) => l.startsWith("lab/")), ["lab/status dead"], "only a connection that ends without DISCONNECT sends the will");
+      await run("mosquitto_sub -t lab/q -q 1 -c -i keeper &");
+      await run("kill %2");
+      await run("mosquitto_pub -t lab/q -m one -q 1"); await run("mosquitto_pub -t lab/q -m lost -q 0");
+      expect(sim.broker.sessions.get("keeper").queue.map((m) => m.payload), ["one"], "QoS 0 messages are not queued");
+      expect((await run("mosquitto_sub -t lab/q -q 1 -c -i keeper -C 1")).slice(1), ["one"], "the session kept the subscription and the QoS 1 message");
+      await run("mosquitto_sub -t lab/q -q 1 -i keeper -C 1 &");
+      expect(sim.broker.sessions.has("keeper"), false, "a clean connection ends the session");
+      await run("kill %2");
+      // The PLC (keepalive 10) is dropped after 15 s; a QoS 1 command waits in its session
+      sim.brokerCable("plc", false);
+      await clock.advance(14000);
+      expect([status(), !!sim.plc.client], ["ONLINE", true]);
+      await clock.advance(1000);
+      expect([status(), sim.plc.client], ["OFFLINE", null]);
+      await run("mosquitto_pub -t click/line1/cmd/start -m 1 -q 1");
+      sim.brokerCable("plc", true);
+      await clock.advance(0);
+      expect([status(), sim.plcGet("Y1")], ["ONLINE", 1]);
+      // A terminal's cable: new connections fail, running clients lose theirs when the keepalive runs out
+      await run("mosquitto_sub -t lab/x -k 5 &");
+      sim.brokerCable("test", false);
+      expect((await run("mosquitto_pub -t lab/x -m 1")).slice(1), ["Error: Network is unreachable"]);
+      await clock.advance(7500);
+      expect(shell.lines.slice(-2), ["Error: The connection was lost.", "[2]+  Exit 7                  mosquitto_sub -t lab/x -k 5"]);
+      sim.brokerCable("test", true);
+    },
+  },
+  {
+    name: "mosquitto_rr: responder rules in ~/responder.json (regex groups, delays, no reply, errors)",
+    run: async ({ run, expect, sim, clock, shell }) => {
+      sim.vfs.files.get("/home/tech/responder.json").content = JSON.stringify({ rules: [
+        { topic: "plc/+/cmd", regex: "^set (\\w+)=(\\d+)$", reply: "OK {1}={2}", delay: 100 },
+        { topic: "plc/+/cmd", match: "reboot", reply: null },
+        { topic: "plc/legacy", reply: "ACK {payload}", replyTo: "plc/legacy/ack" },
+      ] });
+      expect((await run("mosquitto_rr -t plc/l1/cmd -e r/l1 -m 'set DS1=5'", { ms: 150 })).slice(1), ["OK DS1=5"]);
+      expect((await run("mosquitto_rr -t plc/l1/cmd -e r/l1 -m reboot -W 1", { ms: 500 })).slice(1), [], "no reply yet");
+      expect(shell.busy(), true);
+      await clock.advance(600);
+      expect(shell.lines.slice(-1), ["Timed out"]);
+      await run("mosquitto_sub -t plc/legacy/ack -C 1 &");
+      await run("mosquitto_pub -t plc/legacy -m ping", { ms: 600 });
+      expect(shell.lines.slice(-2), ["ACK ping", "[1]+  Done                    mosquitto_sub -t plc/legacy/ack -C 1"]);
+      sim.vfs.files.get("/home/tech/responder.json").content = '{"rules": [{"regex": "(", "reply": "x"}]}';
+      await run("mosquitto_rr -t a -e b -m c -W 1", { ms: 1100 });
+      expect(sim.journal.entries.filter((e) => e.unit === "mqtt-responder.service").slice(-1).map((e) => `${e.ident}: ${e.text}`), ['mqtt-responder: /home/tech/responder.json: rules[0]: "regex" is not a valid regular expression (Invalid regular expression: /(/: Unterminated group)']);
+    },
+  },
+  {
+    name: "mosquitto_rr: broker outage while waiting, Ctrl+C before the reply",
+    run: async ({ run, expect, sim, clock, shell }) => {
+      await run("mosquitto_rr -t req -e res -m status -W 3", { ms: 100 });
+      sim.serviceStop();
+      await clock.advance(5000);
+      expect(shell.lines.slice(-1), ["Error: The connection was lost."]);
+      sim.serviceStart();
+      await run("mosquitto_rr -t req -e res -m status -W 3", { ms: 100 });
+      shell.interrupt();
+      await clock.advance(5000);
+      expect(shell.lines.slice(-2), ["$ mosquitto_rr -t req -e res -m status -W 3", "^C"]);
+    },
+  },
+  {
+    name: "Node-RED: install, help and the starter flow",
+    run: async ({ sim, run, expect }) => {
+      const nr = sim.openShell({ id: "nr", context: "nodered" });
+      expect((await run("npm install -g --unsafe-perm node-red", { shell: nr })).slice(-1), ["Node-RED installed globally. You can start it with 'node-red'."]);
+      expect((await run("help", { shell: nr }))[1].startsWith("Node-RED: node-red [flows.json]"), true, "help lists the Node-RED commands");
+      await run("node-red", { shell: nr, ms: 200 });
+      const runtime = nr.lines.find((l) => l.includes("Node.js  version: "));
+      expect((await run("node -v")).slice(1), [runtime.slice(runtime.indexOf("version: ") + 9)], "node -v matches the runtime's startup log");
+      expect(nr.lines.slice(-1)[0].endsWith("[mqtt-broker:Local broker] Connected to broker: mqtt://localhost:1883"), true, "flows connected");
+      await run("mosquitto_sub -t click/line1/cmd/# -v &");
+      expect(await run("mosquitto_pub -t click/line1/telemetry/DS1 -m 250", { ms: 100 }), ["$ mosquitto_pub -t click/line1/telemetry/DS1 -m 250", "click/line1/cmd/stop 1"]);
+      expect(await run("mosquitto_pub -t click/line1/telemetry/DS1 -m 20", { ms: 100 }), ["$ mosquitto_pub -t click/line1/telemetry/DS1 -m 20"]);
+      expect(sim.nodeRed.debug.map((e) => `${e.node}: ${e.value}`).filter((l) => l.startsWith("telemetry")), ['telemetry: "250"', 'telemetry: "20"']);
+    },
+  },
+  {
+    name: "Node-RED: admin API up and down with the process",
+    run: async ({ sim, run, expect, clock }) => {
+      const nr = sim.openShell({ id: "nr", context: "nodered" });
+      await run("node-red", { shell: nr, ms: 200 });
+      const flows = JSON.parse((await run("curl -s http://127.0.0.1:1880/flows | cat")).slice(1).join("\n"));
+      expect(flows.map((n) => n.type).slice(0, 3), ["tab", "mqtt-broker", "mqtt in"]);
+      nr.interrupt(); await clock.advance(10);
+      expect((await run("curl http://127.0.0.1:1880/flows")).slice(1), ["curl: (7) Failed to connect to 127.0.0.1 port 1880 after 0 ms: Couldn't connect to server"]);
+    },
+  },
+];
+
+// Runs one test in a fresh lab; { name, pass, failures: [{ label, diff }] }
+export async function runSelfTest(test) {
+  const { lab, failures } = createLab();
+  try { await test.run(lab); }
+  catch (e) { failures.push({ label: "threw", diff: String(e?.stack || e).split("\n") }); }
+  finally { lab.sim.dispose(); }
+  return { name: test.name, pass: failures.length === 0, failures };
+}
+export async function runSelfTests(tests = SELF_TESTS) {
+  const results = [];
+  for (const t of tests) results.push(await runSelfTest(t));
+  return results;
+}
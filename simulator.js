@@ -0,0 +1,3286 @@
+/*
+  MQTT CLI Trainer — simulator core (plain JS, no React)
+
+  createSimulator() builds one lab machine: mosquitto (service, config, bus), the journal, the
+  filesystem, Node-RED, the CLICK PLC, Test Mode challenges and the shells that run commands.
+  Nothing is shared between instances, so two pages (or tests) never see each other's traffic.
+  Commands are specs in a registry (registerCommand); the page's Terminal only renders a shell.
+  In live broker mode the mosquitto clients talk to a real broker instead (./mqttws.js).
+*/
+import { createMqttConnection, packetName, reasonText, PACKET } from "./mqttws.js";
+
+// --- Topic names and filters (MQTT 3.1.1 section 4.7) ---
+// Both are 1-65535 bytes of UTF-8 without U+0000; empty levels ("a//b", "/a") are allowed
+function validTopic(text) {
+  return typeof text === "string" && text !== "" && !text.includes("\0") && new TextEncoder().encode(text).length <= 65535;
+}
+// A topic name (PUBLISH, response topic) never contains a wildcard
+export function validTopicName(topic) {
+  return validTopic(topic) && !/[+#]/.test(topic);
+}
+// In a filter "+" fills a whole level, and "#" fills the last one
+export function validTopicFilter(filter) {
+  if (!validTopic(filter)) return false;
+  const levels = filter.split("/");
+  return levels.every((l, i) => (l === "#" ? i === levels.length - 1 : l === "+" || !/[+#]/.test(l)));
+}
+// Does `filter` match the topic name? Invalid filters or names match nothing.
+export function matchTopic(filter, topic) {
+  return validTopicFilter(filter) && validTopicName(topic) && matchLevels(filter, topic);
+}
+// Level-by-level match without validating either side (the ACL compares subscription filters too).
+// Filters starting with a wildcard never match topics starting with "$", so "#" leaves $SYS out.
+function matchLevels(filter, topic) {
+  if (topic.startsWith("$") && (filter.startsWith("+") || filter.startsWith("#"))) return false;
+  const f = filter.split("/");
+  const t = topic.split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true; // the rest, including the parent level itself ("a/#" matches "a")
+    if (i >= t.length) return false;
+    if (f[i] !== "+" && f[i] !== t[i]) return false;
+  }
+  return t.length === f.length;
+}
+
+// systemd-style "1 day 2h ago" / "3min 12s ago"
+function agoText(since, now = new Date()) {
+  let s = Math.max(0, Math.floor((now - since) / 1000));
+  const d = Math.floor(s / 86400); s %= 86400;
+  const h = Math.floor(s / 3600); s %= 3600;
+  const m = Math.floor(s / 60); s %= 60;
+  if (d) return `${d} day${d > 1 ? "s" : ""}${h ? ` ${h}h` : ""} ago`;
+  if (h) return `${h}h ${m}min ago`;
+  if (m) return `${m}min ${s}s ago`;
+  return `${s}s ago`;
+}
+
+// "Wed 2025-08-13 10:15:22 EDT"
+export function formatStamp(ts) {
+  const day = ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"][ts.getDay()];
+  const date = `${ts.getFullYear()}-${String(ts.getMonth() + 1).padStart(2, "0")}-${String(ts.getDate()).padStart(2, "0")}`;
+  const zone = ts.toLocaleTimeString("en-US", { timeZoneName: "short" }).split(" ").pop();
+  return `${day} ${date} ${formatTime(ts).slice(7)} ${zone}`;
+}
+
+export function formatTime(ts = new Date()) {
+  const mon = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][ts.getMonth()];
+  const dd = String(ts.getDate()).padStart(2, "0");
+  const hh = String(ts.getHours()).padStart(2, "0");
+  const mm = String(ts.getMinutes()).padStart(2, "0");
+  const ss = String(ts.getSeconds()).padStart(2, "0");
+  return `${mon} ${dd} ${hh}:${mm}:${ss}`;
+}
+
+// One journalctl line for a journal entry
+// Live broker log entries carry the broker's host name and no pid
+export function journalLine(e) {
+  return `${formatTime(e.ts)} ${e.host ?? "host"} ${e.ident}${e.pid != null ? `[${e.pid}]` : ""}: ${e.text}`;
+}
+// journalctl -o json: the fields journald keeps for the entry (values are strings, as in journald)
+export function journalJson(e) {
+  return {
+    __REALTIME_TIMESTAMP: String(e.ts.getTime() * 1000), _HOSTNAME: e.host ?? "host", PRIORITY: String(e.priority ?? 6),
+    SYSLOG_IDENTIFIER: e.ident, ...(e.pid != null && { _PID: String(e.pid) }), _SYSTEMD_UNIT: e.unit ?? "mosquitto.service", MESSAGE: e.text,
+  };
+}
+
+// syslog priorities, most severe first; journal entries carry the index
+export const PRIORITIES = ["emerg", "alert", "crit", "err", "warning", "notice", "info", "debug"];
+// The priority mosquitto gives each log_type when it logs to syslog
+const LOG_PRIORITY = { error: 3, warning: 4, notice: 5, information: 6, subscribe: 5, unsubscribe: 5, debug: 7, websockets: 7 };
+// The same through $SYS/broker/log/<letter>[/...] on a live broker
+const LOG_TOPIC_PRIORITY = { E: 3, W: 4, N: 5, I: 6, M: 5, D: 7 };
+// "warning" or "4" -> 4; null for anything else
+function priorityLevel(text) {
+  const n = /^[0-7]$/.test(text) ? Number(text) : PRIORITIES.indexOf(text);
+  return n < 0 ? null : n;
+}
+// The client a mosquitto log line is about (entries from the simulated broker carry it already)
+function logClientId(text) {
+  const m = /^New client connected from \S+ as (\S+) |^Client (\S+) |^(?:Received|Sending|Denied) \w+ (?:from|to) (\S+)|^(\S+) \d \S+$/.exec(text);
+  return m ? m.slice(1).find(Boolean) : null;
+}
+
+// journalctl --since / --until: "2025-08-13 14:00[:00]", "14:00[:00]" (today), "today", "yesterday",
+// "now", and offsets such as "-5m", "+1h" or "10 min ago". Returns ms, or null if it doesn't parse.
+function parseJournalTime(text, now) {
+  const t = text.trim().toLowerCase();
+  const day = (offset) => { const d = new Date(now); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() + offset); return d.getTime(); };
+  if (t === "now") return now;
+  if (t === "today") return day(0);
+  if (t === "yesterday") return day(-1);
+  if (t === "tomorrow") return day(1);
+  const units = { s: 1, sec: 1, second: 1, m: 60, min: 60, minute: 60, h: 3600, hour: 3600, d: 86400, day: 86400, w: 604800, week: 604800 };
+  let m = /^([+-]?)\s*(\d+)\s*([a-z]+?)s?(\s+ago)?$/.exec(t);
+  if (m && units[m[3]] && (m[1] || m[4]) && !(m[1] && m[4])) return now + (m[1] === "+" ? 1 : -1) * Number(m[2]) * units[m[3]] * 1000;
+  m = /^(?:(\d{4})-(\d{2})-(\d{2}))?\s*(?:(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(t);
+  if (!m || !(m[1] || m[4])) return null;
+  const d = m[1] ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(day(0));
+  if (m[4]) d.setHours(Number(m[4]), Number(m[5]), Number(m[6] || 0));
+  return Number.isNaN(d.getTime()) ? null : d.getTime();
+}
+
+const JOURNALCTL_HELP = [
+  "journalctl [OPTIONS...] [MATCHES...]",
+  "",
+  "Query the journal.",
+  "",
+  "Options:",
+  "  -S --since=DATE            Show entries not older than the specified date",
+  "  -U --until=DATE            Show entries not newer than the specified date",
+  "  -u --unit=UNIT             Show logs from the specified unit",
+  "  -p --priority=RANGE        Show entries with the specified priority",
+  "  -e --pager-end             Immediately jump to the end in the pager",
+  "  -f --follow                Follow the journal",
+  "  -n --lines[=INTEGER]       Number of journal entries to show",
+  "  -o --output=STRING         Change journal output mode (short, cat, json, json-pretty)",
+  "  -x --catalog               Add message explanations where available",
+  "  -q --quiet                 Do not show info messages and privilege warning",
+  "     --no-pager              Do not pipe output into a pager",
+  "  -h --help                  Show this help text",
+].join("\n");
+
+// Lab image paths
+const HOME = "/home/tech";
+const MOSQ_CONF = "/etc/mosquitto/mosquitto.conf";
+
+// --- mosquitto.conf parsing (messages follow mosquitto's own wording) ---
+const CONF_BOOL = ["allow_anonymous", "persistence", "per_listener_settings", "connection_messages", "log_timestamp", "retain_available", "allow_zero_length_clientid"];
+const CONF_INT = ["autosave_interval", "max_connections", "sys_interval", "max_keepalive", "max_queued_messages", "message_size_limit"];
+const CONF_STRING = ["password_file", "acl_file", "persistence_location", "persistence_file", "pid_file", "user", "protocol", "socket_domain", "persistent_client_expiry"];
+const LOG_TYPES = ["debug", "error", "warning", "notice", "information", "subscribe", "unsubscribe", "websockets", "none", "all"];
+
+// acl_file lines: "user <name>", "topic [read|write|readwrite|deny] <topic>", "pattern [...] <topic>"
+function parseAcl(text, file) {
+  const acl = { anonymous: [], users: new Map(), patterns: [] };
+  let user = null;
+  for (const raw of text.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    const m = line.match(/^(user|topic|pattern)\s+(.+)$/);
+    if (!m) return { error: `Error: Invalid line in ACL file "${file}": ${line}.` };
+    if (m[1] === "user") { user = m[2].trim(); if (!acl.users.has(user)) acl.users.set(user, []); continue; }
+    let [access, ...rest] = m[2].trim().split(/\s+/);
+    if (!["read", "write", "readwrite", "deny"].includes(access)) { rest = [access, ...rest]; access = "readwrite"; }
+    if (rest.length === 0) return { error: `Error: Empty topic in ACL file "${file}".` };
+    const rule = { access, topic: rest.join(" ") };
+    if (m[1] === "pattern") acl.patterns.push(rule);
+    else (user == null ? acl.anonymous : acl.users.get(user)).push(rule);
+  }
+  return { acl };
+}
+
+// Stand-in for mosquitto_passwd's PBKDF2-SHA512 ($7$) — deterministic and the right shape, not real crypto
+function pwHash(password, salt) {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  let h = 2166136261; let out = "";
+  for (let i = 0; i < 86; i++) {
+    for (const ch of `${salt}:${password}:${i}`) { h ^= ch.charCodeAt(0); h = Math.imul(h, 16777619) >>> 0; }
+    out += chars[h % 64];
+  }
+  return `${out}==`;
+}
+function pwCheck(field, password) {
+  const parts = field.split("$"); // $7$<iterations>$<salt>$<hash> or $6$<salt>$<hash>
+  if (parts[1] === "7") return parts[4] === pwHash(password, parts[3]);
+  if (parts[1] === "6") return parts[3] === pwHash(password, parts[2]);
+  return false;
+}
+// One password file line, as written by mosquitto_passwd (-H sha512-pbkdf2 | sha512)
+function pwEntry(username, password, alg = "sha512-pbkdf2") {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  const salt = `${Array.from({ length: 22 }, () => chars[Math.floor(Math.random() * 64)]).join("")}==`;
+  return alg === "sha512" ? `${username}:$6$${salt}$${pwHash(password, salt)}` : `${username}:$7$101$${salt}$${pwHash(password, salt)}`;
+}
+
+// Client-side debug line (mosquitto_sub -d / mosquitto_pub -d)
+function packetDebugLine(clientId, dir, { topic, payload, qos, retained, mid }) {
+  return `Client ${clientId || "(null)"} ${dir} PUBLISH (d0, q${qos}, r${retained ? 1 : 0}, m${mid}, '${topic}', ... (${String(payload).length} bytes))`;
+}
+
+// --- Shell-style tokenizer: quotes, backslash escapes, `|` pipelines, a trailing > / >> and a trailing & ---
+// Returns { stages: [argv...], redirect: { path, append } | null, background }; throws with a bash-like message on bad input.
+export function parseShell(line) {
+  const stages = [[]]; let cur = null; let i = 0; let redirect = null; let wantPath = false; let background = false;
+  const push = () => {
+    if (cur == null) return;
+    if (wantPath) { redirect.path = cur; wantPath = false; } else if (redirect) throw new Error("only a trailing > or >> redirect is supported");
+    else stages[stages.length - 1].push(cur);
+    cur = null;
+  };
+  while (i < line.length) {
+    const ch = line[i];
+    if (/\s/.test(ch)) { push(); i++; continue; }
+    if (background) throw new Error("only a trailing & is supported");
+    if (ch === "&") {
+      push(); if (line[i + 1] === "&") throw new Error("`&&' lists are not simulated; run the commands one at a time");
+      if (stages[stages.length - 1].length === 0 || wantPath) throw new Error("syntax error near unexpected token `&'");
+      background = true; i++; continue;
+    }
+    if (ch === "|") { push(); if (stages[stages.length - 1].length === 0 || redirect) throw new Error("syntax error near unexpected token `|'"); stages.push([]); i++; continue; }
+    if (ch === ">") {
+      push(); if (redirect) throw new Error("syntax error near unexpected token `>'");
+      const append = line[i + 1] === ">"; redirect = { path: null, append }; wantPath = true; i += append ? 2 : 1; continue;
+    }
+    if (ch === "'") {
+      const end = line.indexOf("'", i + 1);
+      if (end < 0) throw new Error("unexpected EOF while looking for matching `''");
+      cur = (cur ?? "") + line.slice(i + 1, end); i = end + 1; continue;
+    }
+    if (ch === '"') {
+      let j = i + 1; let buf = "";
+      while (j < line.length && line[j] !== '"') {
+        // inside double quotes a backslash only escapes " \ $ `
+        if (line[j] === "\\" && /["\\$`]/.test(line[j + 1] || "")) { buf += line[j + 1]; j += 2; continue; }
+        buf += line[j++];
+      }
+      if (j >= line.length) throw new Error("unexpected EOF while looking for matching `\"'");
+      cur = (cur ?? "") + buf; i = j + 1; continue;
+    }
+    if (ch === "\\") { if (i + 1 < line.length) cur = (cur ?? "") + line[i + 1]; i += 2; continue; }
+    cur = (cur ?? "") + ch; i++;
+  }
+  push();
+  if (wantPath) throw new Error("syntax error near unexpected token `newline'");
+  if (stages.length > 1 && stages[stages.length - 1].length === 0) throw new Error("syntax error: unexpected end of file");
+  return { stages, redirect, background };
+}
+
+// --- Flag specs for the mosquitto clients (wording follows the real --help / errors) ---
+// arg: name used in "no <arg> specified"; list: repeatable; type: "int" values are validated.
+const MOSQ_COMMON_FLAGS = [
+  { flag: "-c", long: "--disable-clean-session", key: "persistent", help: "disable clean session/enable persistent client mode\n      When this argument is used, the broker will be instructed not to clean existing sessions\n      for the same client id when the client connects, and sessions will never expire when the\n      client disconnects." },
+  { flag: "-d", long: "--debug", key: "debug", help: "enable debug messages." },
+  { flag: "-D", long: "--property", arg: "command", key: "props", help: "Define MQTT v5 properties. See the documentation for more details." },
+  { flag: "-h", long: "--host", arg: "host", key: "host", help: "mqtt host to connect to. Defaults to localhost." },
+  { flag: "-i", long: "--id", arg: "id", key: "id", help: "id to use for this client. Defaults to <tool>_ appended with the process id." },
+  { flag: "-k", long: "--keepalive", arg: "keepalive", key: "keepalive", type: "int", help: "keep alive in seconds for this client. Defaults to 60." },
+  { flag: "-p", long: "--port", arg: "port", key: "port", type: "int", help: "network port to connect to. Defaults to 1883 for plain MQTT." },
+  { flag: "-P", long: "--pw", arg: "password", key: "password", help: "provide a password" },
+  { flag: "-q", long: "--qos", arg: "QoS", key: "qos", type: "int", help: "quality of service level to use for all messages. Defaults to 0." },
+  { flag: "-u", long: "--username", arg: "username", key: "username", help: "provide a username" },
+  { flag: "-V", long: "--protocol-version", arg: "protocol version", key: "protocol", help: "specify the version of the MQTT protocol to use when connecting.\n      Can be mqttv5, mqttv311 or mqttv31. Defaults to mqttv311." },
+  { flag: "--help", key: "help", help: "display this message." },
+  { flag: "--will-payload", arg: "will payload", key: "willPayload", help: "payload for the client Will, which is sent by the broker in case of\n      unexpected disconnection. If not given and will-topic is set, a zero\n      length message will be sent." },
+  { flag: "--will-qos", arg: "will QoS", key: "willQos", type: "int", help: "QoS level for the client Will." },
+  { flag: "--will-retain", key: "willRetain", help: "if given, make the client Will retained." },
+  { flag: "--will-topic", arg: "will topic", key: "willTopic", help: "the topic on which to publish the client Will." },
+];
+const MOSQ_MESSAGE_FLAGS = [
+  { flag: "-f", long: "--file", arg: "file", key: "file", help: "send the contents of a file as the message." },
+  { flag: "-l", long: "--stdin-line", key: "stdinLine", help: "read messages from stdin, sending a separate message for each line." },
+  { flag: "-m", long: "--message", arg: "message", key: "message", help: "message payload to send." },
+  { flag: "-n", long: "--null-message", key: "nullMessage", help: "send a null (zero length) message." },
+  { flag: "-s", long: "--stdin-file", key: "stdinFile", help: "read message from stdin, sending the entire input as a message." },
+];
+const MOSQ_TOOLS = {
+  mosquitto_pub: {
+    about: "mosquitto_pub is a simple mqtt client that will publish a message on a single topic and exit.",
+    usage: [
+      "Usage: mosquitto_pub {[-h host] [-p port] [-u username] [-P password] -t topic}",
+      "                     {-f file | -l | -n | -m message}",
+      "                     [-q qos] [-r] [--repeat N] [--repeat-delay time] [-i id] [-c] [-k keepalive] [-d]",
+      "                     [-V protocol-version] [-D command identifier value]",
+      "                     [--will-topic [--will-payload payload] [--will-qos qos] [--will-retain]]",
+      "       mosquitto_pub --help",
+    ],
+    flags: [
+      ...MOSQ_COMMON_FLAGS, ...MOSQ_MESSAGE_FLAGS,
+      { flag: "-r", long: "--retain", key: "retain", help: "message should be retained." },
+      { flag: "--repeat", arg: "count", key: "repeat", type: "int", help: "if publish mode is -f, -m, or -s, then repeat the publish N times." },
+      { flag: "--repeat-delay", arg: "time", key: "repeatDelay", type: "float", help: "if using --repeat, wait time seconds between publishes. Defaults to 0." },
+      { flag: "-t", long: "--topic", arg: "topic", key: "topic", help: "mqtt topic to publish to." },
+    ],
+  },
+  mosquitto_sub: {
+    about: "mosquitto_sub is a simple mqtt client that will subscribe to a set of topics and print all messages it receives.",
+    usage: [
+      "Usage: mosquitto_sub {[-h host] [-p port] [-u username] [-P password] -t topic ... }",
+      "                     [-C msg_count] [-R] [-T filter_out] [-q qos] [-i id] [-c] [-k keepalive] [-v] [-d]",
+      "                     [-F format] [-N] [--pretty]",
+      "                     [-V protocol-version] [-D command identifier value]",
+      "                     [--will-topic [--will-payload payload] [--will-qos qos] [--will-retain]]",
+      "       mosquitto_sub --help",
+    ],
+    flags: [
+      ...MOSQ_COMMON_FLAGS,
+      { flag: "-C", arg: "count", key: "count", type: "int", help: "disconnect and exit after receiving the 'msg_count' messages." },
+      { flag: "-F", arg: "format", key: "format", help: "output format." },
+      { flag: "-N", key: "noEol", help: "do not add an end of line character when printing the payload." },
+      { flag: "--pretty", key: "pretty", help: "print formatted output rather than minimised output when using the\n            JSON output format option." },
+      { flag: "-R", key: "noRetain", help: "do not print stale messages (those with retain set)." },
+      { flag: "-t", long: "--topic", arg: "topic", key: "topics", list: true, help: "mqtt topic to subscribe to. May be repeated multiple times." },
+      { flag: "-T", long: "--filter-out", arg: "topic filter", key: "filterOut", list: true, help: "topic string to filter out of results. May be repeated." },
+      { flag: "-v", long: "--verbose", key: "verbose", help: "print published messages verbosely." },
+    ],
+  },
+  mosquitto_rr: {
+    about: "mosquitto_rr is an mqtt client that can be used to publish a request message and wait for a response.",
+    usage: [
+      "Usage: mosquitto_rr {[-h host] [-p port] [-u username] [-P password] -t topic -e response-topic}",
+      "                    {-f file | -m message | -n | -s}",
+      "                    [-W timeout] [-q qos] [-i id] [-c] [-k keepalive] [-d]",
+      "                    [-F format] [-N] [--pretty]",
+      "                    [-V protocol-version] [-D command identifier value]",
+      "                    [--will-topic [--will-payload payload] [--will-qos qos] [--will-retain]]",
+      "       mosquitto_rr --help",
+    ],
+    flags: [
+      ...MOSQ_COMMON_FLAGS, ...MOSQ_MESSAGE_FLAGS.filter((f) => f.flag !== "-l"),
+      { flag: "-e", arg: "response topic", key: "responseTopic", help: "Response topic. The client will subscribe to this topic to wait for a response." },
+      { flag: "-F", arg: "format", key: "format", help: "output format." },
+      { flag: "-N", key: "noEol", help: "do not add an end of line character when printing the payload." },
+      { flag: "--pretty", key: "pretty", help: "print formatted output rather than minimised output when using the\n            JSON output format option." },
+      { flag: "-t", long: "--topic", arg: "topic", key: "topic", help: "mqtt topic to publish to." },
+      { flag: "-W", alias: "-w", arg: "timeout", key: "timeout", type: "int", help: "Specifies a timeout in seconds how long to wait for a response." },
+    ],
+  },
+};
+
+// Topic arguments are checked as they are read, with the clients' wording (cfg_add_topic)
+const MOSQ_TOPIC_CHECKS = {
+  topic: [validTopicName, (t) => `Error: Invalid publish topic '${t}', does it contain '+' or '#'?`],
+  responseTopic: [validTopicName, (t) => `Error: Invalid response topic '${t}', does it contain '+' or '#'?`],
+  topics: [validTopicFilter, (t) => `Error: Invalid subscription topic '${t}', are all '+' and '#' wildcards correct?`],
+  willTopic: [validTopicName, (t) => `Error: Invalid will topic '${t}', does it contain '+' or '#'?`],
+  filterOut: [validTopicFilter, (t) => `Error: Invalid filter topic '${t}', are all '+' and '#' wildcards correct?`],
+};
+
+// -D property names -> key (as in mqttws.js), value type and the packets that may carry it
+const MOSQ_PROPERTIES = {
+  "payload-format-indicator": { key: "payloadFormat", type: "byte", commands: ["publish", "will"] },
+  "message-expiry-interval": { key: "messageExpiry", type: "u32", commands: ["publish", "will"] },
+  "content-type": { key: "contentType", type: "str", commands: ["publish", "will"] },
+  "response-topic": { key: "responseTopic", type: "str", commands: ["publish", "will"] },
+  "correlation-data": { key: "correlationData", type: "bin", commands: ["publish", "will"] },
+  "topic-alias": { key: "topicAlias", type: "u16", commands: ["publish"] },
+  "subscription-identifier": { key: "subscriptionId", type: "varint", commands: ["subscribe"] },
+  "session-expiry-interval": { key: "sessionExpiry", type: "u32", commands: ["connect", "disconnect"] },
+  "will-delay-interval": { key: "willDelay", type: "u32", commands: ["will"] },
+  "receive-maximum": { key: "receiveMaximum", type: "u16", commands: ["connect"] },
+  "topic-alias-maximum": { key: "topicAliasMaximum", type: "u16", commands: ["connect"] },
+  "maximum-packet-size": { key: "maximumPacketSize", type: "u32", commands: ["connect"] },
+  "request-problem-information": { key: "requestProblemInfo", type: "byte", commands: ["connect"] },
+  "request-response-information": { key: "requestResponseInfo", type: "byte", commands: ["connect"] },
+  "user-property": { key: "userProperties", type: "pair", commands: ["connect", "publish", "will", "subscribe", "unsubscribe", "disconnect"] },
+};
+const MOSQ_PROPERTY_COMMANDS = ["connect", "publish", "subscribe", "unsubscribe", "disconnect", "will"];
+const MOSQ_PROPERTY_RANGE = { byte: [0, 255], u16: [0, 65535], u32: [0, 4294967295], varint: [1, 268435455] };
+
+// -D <command> <property> <value> (user-property takes a name and a value) into opts.props[command].
+// Returns the index of the last argument used, or { error } in the clients' wording.
+function parseMosqProperty(opts, args, i) {
+  if (i + 3 >= args.length) return { error: "Error: -D argument given but not enough arguments specified." };
+  const [cmd, name] = [args[i + 1], args[i + 2]];
+  if (!MOSQ_PROPERTY_COMMANDS.includes(cmd)) return { error: `Error: Invalid command given in -D ${cmd}` };
+  const prop = MOSQ_PROPERTIES[name];
+  if (!prop) return { error: `Error: Invalid property name ${name} in -D ${cmd} ${name}` };
+  if (!prop.commands.includes(cmd)) return { error: `Error: ${name} property not allowed for ${cmd} in -D ${cmd} ${name}` };
+  const props = ((opts.props ??= {})[cmd] ??= {});
+  if (prop.type === "pair") {
+    if (i + 4 >= args.length) return { error: "Error: -D argument given but not enough arguments specified." };
+    (props.userProperties ??= []).push([args[i + 3], args[i + 4]]);
+    return { last: i + 4 };
+  }
+  if (props[prop.key] !== undefined) return { error: `Error in ${cmd.toUpperCase()} properties: Duplicate property in property list.` };
+  let value = args[i + 3];
+  if (MOSQ_PROPERTY_RANGE[prop.type]) {
+    value = parseInt(value, 10) || 0; // atol()
+    const [min, max] = MOSQ_PROPERTY_RANGE[prop.type];
+    if (value < min || value > max) return { error: `Error: Property value (${value}) out of range for property ${name}.` };
+  }
+  props[prop.key] = value;
+  return { last: i + 3 };
+}
+// The -D properties for one packet type; v3.1.1 / v3.1 connections carry none
+export function mosqProps(opts, command) {
+  return opts.protocol === 5 ? { ...opts.props?.[command] } : {};
+}
+// --will-* as the CONNECT carries it (the shape mqttws.js encodes); null without --will-topic
+function mosqWill(opts) {
+  if (opts.willTopic == null) return null;
+  return { topic: opts.willTopic, payload: opts.willPayload ?? "", qos: opts.willQos ?? 0, retain: !!opts.willRetain, properties: mosqProps(opts, "will") };
+}
+
+// -F output, as mosquitto_sub / mosquitto_rr print it. Conversions: %t topic, %p payload, %x / %X payload
+// as hex, %j the message as JSON, %J the same with the payload parsed as JSON, %q QoS, %r retain,
+// %m message id, %l payload length, %I ISO 8601 time, %U Unix time with nanoseconds, and the MQTT 5
+// properties %A topic alias, %C content type, %D correlation data, %E message expiry interval,
+// %F payload format indicator, %P user properties (name:value ...), %R response topic, %S subscription
+// identifier. %-10t / %08l / %.4t set alignment, padding, width and precision; @H, @M ... are strftime()
+// conversions of the receive time; %% @@ and \\ \n \t ... escapes. Unknown conversions print nothing.
+// Returns null when %J finds a payload that is not JSON (the client prints an error instead).
+export function formatMessage(format, msg, { now = new Date(), pretty = false } = {}) {
+  const props = msg.properties || {};
+  const text = (v) => (v == null ? "" : typeof v === "string" ? v : v instanceof Uint8Array ? new TextDecoder().decode(v) : String(v));
+  const payload = text(msg.payload); const bytes = new TextEncoder().encode(payload);
+  const prop = (key) => (props[key] == null ? "" : text(props[key]));
+  const hex = (upper) => [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("")[upper ? "toUpperCase" : "toLowerCase"]();
+  const json = (parsed) => {
+    let value = payload;
+    if (parsed && bytes.length) { try { value = JSON.parse(payload); } catch { return null; } }
+    const out = { tst: `${strftime(now, "F")}T${strftime(now, "T")}.${String(now.getMilliseconds() * 1000).padStart(6, "0")}Z`, topic: msg.topic, qos: msg.qos, retain: msg.retained ? 1 : 0, payloadlen: bytes.length };
+    if (msg.qos > 0) out.mid = msg.mid ?? 0;
+    const jsonProps = Object.fromEntries(MOSQ_JSON_PROPERTIES.filter(([key]) => props[key] != null).map(([key, name]) => [name, typeof props[key] === "number" ? props[key] : text(props[key])]));
+    if (props.userProperties?.length) jsonProps["user-properties"] = Object.fromEntries(props.userProperties);
+    if (Object.keys(jsonProps).length) out.properties = jsonProps;
+    out.payload = bytes.length ? value : null;
+    return cjsonPrint(out, pretty);
+  };
+  // kind: "s" strings (precision truncates), "d" numbers (zero padding), "p" payloads (the width also truncates)
+  const fields = {
+    t: ["s", () => msg.topic], p: ["p", () => payload], x: ["p", () => hex(false)], X: ["p", () => hex(true)],
+    j: [null, () => json(false)], J: [null, () => json(true)],
+    q: [null, () => String(msg.qos)], r: [null, () => (msg.retained ? "1" : "0")], m: ["d", () => String(msg.mid ?? 0)], l: ["d", () => String(bytes.length)],
+    I: ["s", () => `${strftime(now, "F")}T${strftime(now, "T")}${strftime(now, "z")}`],
+    U: ["s", () => `${Math.floor(now.getTime() / 1000)}.${String((now.getTime() % 1000) * 1e6).padStart(9, "0")}`],
+    A: ["d", () => prop("topicAlias")], C: ["s", () => prop("contentType")], D: [null, () => prop("correlationData")],
+    E: ["d", () => prop("messageExpiry")], F: ["d", () => prop("payloadFormat")], R: ["s", () => prop("responseTopic")],
+    S: ["d", () => prop("subscriptionId")], P: [null, () => (props.userProperties || []).map(([k, v]) => `${k}:${v}`).join(" ")],
+    "%": [null, () => "%"],
+  };
+  const escapes = { "\\": "\\", 0: "\0", a: "\x07", e: "\x1b", n: "\n", r: "\r", t: "\t", v: "\v" };
+  let out = "";
+  for (let i = 0; i < format.length; i++) {
+    const ch = format[i];
+    if (ch === "%") {
+      const spec = /^(-?)(0?)(\d*)(?:\.(\d*))?([^])/.exec(format.slice(i + 1));
+      if (!spec) break; // a trailing % prints nothing
+      i += spec[0].length;
+      const [, left, zero, width, precision, conv] = spec; const field = fields[conv];
+      if (!field) continue;
+      let value = field[1](); if (value == null) return null;
+      const w = Number(width) || 0;
+      if (field[0] === "s" && precision != null) value = value.slice(0, Number(precision) || 0);
+      if (field[0] === "p" && w && value.length > w) value = value.slice(0, conv === "p" ? w : w - (w % 2)); // whole bytes of hex
+      if (field[0] && value !== "") value = left ? value.padEnd(w) : value.padStart(w, zero && field[0] !== "s" ? "0" : " ");
+      out += value;
+    } else if (ch === "@") {
+      if (i + 1 < format.length) { i++; out += format[i] === "@" ? "@" : strftime(now, format[i]); }
+    } else if (ch === "\\") {
+      if (i + 1 < format.length) out += escapes[format[++i]] ?? "";
+    } else out += ch;
+  }
+  return out;
+}
+// The property names %j / %J use
+const MOSQ_JSON_PROPERTIES = [
+  ["payloadFormat", "payload-format-indicator"], ["messageExpiry", "message-expiry-interval"], ["contentType", "content-type"],
+  ["responseTopic", "response-topic"], ["correlationData", "correlation-data"], ["subscriptionId", "subscription-identifier"], ["topicAlias", "topic-alias"],
+];
+// cJSON's output: minimised, or --pretty with tab indents and a tab after each ":"
+function cjsonPrint(value, pretty, depth = 0) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map((v) => cjsonPrint(v, pretty, depth + 1)).join(pretty ? ", " : ",")}]`;
+  const items = Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}:${pretty ? "\t" : ""}${cjsonPrint(v, pretty, depth + 1)}`);
+  if (!pretty) return `{${items.join(",")}}`;
+  const indent = "\t".repeat(depth);
+  return `{\n${items.map((item) => `${indent}\t${item}`).join(",\n")}${items.length ? "\n" : ""}${indent}}`;
+}
+// One strftime() conversion in local time (the clients' @ conversions and %I)
+function strftime(ts, conv) {
+  const two = (n) => String(n).padStart(2, "0");
+  const day = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"][ts.getDay()];
+  const month = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"][ts.getMonth()];
+  const offset = -ts.getTimezoneOffset();
+  switch (conv) {
+    case "a": return day.slice(0, 3);
+    case "A": return day;
+    case "b": case "h": return month.slice(0, 3);
+    case "B": return month;
+    case "d": return two(ts.getDate());
+    case "e": return String(ts.getDate()).padStart(2, " ");
+    case "F": return `${ts.getFullYear()}-${two(ts.getMonth() + 1)}-${two(ts.getDate())}`;
+    case "H": return two(ts.getHours());
+    case "I": return two(ts.getHours() % 12 || 12);
+    case "j": return String(Math.floor((ts - new Date(ts.getFullYear(), 0, 1)) / 86400000) + 1).padStart(3, "0");
+    case "m": return two(ts.getMonth() + 1);
+    case "M": return two(ts.getMinutes());
+    case "p": return ts.getHours() < 12 ? "AM" : "PM";
+    case "s": return String(Math.floor(ts.getTime() / 1000));
+    case "S": return two(ts.getSeconds());
+    case "T": return `${two(ts.getHours())}:${two(ts.getMinutes())}:${two(ts.getSeconds())}`;
+    case "y": return two(ts.getFullYear() % 100);
+    case "Y": return String(ts.getFullYear());
+    case "z": return `${offset < 0 ? "-" : "+"}${two(Math.floor(Math.abs(offset) / 60))}${two(Math.abs(offset) % 60)}`;
+    case "Z": return ts.toLocaleTimeString("en-US", { timeZoneName: "short" }).split(" ").pop();
+    default: return `%${conv}`;
+  }
+}
+
+function mosqUsage(tool) {
+  const t = MOSQ_TOOLS[tool];
+  const longOnly = (f) => f.flag.startsWith("--");
+  const rows = [...t.flags].filter((f) => f.flag !== "--help").sort((a, b) => longOnly(a) - longOnly(b) || a.flag.slice(1).localeCompare(b.flag.slice(1)));
+  return [
+    t.about, `${tool} version 2.0.x running on libmosquitto 2.0.x.`, "", ...t.usage, "",
+    ...rows.map((f) => ` ${f.flag} : ${f.help.replace("<tool>", tool)}`),
+    " --help : display this message.", "", "See https://mosquitto.org/ for more information.",
+  ].join("\n");
+}
+
+// Parse argv (without the tool name) against the tool's spec.
+// Returns { opts } or { error: [lines...] } using the clients' own error wording.
+export function parseMosqArgs(tool, args) {
+  const spec = MOSQ_TOOLS[tool];
+  const fail = (msg) => ({ error: [msg, `Use '${tool} --help' to see usage.`] });
+  const opts = {};
+  for (const f of spec.flags) if (f.list) opts[f.key] = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    const f = spec.flags.find((x) => x.flag === a || x.long === a || x.alias === a);
+    if (!f) return fail(`Error: Unknown option '${a}'.`);
+    if (f.key === "help") return { opts: { help: true } };
+    if (f.key === "props") {
+      const res = parseMosqProperty(opts, args, i);
+      if (res.error) return fail(res.error);
+      i = res.last; opts.protocol = 5; // -D implies MQTT v5 (a later -V still wins)
+      continue;
+    }
+    if (!f.arg) { opts[f.key] = true; continue; }
+    if (i + 1 >= args.length) return fail(`Error: ${f.flag} argument given but no ${f.arg} specified.`);
+    let val = args[++i];
+    if (f.type === "int") {
+      if (!/^-?\d+$/.test(val)) val = NaN; else val = parseInt(val, 10);
+      if (f.key === "qos" && !(val >= 0 && val <= 2)) return fail(`Error: Invalid QoS given: ${args[i]}`);
+      if (f.key === "port" && !(val >= 1 && val <= 65535)) return fail(`Error: Invalid port given: ${args[i]}`);
+      if (f.key === "count" && !(val >= 1)) return fail(`Error: Invalid message count "${args[i]}".`);
+      if (f.key === "timeout" && !(val >= 1 && val <= 3600)) return fail(`Error: Invalid timeout "${args[i]}".`);
+      if (f.key === "repeat" && !(val >= 1)) return fail("Error: --repeat argument must be >0.");
+      if (f.key === "keepalive" && !(val >= 5 && val <= 65535)) return fail("Error: Invalid keepalive given, it must be between 5 and 65535 inclusive.");
+      if (f.key === "willQos" && !(val >= 0 && val <= 2)) return fail(`Error: Invalid will QoS ${args[i]}.`);
+    }
+    if (f.type === "float") {
+      val = parseFloat(val) || 0; // atof(): anything unreadable is 0
+      if (f.key === "repeatDelay" && val < 0) return fail("Error: --repeat-delay argument must be >=0.0.");
+    }
+    const check = MOSQ_TOPIC_CHECKS[f.key];
+    if (check && !check[0](val)) return fail(check[1](val));
+    if (f.key === "protocol") {
+      val = { mqttv31: 3, 31: 3, mqttv311: 4, 311: 4, mqttv5: 5, 5: 5 }[val];
+      if (!val) return fail("Error: Invalid protocol version argument given.");
+    }
+    if (f.list) opts[f.key].push(val); else opts[f.key] = val;
+  }
+  const sources = ["message", "nullMessage", "file", "stdinLine", "stdinFile"].filter((k) => opts[k] != null);
+  if (sources.length > 1) return fail("Error: Only one type of message can be sent at once.");
+  if (tool === "mosquitto_sub" && opts.topics.length === 0) return fail("Error: You must specify a topic to subscribe to.");
+  if (tool === "mosquitto_pub" && (opts.topic == null || sources.length === 0)) return fail("Error: Both topic and message must be supplied.");
+  if (tool === "mosquitto_rr" && (opts.topic == null || opts.responseTopic == null || sources.length === 0)) return fail("Error: All of topic, message, and response topic must be supplied.");
+  if (opts.willPayload != null && opts.willTopic == null) return fail("Error: Will payload given, but no will topic given.");
+  if (opts.willRetain && opts.willTopic == null) return fail("Error: Will retain given, but no will topic given.");
+  if (opts.persistent && opts.id == null) return fail("Error: You must provide a client id if you are using the -c option.");
+  opts.qos = opts.qos ?? 0;
+  opts.protocol = opts.protocol ?? (tool === "mosquitto_rr" ? 5 : 4); // rr needs v5 response topics
+  return { opts };
+}
+
+// --- Node-RED: what every runtime instance shares (node sets, helpers for msg properties) ---
+const NR_DIR = `${HOME}/.node-red`;
+const NODE_VERSION = "18.19.0";
+const NR_VERSION = "3.1.3";
+
+// Node sets this runtime can run (GET /nodes); any other type leaves the flows waiting, as in Node-RED
+const NR_NODE_SETS = [
+  ["inject", ["inject"]], ["debug", ["debug"]], ["comment", ["comment"]], ["function", ["function"]],
+  ["switch", ["switch"]], ["change", ["change"]], ["mqtt", ["mqtt in", "mqtt out", "mqtt-broker"]],
+].map(([name, types]) => ({ id: `node-red/${name}`, name, types, enabled: true, local: false, user: false, module: "node-red", version: NR_VERSION }));
+const NR_TYPES = ["tab", ...NR_NODE_SETS.flatMap((set) => set.types)];
+const NR_DEBUG_MAX = 100;
+
+function nrLabel(def) { return `${def.type}:${def.name || def.id}`; }
+function nrMsgId() { return Math.floor(Math.random() * 0xffffffff).toString(16).padStart(8, "0") + Math.floor(Math.random() * 0xffffffff).toString(16).padStart(8, "0"); }
+
+// Dotted property access used by change / switch / debug ("payload.temp")
+function nrGet(obj, path) { return String(path).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj); }
+function nrSet(obj, path, value) {
+  const keys = String(path).split("."); const lastKey = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] != null && typeof o[k] === "object" ? o[k] : (o[k] = {})), obj);
+  target[lastKey] = value;
+}
+function nrDelete(obj, path) {
+  const keys = String(path).split("."); const lastKey = keys.pop();
+  const target = keys.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  if (target != null) delete target[lastKey];
+}
+
+function nrTypeLabel(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return `array[${v.length}]`;
+  if (typeof v === "string") return `string[${v.length}]`;
+  return typeof v === "object" ? "Object" : typeof v;
+}
+
+// function node: the body runs with msg/node/context/flow/global/env in scope and the page's
+// globals shadowed. This keeps typos from touching the trainer; it is not a security boundary.
+const NR_SHADOWED = ["window", "document", "globalThis", "self", "parent", "top", "localStorage", "sessionStorage", "fetch", "XMLHttpRequest", "WebSocket"];
+function nrStore(map) {
+  return { get: (k) => map.get(k), set: (k, v) => { if (v === undefined) map.delete(k); else map.set(k, v); }, keys: () => [...map.keys()] };
+}
+
+// switch node: one output per rule; "checkall" false stops at the first match
+const NR_SWITCH = {
+  eq: (a, b) => a == b, neq: (a, b) => a != b,
+  lt: (a, b) => a < b, lte: (a, b) => a <= b, gt: (a, b) => a > b, gte: (a, b) => a >= b,
+  btwn: (a, b, c) => (a >= b && a <= c) || (a <= b && a >= c),
+  cont: (a, b) => String(a).includes(String(b)),
+  regex: (a, b, _c, ci) => new RegExp(b, ci ? "i" : "").test(String(a)),
+  true: (a) => a === true, false: (a) => a === false,
+  null: (a) => a == null, nnull: (a) => a != null,
+  empty: (a) => a === "" || (Array.isArray(a) && a.length === 0) || (a != null && typeof a === "object" && Object.keys(a).length === 0),
+  nempty: (a) => !NR_SWITCH.empty(a) && (typeof a === "string" || typeof a === "object") && a != null,
+  istype: (a, b) => (b === "array" ? Array.isArray(a) : b === "null" ? a === null : b === "json" ? (() => { try { JSON.parse(a); return true; } catch { return false; } })() : typeof a === b && !Array.isArray(a)),
+};
+
+// Flow revision as sent with Node-RED-API-Version: v2 (Node-RED uses an md5 of the flows JSON)
+function nrRev(flows) {
+  let out = "";
+  for (let seed = 0; seed < 4; seed++) {
+    let h = 2166136261 ^ seed;
+    for (const ch of JSON.stringify(flows)) { h ^= ch.charCodeAt(0); h = Math.imul(h, 16777619) >>> 0; }
+    out += h.toString(16).padStart(8, "0");
+  }
+  return out;
+}
+
+const HTTP_STATUS = { 200: "OK", 204: "No Content", 400: "Bad Request", 404: "Not Found", 409: "Conflict" };
+
+// --- CLICK PLC memory: address spaces and how MQTT payloads map onto them ---
+export const PLC_SPACES = {
+  X: { bit: true, size: 16, label: "Inputs" }, Y: { bit: true, size: 16, label: "Outputs" },
+  C: { bit: true, size: 100, label: "Control relays" },
+  DS: { size: 100, label: "Data (int16)" }, DF: { size: 20, label: "Data (float)" },
+};
+
+// "x1" / "X001" / "ds12" -> { space, n, name }; null when outside the simulated memory
+export function plcAddress(text) {
+  const m = String(text).trim().toUpperCase().match(/^(X|Y|C|DS|DF)0*(\d+)$/);
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > PLC_SPACES[m[1]].size) return null;
+  const n = Number(m[2]);
+  return { space: m[1], n, name: m[1] === "X" || m[1] === "Y" ? `${m[1]}${String(n).padStart(3, "0")}` : `${m[1]}${n}` };
+}
+export function plcText(space, v) { return space === "DF" ? String(Math.round(v * 100) / 100) : String(v); }
+// MQTT payload -> register value; null when the payload does not fit the address type
+function plcCoerce(space, payload) {
+  const p = String(payload).trim().toLowerCase();
+  if (PLC_SPACES[space].bit) return { 1: 1, true: 1, on: 1, 0: 0, false: 0, off: 0 }[p] ?? null;
+  const v = Number(p);
+  if (p === "" || !Number.isFinite(v)) return null;
+  if (space === "DS") return Number.isInteger(v) && v >= -32768 && v <= 32767 ? v : null;
+  return v;
+}
+
+// --- Test Mode challenges: objectives are checked against the commands the shells run, ---
+// --- bus traffic and broker / PLC state, never against free-text answers ---
+// check(ev, s, sim) runs for every event until it returns true once. ev is one of
+// { kind: "command", name, args, root, opts, last } (opts: parsed mosquitto_* flags, null on bad flags),
+// { kind: "publish", msg, client }, { kind: "state", state }, { kind: "plc" } or { kind: "tick" }.
+// s.data is per-attempt scratch space. par = commands a clean solution needs; timeLimit in seconds.
+export const CHALLENGES = [
+  {
+    id: "retained-status", title: "Late subscribers see the line status", timeLimit: 300, par: 2,
+    brief: "Operators open their dashboards at random times. Make anyone who subscribes to click/line1/status see the current state (RUN) straight away, then prove it with a subscriber started afterwards.",
+    hints: ["The broker can keep the last message on a topic for subscribers that arrive later.", "mosquitto_pub has a flag for that: -r.", "mosquitto_pub -t click/line1/status -m RUN -r, then mosquitto_sub -t click/line1/status -v"],
+    setup: ({ broker }) => { broker.retained.delete("click/line1/status"); },
+    objectives: [
+      { text: "The broker holds a retained RUN on click/line1/status", check: (ev, s, { broker }) => broker.retained.get("click/line1/status")?.payload === "RUN" },
+      { text: "A subscriber started afterwards gets it", check: (ev, s, { broker }) => ev.kind === "command" && ev.name === "mosquitto_sub" && broker.service.state === "active" && !!ev.opts?.topics.some((f) => matchTopic(f, "click/line1/status")) && broker.retained.get("click/line1/status")?.payload === "RUN" },
+    ],
+  },
+  {
+    id: "rr-status", title: "Ask the line for its state", timeLimit: 180, par: 1,
+    brief: "The line answers status requests sent to click/line1/req. Use request/response to get the RUN reply on click/line1/res within 2 seconds.",
+    hints: ["mosquitto_rr publishes a request and waits for the answer on a response topic.", "-t is the request topic, -e the response topic and -m the request; ask for 'status'.", "mosquitto_rr -t click/line1/req -e click/line1/res -m status -W 2"],
+    objectives: [
+      { text: "Send a request to click/line1/req with response topic click/line1/res", check: (ev, s, { clock }) => {
+        if (ev.kind !== "command" || ev.name !== "mosquitto_rr" || ev.opts?.topic !== "click/line1/req" || ev.opts.responseTopic !== "click/line1/res") return false;
+        s.data.requestedAt = clock.now(); return true;
+      } },
+      { text: "RUN arrives on click/line1/res within 2 s", check: (ev, s, { clock }) => ev.kind === "publish" && s.data.requestedAt != null && ev.msg.topic === "click/line1/res" && ev.msg.payload === "RUN" && clock.now() - s.data.requestedAt <= 2000 },
+    ],
+  },
+  {
+    id: "broker-restart", title: "Bring the broker back", timeLimit: 240, par: 3,
+    brief: "Clients on line 1 report 'Connection refused'. Find out what is wrong with the broker, get it running again and confirm it is up.",
+    hints: ["systemd manages the broker as mosquitto.service.", "systemctl status mosquitto shows it is inactive; starting it needs sudo.", "sudo systemctl start mosquitto, then systemctl is-active mosquitto"],
+    setup: (sim) => { sim.serviceStop(); },
+    objectives: [
+      { text: "mosquitto.service is active again", check: (ev, s, { broker }) => broker.service.state === "active" },
+      { text: "Confirm it with systemctl status or is-active", check: (ev, s) => ev.kind === "command" && ev.name === "systemctl" && ["status", "is-active"].includes(ev.args[0]) && s.done[0] },
+    ],
+  },
+  {
+    id: "plc-start", title: "Start the conveyor over MQTT", timeLimit: 240, par: 2,
+    brief: "Line 1's conveyor (Y001) is stopped. Without touching the PLC, start it over MQTT and watch its part count (DS1) come in.",
+    hints: ["The PLC subscribes to command topics under click/line1/cmd/.", "It publishes DS1 on click/line1/telemetry/DS1.", "mosquitto_sub -t click/line1/telemetry/# -v, then mosquitto_pub -t click/line1/cmd/start -m 1"],
+    setup: (sim) => { sim.plcWrite("X2", 0); sim.plcWrite("Y1", 0); },
+    objectives: [
+      { text: "Y001 (conveyor) is on", check: (ev, s, { plc }) => plc.mem.Y[1] === 1 },
+      { text: "A subscriber is watching DS1", check: (ev) => ev.kind === "command" && ev.name === "mosquitto_sub" && !!ev.opts?.topics.some((f) => matchTopic(f, "click/line1/telemetry/DS1")) },
+    ],
+  },
+  {
+    id: "lockdown", title: "No more anonymous clients", timeLimit: 600, par: 5,
+    brief: "Security review: the broker must refuse anonymous clients, and the PLC account plc1 must still be able to publish its telemetry.",
+    hints: ["mosquitto_passwd creates the password file; a conf.d drop-in changes the broker settings.", "You need allow_anonymous false and password_file /etc/mosquitto/passwd, then a restart.", "sudo mosquitto_passwd -c -b /etc/mosquitto/passwd plc1 clickpass\nprintf 'allow_anonymous false\\npassword_file /etc/mosquitto/passwd\\n' | sudo tee /etc/mosquitto/conf.d/auth.conf\nsudo systemctl restart mosquitto\nmosquitto_pub -u plc1 -P clickpass -t click/line1/telemetry/DS1 -m 1"],
+    objectives: [
+      { text: "The running broker refuses anonymous clients", check: (ev, s, { broker }) => broker.service.state === "active" && broker.config.allowAnonymous === false },
+      { text: "plc1 is in the broker's password file", check: (ev, s, { broker }) => broker.service.state === "active" && broker.config.passwords.has("plc1") },
+      { text: "plc1 publishes under click/line1/telemetry/", check: (ev) => ev.kind === "publish" && ev.client?.username === "plc1" && matchTopic("click/line1/telemetry/#", ev.msg.topic) },
+    ],
+  },
+];
+export const HINT_COST = 15; export const EXTRA_COMMAND_COST = 5;
+
+// --- Job control: signals `kill` understands and how bash reports a job that ended ---
+const SIGNALS = { HUP: 1, INT: 2, KILL: 9, TERM: 15 };
+const SIGNAL_STATUS = { HUP: "Hangup", INT: "Interrupt", KILL: "Killed", TERM: "Terminated" };
+function jobStatusText(status) {
+  if (typeof status === "string") return SIGNAL_STATUS[status];
+  return status === 0 ? "Done" : `Exit ${status}`;
+}
+
+// --- Tab completion: flags, systemctl verbs and the flags that take a topic ---
+const SYSTEMCTL_VERBS = ["start", "stop", "restart", "reload", "status", "enable", "disable", "is-active"];
+const TOPIC_FLAGS = ["-t", "--topic", "-T", "--filter-out", "-e"];
+
+// Time as the simulator sees it; tests pass a fake clock that only moves when they advance it
+const REAL_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (t) => clearTimeout(t),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (t) => clearInterval(t),
+};
+
+const LIVE_LOG_MAX = 1000;
+
+// ~/responder.json: { "rules": [rule, ...] }, first match wins. A rule is
+//   { topic?, match? | regex?, reply, delay?, replyTo? }
+//   topic    request topic filter ("#" when left out)
+//   match    the whole payload, trimmed and case-insensitive; regex: a JavaScript pattern instead
+//   reply    template with {payload}, {topic} and {0}..{9} (regex groups); null sends no reply (-W timeouts)
+//   delay    ms before the reply (600); replyTo: topic for requests without a response topic (MQTT 3.1.1)
+const RESPONDER_FILE = `${HOME}/responder.json`;
+const RESPONDER_PID = 655;
+const RESPONDER_DEFAULTS = `{
+  "rules": [
+    { "match": "get", "reply": "RUN" },
+    { "match": "status", "reply": "RUN" },
+    { "match": "start", "reply": "OK" },
+    { "match": "stop", "reply": "OK" },
+    { "match": "", "reply": "ACK" },
+    { "reply": "ACK:{payload}" }
+  ]
+}
+`;
+const RESPONDER_FIELDS = ["topic", "match", "regex", "reply", "delay", "replyTo"];
+
+// Text of responder.json -> { rules (ready to test), errors ["rules[2]: ...", ...] }; a file with errors has no rules
+export function parseResponderRules(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { return { rules: [], errors: [`not valid JSON (${e.message})`] }; }
+  if (!Array.isArray(data?.rules)) return { rules: [], errors: ['expected { "rules": [...] }'] };
+  const errors = []; const rules = [];
+  data.rules.forEach((r, i) => {
+    const fail = (msg) => errors.push(`rules[${i}]: ${msg}`);
+    if (r === null || typeof r !== "object" || Array.isArray(r)) { fail("must be an object"); return; }
+    Object.keys(r).filter((k) => !RESPONDER_FIELDS.includes(k)).forEach((k) => fail(`unknown field "${k}" (rule fields: ${RESPONDER_FIELDS.join(", ")})`));
+    const topic = r.topic ?? "#";
+    if (typeof topic !== "string" || !validTopicFilter(topic)) fail(`"topic" must be a topic filter, got ${JSON.stringify(r.topic)}`);
+    if (r.match !== undefined && r.regex !== undefined) fail('use "match" or "regex", not both');
+    if (r.match !== undefined && typeof r.match !== "string") fail('"match" must be a string');
+    let regex = null;
+    if (r.regex !== undefined) {
+      try { regex = new RegExp(r.regex); } catch (e) { fail(`"regex" is not a valid regular expression (${e.message})`); }
+    }
+    if (!("reply" in r)) fail('missing "reply" (null for no reply)');
+    else if (r.reply !== null && typeof r.reply !== "string") fail('"reply" must be a string or null');
+    const delay = r.delay ?? 600;
+    if (!Number.isInteger(delay) || delay < 0) fail(`"delay" must be a whole number of ms, got ${JSON.stringify(r.delay)}`);
+    if (r.replyTo !== undefined && (typeof r.replyTo !== "string" || !validTopicName(r.replyTo))) fail(`"replyTo" must be a topic name, got ${JSON.stringify(r.replyTo)}`);
+    const match = typeof r.match === "string" ? r.match.trim().toLowerCase() : null;
+    rules.push({
+      topic, reply: r.reply, delay, replyTo: r.replyTo,
+      test: (payload) => (regex ? regex.test(payload) : match == null || payload.trim().toLowerCase() === match),
+      groups: (payload) => (regex ? regex.exec(payload) ?? [] : [payload]),
+    });
+  });
+  return errors.length ? { rules: [], errors } : { rules, errors };
+}
+
+// Packets kept for the sequence diagram (sim.wire)
+const WIRE_MAX = 500;
+// mosquitto_pub --repeat without --repeat-delay: messages sent per timer tick
+const REPEAT_BATCH = 100;
+// Messages queued for an offline persistent session (mosquitto's max_queued_messages default)
+const SESSION_QUEUE_MAX = 1000;
+
+// Terminal lines each shell keeps (sim.setScrollback() changes it) and journal entries kept
+export const SCROLLBACK_LINES = 5000;
+const JOURNAL_MAX = 5000;
+
+// `WebSocket` is only used in live broker mode (tests pass a fake one)
+export function createSimulator({ clock = REAL_CLOCK, WebSocket = globalThis.WebSocket, scrollback = SCROLLBACK_LINES } = {}) {
+  // --- Broker: pub/sub bus plus a per-topic retained store ---
+  const broker = {
+    listeners: new Set(), stateListeners: new Set(), subs: new Set(), retained: new Map(), nextMid: 1,
+    topics: new Set(), // every topic an accepted PUBLISH has used (terminal Tab completion)
+    clients: new Set(), // connected clients, see brokerConnect() / brokerDisconnect()
+    // Persistent (clean session 0) sessions by client id: their subscriptions outlive the connection
+    // and QoS 1 / 2 messages queue for them while they are offline
+    sessions: new Map(),
+    unplugged: new Set(), cableListeners: new Set(), // lanes whose network cable is pulled, see brokerCable()
+    // Counters behind the $SYS tree since the broker (re)started; `sys` holds the values last published
+    stats: { received: 0, sent: 0, maxClients: 0 }, sys: new Map(), sysTimer: null,
+    // systemd view of mosquitto.service; the initial run started "a day ago"
+    service: { state: "active", enabled: true, pid: 742, nextPid: 1187, since: new Date(clock.now() - 86400000), exitStatus: null },
+    config: null, // applied mosquitto.conf, see loadBrokerConfig()
+  };
+
+  // --- Packet trace: the MQTT packets each client and the broker put on the wire, for the sequence
+  // diagram. dir is "in" (client -> broker), "out" (broker -> client) or null for a connection that just
+  // closed. `lane` groups a client's connections: the terminal session that started it, "node-red",
+  // "plc" or "mqtt-responder".
+  const wire = { packets: [], nextSeq: 1, listeners: new Set() };
+  function wireRecord(client, dir, type, fields = {}) {
+    const packet = { seq: wire.nextSeq++, ts: new Date(clock.now()), lane: client.lane ?? client.clientId, clientId: client.clientId, dir, type, fields };
+    wire.packets.push(packet);
+    if (wire.packets.length > WIRE_MAX) wire.packets.shift();
+    for (const fn of wire.listeners) fn(packet);
+  }
+  function wireListen(fn) {
+    wire.listeners.add(fn);
+    return () => wire.listeners.delete(fn);
+  }
+  // A PUBLISH going `dir` and its QoS 1 / 2 acknowledgements coming back. A publish the ACL denies is
+  // still acknowledged (MQTT 5 clients get reason 0x87).
+  function wirePublish(client, dir, msg, { retain = false, denied = false } = {}) {
+    const back = dir === "in" ? "out" : "in"; const packetId = msg.mid;
+    const v5 = client.protocol === 5;
+    wireRecord(client, dir, "PUBLISH", {
+      topic: msg.topic, payload: msg.payload, qos: msg.qos, retain: retain ? 1 : 0, dup: 0,
+      ...(msg.qos > 0 && { packetId }), ...(v5 && { properties: msg.properties }), ...(denied && { note: "denied by the ACL, dropped" }),
+    });
+    if (msg.qos === 1) wireRecord(client, back, "PUBACK", { packetId, ...(v5 && { reasonCode: denied ? 0x87 : 0 }) });
+    if (msg.qos === 2) {
+      wireRecord(client, back, "PUBREC", { packetId, ...(v5 && { reasonCode: denied ? 0x87 : 0 }) });
+      if (denied && v5) return;
+      wireRecord(client, dir, "PUBREL", { packetId });
+      wireRecord(client, back, "PUBCOMP", { packetId });
+    }
+  }
+  // `client` (from brokerConnect) is checked against the ACL; internal publishers may omit it and
+  // name an `origin` ({clientId, lane}) to show on the packet trace instead.
+  // `properties` are the MQTT 5 ones (keys as in mqttws.js); a topic alias only lives on one connection.
+  // `will`: the broker publishes `origin`'s Last Will, so nothing came in on the wire.
+  function brokerPublish({ topic, payload, qos = 0, retained = false, client = null, origin = null, properties = {}, will = false }) {
+    if (broker.service.state !== "active" || !validTopicName(topic)) return null;
+    // Behind a pulled cable the PUBLISH only goes out if the cable is back before the keepalive runs out
+    if (client && broker.unplugged.has(client.lane)) { client.held.push({ publish: { topic, payload, qos, retained, client, properties } }); return null; }
+    const { topicAlias, ...props } = properties;
+    const msg = { topic, payload: String(payload ?? ""), qos, retained, mid: qos > 0 ? broker.nextMid++ : 0, ts: new Date(clock.now()), properties: props };
+    if (props.messageExpiry != null) msg.expiresAt = clock.now() + props.messageExpiry * 1000;
+    const sender = client || origin;
+    const denied = client && !brokerCanAccess(client, topic, "write");
+    const log = { ts: msg.ts, clientId: sender?.clientId };
+    if (will) wireRecord(origin, null, "will published", { topic, payload: msg.payload, qos, retain: retained ? 1 : 0 });
+    else if (sender) wirePublish(sender, "in", msg, { retain: retained, denied });
+    if (denied) { brokerLog("debug", `Denied PUBLISH from ${client.clientId} ${publishFlags(msg)}`, log); return null; }
+    broker.topics.add(topic);
+    if (!will) {
+      broker.stats.received++;
+      brokerLog("debug", `Received PUBLISH from ${sender?.clientId ?? "local"} ${publishFlags(msg)}`, log);
+    }
+    brokerRoute(msg);
+    for (const fn of broker.listeners) fn(msg, client);
+    return msg;
+  }
+  // mosquitto's debug summary of a PUBLISH: "(d0, q1, r0, m3, 'plc/temp', ... (4 bytes))"
+  function publishFlags(msg) {
+    return `(d0, q${msg.qos}, r${msg.retained ? 1 : 0}, m${msg.mid}, '${msg.topic}', ... (${new TextEncoder().encode(msg.payload).length} bytes))`;
+  }
+  // Store (retained) and hand a message to every matching subscription
+  function brokerRoute(msg) {
+    // MQTT: a retained publish with an empty payload clears the stored message
+    if (msg.retained) { if (msg.payload === "") broker.retained.delete(msg.topic); else broker.retained.set(msg.topic, msg); }
+    for (const sub of [...broker.subs]) if (sub.filters.some((f) => matchTopic(f, msg.topic))) deliverTo(sub, msg, false);
+  }
+  // Raw tap on every accepted PUBLISH as fn(msg, client) (responder, Test Mode checks); no ACL involved
+  function brokerListen(fn) {
+    broker.listeners.add(fn);
+    return () => broker.listeners.delete(fn);
+  }
+  // Service state changes ("active" | "inactive" | "failed"); connected clients drop when it leaves "active"
+  function brokerOnState(fn) {
+    broker.stateListeners.add(fn);
+    return () => broker.stateListeners.delete(fn);
+  }
+  // SUBSCRIBE for a connected client. Returns the SUBACK codes (granted QoS or 0x80 when the ACL
+  // denies the filter or it is not a valid filter) and an `off` to unsubscribe. Matching retained
+  // messages follow immediately. (The clients check their filters before they get this far.)
+  // A subscription identifier in `properties` comes back on every message it delivers. A null
+  // `onMessage` hands the messages to the client's own onMessage (see brokerConnect()).
+  // In a persistent session the subscription stays when `off` is called (the process ended, the
+  // session did not) and subscribing to the same filter again replaces it.
+  function brokerSubscribe(client, filters, qos, onMessage, properties = {}) {
+    const packetId = client.nextPacketId++;
+    wireRecord(client, "in", "SUBSCRIBE", { packetId, subscriptions: filters.map((topic) => ({ topic, qos })), ...(client.protocol === 5 && { properties }) });
+    const granted = filters.map((f) => (validTopicFilter(f) && brokerCanAccess(client, f, "read") ? qos : 0x80));
+    const log = { clientId: client.clientId };
+    brokerLog("debug", `Received SUBSCRIBE from ${client.clientId}`, log);
+    filters.forEach((f, i) => {
+      brokerLog("debug", `\t${f} (QoS ${qos})`, log);
+      if (granted[i] !== 0x80) brokerLog("subscribe", `${client.clientId} ${qos} ${f}`, log);
+    });
+    brokerLog("debug", `Sending SUBACK to ${client.clientId}`, log);
+    wireRecord(client, "out", "SUBACK", { packetId, granted });
+    const sub = { client, session: client.session, filters: filters.filter((_, i) => granted[i] !== 0x80), qos, onMessage, subscriptionId: properties.subscriptionId };
+    if (sub.filters.length === 0) return { granted, off: () => {} };
+    for (const old of [...broker.subs]) {
+      if (!sub.session || old.session !== sub.session) continue;
+      old.filters = old.filters.filter((f) => !sub.filters.includes(f));
+      if (old.filters.length === 0) broker.subs.delete(old);
+    }
+    broker.subs.add(sub);
+    const seen = new Set();
+    for (const f of sub.filters) {
+      for (const m of [...broker.retained.values()]) {
+        if (m.expiresAt <= clock.now()) { broker.retained.delete(m.topic); continue; }
+        if (!seen.has(m.topic) && matchTopic(f, m.topic)) { seen.add(m.topic); deliverTo(sub, m, true); }
+      }
+    }
+    return { granted, off: () => { if (sub.session) sub.onMessage = null; else broker.subs.delete(sub); } };
+  }
+  // Live traffic arrives with r0; only the retained-store replay on subscribe carries r1.
+  // QoS is downgraded to the subscription's QoS and every message is checked for read access.
+  // MQTT 5 subscribers get the properties, with the expiry interval counted down; older clients none.
+  function deliverTo(sub, msg, fromStore) {
+    if (!brokerCanAccess(sub.client, msg.topic, "read")) return;
+    const qos = Math.min(msg.qos, sub.qos);
+    let properties = {};
+    if (sub.client?.protocol === 5) {
+      properties = { ...msg.properties };
+      if (msg.expiresAt != null) properties.messageExpiry = Math.max(0, Math.ceil((msg.expiresAt - clock.now()) / 1000));
+      if (sub.subscriptionId != null) properties.subscriptionId = sub.subscriptionId;
+    }
+    const delivered = { ...msg, qos, retained: fromStore, mid: qos > 0 ? msg.mid : 0, properties };
+    if (sub.session && !sub.session.client) sessionQueue(sub.session, delivered);
+    else brokerSend(sub.client, delivered, fromStore, sub.onMessage);
+  }
+  // One PUBLISH to a connected client. Behind a pulled cable it waits in `held`: the broker cannot
+  // tell yet, and TCP delivers it if the cable is back in time.
+  function brokerSend(client, msg, fromStore = false, onMessage = null) {
+    if (broker.unplugged.has(client.lane)) { client.held.push({ msg, fromStore, onMessage }); return; }
+    broker.stats.sent++;
+    brokerLog("debug", `Sending PUBLISH to ${client.clientId} ${publishFlags(msg)}`, { clientId: client.clientId });
+    wirePublish(client, "out", msg, { retain: fromStore });
+    if (!client.closing) (onMessage ?? client.onMessage)?.(msg);
+  }
+  // An offline persistent session keeps its QoS 1 / 2 messages (QoS 0 ones are dropped), up to SESSION_QUEUE_MAX
+  function sessionQueue(session, msg) {
+    if (msg.qos === 0) return;
+    if (session.queue.length < SESSION_QUEUE_MAX) { session.queue.push(msg); return; }
+    if (!session.dropping) brokerLog("notice", `Outgoing messages are being dropped for client ${session.clientId}.`, { clientId: session.clientId });
+    session.dropping = true;
+  }
+  // Client CONNECT; returns { client } or { error } with the text the mosquitto clients print.
+  // `lane` groups the client on the packet trace. `clean` false resumes (or starts) the persistent
+  // session for the client id; `will` ({ topic, payload, qos, retain, properties }) is published for
+  // it if the connection ends without a DISCONNECT. `onMessage` gets what arrives outside its own
+  // subscriptions (a resumed session's queue and old subscriptions), `onLost` runs when the broker
+  // drops the connection (keepalive timeout, another client taking the id).
+  function brokerConnect({ port = 1883, username, password, id, protocol = 4, lane, clean = true, keepalive = 60, will = null, onMessage = null, onLost = null } = {}) {
+    const cfg = broker.config;
+    if (broker.unplugged.has(lane)) return { error: "Error: Network is unreachable" };
+    if (broker.service.state !== "active" || !cfg.listeners.some((l) => l.port === port)) return { error: "Error: Connection refused" };
+    const client = { clientId: id || autoClientId(), username: username ?? null, protocol, lane, nextPacketId: 1, keepalive, will, onMessage, onLost, session: null, held: [], closing: null, cableTimer: null };
+    wireRecord(client, "in", "CONNECT", {
+      protocolName: protocol === 3 ? "MQIsdp" : "MQTT", protocolLevel: protocol, clientId: client.clientId, [protocol === 5 ? "cleanStart" : "cleanSession"]: clean ? 1 : 0, keepalive,
+      ...(will && { will: { topic: will.topic, payload: will.payload, qos: will.qos, retain: will.retain ? 1 : 0, ...(protocol === 5 && { properties: will.properties }) } }),
+      ...(username != null && { username }), ...(password != null && { password: "*".repeat(password.length) }),
+    });
+    const connack = (code, present = 0) => wireRecord(client, "out", "CONNACK", { sessionPresent: present, [protocol === 5 ? "reasonCode" : "returnCode"]: code });
+    const from = `127.0.0.1:${40000 + Math.floor(Math.random() * 20000)}`;
+    brokerLog("notice", `New connection from ${from} on port ${port}.`);
+    // Log line codes: p1 = MQTT 3.1, p2 = 3.1.1, p5 = 5; c1 = clean session; k = keepalive
+    const log = { clientId: client.clientId };
+    const accepted = () => {
+      // A client id is one connection: a second CONNECT with it closes the first
+      const old = [...broker.clients].find((c) => c.clientId === client.clientId);
+      if (old) {
+        brokerLog("information", `Client ${old.clientId} already connected, closing old connection.`, log);
+        wireRecord(old, null, "connection closed", { reason: "a new connection took over the client id" });
+        brokerDrop(old, { will: true });
+        old.onLost?.();
+      }
+      let session = broker.sessions.get(client.clientId) ?? null;
+      if (session && clean) { sessionEnd(session); session = null; }
+      const present = session ? 1 : 0;
+      if (!session && !clean) broker.sessions.set(client.clientId, (session = { clientId: client.clientId, client: null, queue: [], dropping: false, willTimer: null }));
+      client.session = session;
+      connack(0, present);
+      broker.clients.add(client);
+      broker.stats.maxClients = Math.max(broker.stats.maxClients, broker.clients.size);
+      brokerLog("notice", `New client connected from ${from} as ${client.clientId} (p${protocol === 5 ? 5 : protocol === 3 ? 1 : 2}, c${clean ? 1 : 0}, k${keepalive}${username != null ? `, u'${username}'` : ""}).`, log);
+      brokerLog("debug", `Sending CONNACK to ${client.clientId} (${present}, 0)`, log);
+      // The session picks up its subscriptions, and what queued while it was away follows the CONNACK
+      if (session) {
+        clock.clearTimeout(session.willTimer);
+        session.client = client;
+        for (const sub of broker.subs) if (sub.session === session) sub.client = client;
+        const queued = session.queue; Object.assign(session, { queue: [], dropping: false, willTimer: null });
+        if (queued.length) clock.setTimeout(() => queued.forEach((m) => (broker.clients.has(client) ? brokerSend(client, m) : sessionQueue(session, m))), 0);
+      }
+      return { client };
+    };
+    // v5 clients print the reason string, v3.1.1 the CONNACK string
+    const denied = () => {
+      const code = protocol === 5 ? 0x87 : 5;
+      connack(code);
+      brokerLog("debug", `Sending CONNACK to ${client.clientId} (0, ${code})`, log);
+      brokerLog("notice", `Client ${client.clientId} disconnected, not authorised.`, log);
+      return { error: protocol === 5 ? "Connection error: Not authorized" : "Connection error: Connection Refused: not authorised." };
+    };
+    // The will topic needs write access like any publish
+    const authorised = () => (will && !brokerCanAccess(client, will.topic, "write") ? denied() : accepted());
+    if (username == null) return cfg.allowAnonymous ? authorised() : denied();
+    // mosquitto 2.x: a username only counts when a password_file can vouch for it
+    if (!cfg.passwordFile) return cfg.allowAnonymous ? authorised() : denied();
+    const hash = cfg.passwords.get(username);
+    return hash && password != null && pwCheck(hash, password) ? authorised() : denied();
+  }
+  // The client hung up. `lost`: its process died without sending DISCONNECT, so the broker only sees
+  // the socket close. `timeout`: nothing came for 1.5 × keepalive (the cable was pulled). Both
+  // publish the will. Behind a pulled cable the DISCONNECT (or close) waits for the cable.
+  function brokerDisconnect(client, { lost = false, timeout = false } = {}) {
+    if (!client || !broker.clients.has(client)) return;
+    if (broker.unplugged.has(client.lane) && !timeout) { client.closing = { lost }; return; }
+    const log = { clientId: client.clientId };
+    if (timeout) {
+      wireRecord(client, null, "connection closed", { reason: `nothing received for 1.5 × the ${client.keepalive} s keepalive` });
+      brokerLog("notice", `Client ${client.clientId} has exceeded timeout, disconnecting.`, log);
+    } else if (lost) {
+      wireRecord(client, null, "connection closed", { reason: "the client went away without DISCONNECT" });
+      brokerLog("notice", `Client ${client.clientId} closed its connection.`, log);
+    } else {
+      wireRecord(client, "in", "DISCONNECT", client.protocol === 5 ? { reasonCode: 0 } : {});
+      brokerLog("debug", `Received DISCONNECT from ${client.clientId}`, log);
+      brokerLog("notice", `Client ${client.clientId} disconnected.`, log);
+    }
+    brokerDrop(client, { will: lost || timeout });
+  }
+  // Forget a connection: a persistent session goes offline (what the cable held back queues), a
+  // clean one loses its subscriptions. Then the will, if the connection ended without DISCONNECT.
+  function brokerDrop(client, { will }) {
+    broker.clients.delete(client);
+    clock.clearTimeout(client.cableTimer);
+    const session = client.session;
+    if (session?.client === client) {
+      session.client = null;
+      client.held.filter((h) => h.msg).forEach((h) => sessionQueue(session, h.msg));
+    } else if (!session) {
+      for (const sub of [...broker.subs]) if (sub.client === client) broker.subs.delete(sub);
+    }
+    client.held = [];
+    if (will && client.will) brokerWill(client);
+  }
+  // MQTT 5 will delay interval: a persistent session that comes back in time cancels the will
+  function brokerWill(client) {
+    const { topic, payload, qos, retain, properties = {} } = client.will;
+    const fire = () => brokerPublish({ topic, payload, qos, retained: retain, origin: client, properties: client.protocol === 5 ? properties : {}, will: true });
+    const delay = client.protocol === 5 && client.session ? properties.willDelay ?? 0 : 0;
+    if (delay > 0) client.session.willTimer = clock.setTimeout(() => { client.session.willTimer = null; fire(); }, delay * 1000);
+    else fire();
+  }
+  function sessionEnd(session) {
+    clock.clearTimeout(session.willTimer);
+    for (const sub of [...broker.subs]) if (sub.session === session) broker.subs.delete(sub);
+    broker.sessions.delete(session.clientId);
+  }
+  // Pull (plugged false) or plug back the network cable of a lane. The broker notices nothing until
+  // a client's keepalive runs out (1.5 × keepalive), then closes it and publishes its will; until then
+  // packets both ways wait in `held` and go through if the cable is back in time.
+  function brokerCable(lane, plugged) {
+    if (plugged !== broker.unplugged.has(lane)) return;
+    if (plugged) broker.unplugged.delete(lane); else broker.unplugged.add(lane);
+    for (const client of [...broker.clients].filter((c) => c.lane === lane)) {
+      if (!plugged) {
+        wireRecord(client, null, "cable pulled", { keepalive: client.keepalive });
+        if (client.keepalive > 0) {
+          client.cableTimer = clock.setTimeout(() => { brokerDisconnect(client, { timeout: true }); if (!client.closing) client.onLost?.(); }, client.keepalive * 1500);
+        }
+        continue;
+      }
+      clock.clearTimeout(client.cableTimer);
+      wireRecord(client, null, "cable plugged in");
+      const held = client.held; client.held = [];
+      held.forEach((h) => (h.publish ? brokerPublish(h.publish) : brokerSend(client, h.msg, h.fromStore, h.onMessage)));
+      if (client.closing) brokerDisconnect(client, client.closing);
+    }
+    for (const fn of broker.cableListeners) fn(lane, plugged);
+  }
+  function brokerOnCable(fn) {
+    broker.cableListeners.add(fn);
+    return () => broker.cableListeners.delete(fn);
+  }
+  function autoClientId() {
+    const hex = (n) => Array.from({ length: n }, () => Math.floor(Math.random() * 16).toString(16)).join("");
+    return `auto-${[8, 4, 4, 4, 12].map(hex).join("-").toUpperCase()}`;
+  }
+  // acl_file check. No acl_file means everything is allowed; with one, access is denied unless a
+  // rule grants it. `topic` lines apply to their `user` block (or anonymous clients before the first
+  // user line); `pattern` lines apply to everyone with %u / %c substituted. Filters being subscribed
+  // are matched literally against the ACL, so `#` is only granted by a rule that covers it.
+  function brokerCanAccess(client, topic, access) {
+    const acl = broker.config.acl;
+    if (!acl) return true;
+    const own = client.username == null ? acl.anonymous : acl.users.get(client.username) || [];
+    const patterns = acl.patterns
+      .filter((r) => client.username != null || !r.topic.includes("%u"))
+      .map((r) => ({ ...r, topic: r.topic.replace(/%u/g, client.username).replace(/%c/g, client.clientId) }));
+    const hits = [...own, ...patterns].filter((r) => matchLevels(r.topic, topic));
+    if (hits.some((r) => r.access === "deny")) return false;
+    return hits.some((r) => r.access === "readwrite" || r.access === access);
+  }
+
+  // Log through mosquitto's log_type / log_dest settings (syslog, stdout and stderr all land in the journal)
+  function brokerLog(type, text, { ts = new Date(clock.now()), clientId = null } = {}) {
+    const cfg = broker.config;
+    if (!cfg || cfg.logTypes.has("none") || !(cfg.logTypes.has("all") || cfg.logTypes.has(type))) return;
+    if (cfg.logDests.some((d) => ["syslog", "stdout", "stderr"].includes(d.kind))) journalAppend("mosquitto", text, { ts, priority: LOG_PRIORITY[type], clientId });
+    cfg.logDests.filter((d) => d.kind === "file").forEach((d) => vfsWrite(d.path, `${Math.floor(ts / 1000)}: ${text}\n`, { append: true, root: true }));
+  }
+
+  // --- Live broker: the terminal's mosquitto clients and the log view use a real broker over
+  // MQTT-over-WebSocket instead of the bus above; the PLC and Node-RED stay on the simulator.
+  // A monitor connection (the configured client id) shows whether the broker is reachable and
+  // follows its log, which mosquitto publishes on $SYS/broker/log/# when configured with `log_dest topic`.
+  const live = {
+    enabled: false, state: "off", error: null, // state: off | connecting | connected | disconnected
+    settings: { url: "ws://localhost:9001", username: "", password: "", clientId: "trainer" },
+    log: [], monitor: null, retry: null, listeners: new Set(), logListeners: new Set(),
+  };
+  function liveNotify() { for (const fn of live.listeners) fn(live); }
+  function liveListen(fn) {
+    live.listeners.add(fn);
+    return () => live.listeners.delete(fn);
+  }
+  function liveLogListen(fn) {
+    live.logListeners.add(fn);
+    return () => live.logListeners.delete(fn);
+  }
+  // `auth` ({ username, password, protocol, properties, keepalive, clean, will }) from the command line wins over the settings
+  function liveConnection(clientId, auth = {}) {
+    const s = live.settings;
+    return createMqttConnection({
+      url: s.url, clientId, username: auth.username ?? (s.username || undefined), password: auth.password ?? (s.password || undefined),
+      protocol: auth.protocol ?? 4, properties: auth.properties, keepalive: auth.keepalive, clean: auth.clean, will: auth.will, WebSocket, clock,
+    });
+  }
+  // Switch to the live broker; `settings` is { url, username, password, clientId }
+  function liveConnect(settings) {
+    liveDisconnect();
+    Object.assign(live.settings, settings);
+    live.enabled = true; live.log = [];
+    liveMonitor();
+  }
+  function liveMonitor() {
+    const conn = liveConnection(live.settings.clientId);
+    Object.assign(live, { monitor: conn, state: "connecting", error: null }); liveNotify();
+    conn.connect().then(({ error }) => {
+      if (live.monitor !== conn) return;
+      if (error) { liveLost(error); return; }
+      live.state = "connected"; liveNotify();
+      conn.onLost(() => liveLost("Error: The connection was lost."));
+      conn.onMessage(liveLogAppend);
+      conn.subscribe(["$SYS/broker/log/#"], 0);
+    });
+  }
+  // The monitor tries again every 5 s while live mode is on
+  function liveLost(error) {
+    Object.assign(live, { monitor: null, state: "disconnected", error }); liveNotify();
+    live.retry = clock.setTimeout(() => { live.retry = null; if (live.enabled) liveMonitor(); }, 5000);
+  }
+  // Back to the simulator. Commands already running against the live broker keep their own connections.
+  function liveDisconnect() {
+    clock.clearTimeout(live.retry);
+    const conn = live.monitor;
+    Object.assign(live, { enabled: false, state: "off", error: null, monitor: null, retry: null });
+    conn?.disconnect();
+    liveNotify();
+  }
+  // Payloads are "<unix time>: <text>" (log_timestamp true, the default) or just the text.
+  // The topic's level letter ($SYS/broker/log/E, W, N, I, M/subscribe, D) gives the priority.
+  function liveLogAppend({ topic, payload }) {
+    const m = /^(\d+): ([\s\S]*)$/.exec(payload);
+    let host = "broker";
+    try { host = new URL(live.settings.url).hostname || host; } catch { /* keep the placeholder */ }
+    const text = m ? m[2] : payload;
+    const entry = {
+      ts: new Date(m ? Number(m[1]) * 1000 : clock.now()), host, ident: "mosquitto", pid: null, unit: "mosquitto.service",
+      priority: LOG_TOPIC_PRIORITY[topic.split("/")[3]] ?? 6, text, clientId: logClientId(text),
+    };
+    live.log.push(entry);
+    if (live.log.length > LIVE_LOG_MAX) live.log.shift();
+    for (const fn of live.logListeners) fn(entry);
+  }
+
+  // --- mosquitto.service lifecycle (driven by systemctl) ---
+  function setServiceState(state) {
+    broker.service.state = state; broker.service.since = new Date(clock.now());
+    for (const fn of broker.stateListeners) fn(state);
+  }
+  // Start re-reads mosquitto.conf; a bad config leaves the unit "failed" with mosquitto's errors in the journal
+  function serviceStart() {
+    const svc = broker.service;
+    if (svc.state === "active") return true;
+    svc.pid = svc.nextPid; svc.nextPid += 3;
+    journalAppend("systemd", "Starting Mosquitto MQTT v2.x broker...");
+    const { config, errors } = loadBrokerConfig();
+    if (errors) {
+      errors.forEach((text) => journalAppend("mosquitto", text, { priority: 3 }));
+      svc.exitStatus = "3/NOTIMPLEMENTED";
+      journalAppend("systemd", `mosquitto.service: Main process exited, code=exited, status=${svc.exitStatus}`, { priority: 5 });
+      journalAppend("systemd", "mosquitto.service: Failed with result 'exit-code'.", { priority: 4 });
+      journalAppend("systemd", "Failed to start Mosquitto MQTT v2.x broker.", { priority: 3 });
+      setServiceState("failed");
+      return false;
+    }
+    broker.config = config; svc.exitStatus = null;
+    broker.stats = { received: 0, sent: 0, maxClients: 0 };
+    restoreRetained();
+    startupLog().forEach((text) => brokerLog("notice", text));
+    journalAppend("systemd", "Started Mosquitto MQTT v2.x broker.");
+    setServiceState("active");
+    sysStart();
+    return true;
+  }
+  function serviceStop() {
+    if (broker.service.state !== "active") return;
+    sysStop();
+    journalAppend("systemd", "Stopping Mosquitto MQTT v2.x broker...");
+    brokerLog("notice", "mosquitto version 2.0.x terminating");
+    if (broker.config.persistence) {
+      brokerLog("notice", `Saving in-memory database to ${persistencePath()}.`);
+      vfsWrite(persistencePath(), JSON.stringify(retainedMessages()), { root: true });
+    }
+    // MQTT 5 clients are told the server is shutting down; older ones just see the connection close
+    broker.clients.forEach((c) => (c.protocol === 5 ? wireRecord(c, "out", "DISCONNECT", { reasonCode: 0x8b }) : wireRecord(c, null, "connection closed", { reason: "the broker stopped" })));
+    broker.clients.forEach((c) => clock.clearTimeout(c.cableTimer));
+    broker.sessions.forEach((session) => clock.clearTimeout(session.willTimer));
+    // the process is gone; only what was persisted comes back (retained messages, not sessions)
+    broker.retained.clear(); broker.subs.clear(); broker.clients.clear(); broker.sessions.clear();
+    broker.service.exitStatus = "0/SUCCESS";
+    setServiceState("inactive");
+    journalAppend("systemd", "mosquitto.service: Deactivated successfully.");
+    journalAppend("systemd", "Stopped Mosquitto MQTT v2.x broker.");
+  }
+
+  // SIGHUP (ExecReload): re-read auth, ACL and logging; listeners keep their sockets
+  function serviceReload() {
+    journalAppend("systemd", "Reloading Mosquitto MQTT v2.x broker...");
+    brokerLog("notice", "Reloading config.");
+    const { config, errors } = loadBrokerConfig();
+    if (errors) errors.forEach((text) => brokerLog("error", text));
+    else broker.config = { ...config, listeners: broker.config.listeners, localOnly: broker.config.localOnly };
+    journalAppend("systemd", "Reloaded Mosquitto MQTT v2.x broker.");
+  }
+
+  function persistencePath() {
+    const cfg = broker.config;
+    return `${cfg.persistenceLocation.replace(/\/?$/, "/")}${cfg.persistenceFile}`;
+  }
+  // persistence true: retained messages saved on shutdown are loaded back on start
+  function restoreRetained() {
+    if (!broker.config.persistence) return;
+    try {
+      const saved = JSON.parse(vfsRead(persistencePath()) || "[]");
+      saved.forEach((m) => broker.retained.set(m.topic, { ...m, ts: new Date(m.ts) }));
+    } catch {
+      brokerLog("error", `Error: Unable to restore persistent database. Unrecognised file format.`);
+    }
+  }
+
+  // What persistence and saved sessions keep: the $SYS tree is rebuilt by the running broker
+  function retainedMessages() {
+    return [...broker.retained.values()].filter((m) => !m.topic.startsWith("$SYS/"));
+  }
+
+  // --- $SYS/broker/...: statistics the broker publishes (retained) every sys_interval seconds ---
+  // As in mosquitto, a value only goes out again when it changed, except the uptime. The message
+  // counters count PUBLISH packets; $SYS messages handed to subscribers count as sent.
+  function sysValues() {
+    let subscriptions = 0;
+    for (const sub of broker.subs) subscriptions += sub.filters.length;
+    const offline = [...broker.sessions.values()].filter((session) => !session.client).length; // persistent sessions
+    return [
+      ["$SYS/broker/version", "mosquitto version 2.0.x"],
+      ["$SYS/broker/uptime", `${Math.floor((clock.now() - broker.service.since) / 1000)} seconds`],
+      ["$SYS/broker/clients/total", broker.clients.size + offline],
+      ["$SYS/broker/clients/connected", broker.clients.size],
+      ["$SYS/broker/clients/disconnected", offline],
+      ["$SYS/broker/clients/maximum", broker.stats.maxClients],
+      ["$SYS/broker/messages/received", broker.stats.received],
+      ["$SYS/broker/messages/sent", broker.stats.sent],
+      ["$SYS/broker/subscriptions/count", subscriptions],
+      ["$SYS/broker/retained messages/count", broker.retained.size],
+    ];
+  }
+  function sysPublish() {
+    const ts = new Date(clock.now());
+    for (const [topic, value] of sysValues()) {
+      const payload = String(value);
+      if (broker.sys.get(topic) === payload && topic !== "$SYS/broker/uptime") continue;
+      broker.sys.set(topic, payload);
+      brokerRoute({ topic, payload, qos: 0, retained: true, mid: 0, ts });
+    }
+  }
+  // The first update goes out as the broker starts; sys_interval 0 turns the tree off
+  function sysStart() {
+    sysStop();
+    if (!(broker.config.sysInterval > 0)) return;
+    sysPublish();
+    broker.sysTimer = clock.setInterval(sysPublish, broker.config.sysInterval * 1000);
+  }
+  function sysStop() {
+    clock.clearInterval(broker.sysTimer);
+    broker.sysTimer = null; broker.sys.clear();
+  }
+
+  function startupLog() {
+    const cfg = broker.config;
+    const lines = ["mosquitto version 2.0.x starting", `Config loaded from ${MOSQ_CONF}.`];
+    if (cfg.localOnly) {
+      lines.push(
+        "Starting in local only mode. Connections will only be possible from clients running on this machine.",
+        "Create a configuration file which defines a listener to allow remote access.",
+        "For more details see https://mosquitto.org/documentation/authentication-methods/",
+      );
+    }
+    cfg.listeners.forEach(({ port, bind }) => {
+      if (!bind || !bind.includes(":")) lines.push(`Opening ipv4 listen socket on port ${port}.`);
+      if (!bind || bind.includes(":")) lines.push(`Opening ipv6 listen socket on port ${port}.`);
+    });
+    lines.push("mosquitto version 2.0.x running");
+    return lines;
+  }
+
+  // systemctl status output generated from the service state
+  function systemctlStatus() {
+    const svc = broker.service;
+    const active = {
+      active: ["●", "active (running)"], inactive: ["○", "inactive (dead)"], failed: ["×", "failed (Result: exit-code)"],
+    }[svc.state];
+    const head = [
+      `${active[0]} mosquitto.service - Mosquitto MQTT v2.x broker`,
+      `     Loaded: loaded (/lib/systemd/system/mosquitto.service; ${svc.enabled ? "enabled" : "disabled"}; vendor preset: enabled)`,
+      `     Active: ${active[1]} since ${formatStamp(svc.since)}; ${agoText(svc.since, new Date(clock.now()))}`,
+      "       Docs: man:mosquitto.conf(5)",
+      "             man:mosquitto(8)",
+    ];
+    const body = svc.state === "active" ? [
+      `   Main PID: ${svc.pid} (mosquitto)`,
+      "      Tasks: 1 (limit: 19040)",
+      "     Memory: 3.6M",
+      "        CPU: 12ms",
+      "     CGroup: /system.slice/mosquitto.service",
+      `             └─${svc.pid} /usr/sbin/mosquitto -c ${MOSQ_CONF}`,
+    ] : [
+      `    Process: ${svc.pid} ExecStart=/usr/sbin/mosquitto -c ${MOSQ_CONF} (code=exited, status=${svc.exitStatus})`,
+      `   Main PID: ${svc.pid} (code=exited, status=${svc.exitStatus})`,
+    ];
+    return [...head, ...body, "", ...journal.entries.filter((e) => e.unit === "mosquitto.service").slice(-10).map(journalLine)].join("\n");
+  }
+
+  // systemctl <verb> mosquitto; returns output lines. Changing unit state needs root (sudo).
+  function systemctl(verb, unit, root = false) {
+    const known = ["start", "stop", "restart", "reload", "status", "enable", "disable", "is-active", "is-enabled"];
+    if (!known.includes(verb)) return [`Unknown command verb ${verb}.`];
+    if (!unit) return ["Too few arguments."];
+    const name = unit.replace(/\.service$/, "");
+    if (name !== "mosquitto") {
+      if (verb === "status") return [`Unit ${name}.service could not be found.`];
+      if (verb === "is-active") return ["inactive"];
+      return [`Failed to ${verb} ${name}.service: Unit ${name}.service not found.`];
+    }
+    if (!root && ["start", "stop", "restart", "reload"].includes(verb)) {
+      return [`Failed to ${verb} mosquitto.service: Interactive authentication required.`, "See system logs and 'systemctl status mosquitto.service' for details."];
+    }
+    if (!root && ["enable", "disable"].includes(verb)) return [`Failed to ${verb} unit: Interactive authentication required.`];
+    const svc = broker.service;
+    const failed = [
+      "Job for mosquitto.service failed because the control process exited with error code.",
+      `See "systemctl status mosquitto.service" and "journalctl -xeu mosquitto.service" for details.`,
+    ];
+    switch (verb) {
+      case "start": return serviceStart() ? [] : failed;
+      case "stop": serviceStop(); return [];
+      case "restart": serviceStop(); return serviceStart() ? [] : failed;
+      case "reload":
+        if (svc.state !== "active") return ["mosquitto.service is not active, cannot reload."];
+        serviceReload(); return [];
+      case "status": return [systemctlStatus()];
+      case "is-active": return [svc.state];
+      case "is-enabled": return [svc.enabled ? "enabled" : "disabled"];
+      case "enable":
+        if (svc.enabled) return [];
+        svc.enabled = true;
+        return [
+          "Synchronizing state of mosquitto.service with SysV service script with /lib/systemd/systemd-sysv-install.",
+          "Executing: /lib/systemd/systemd-sysv-install enable mosquitto",
+          "Created symlink /etc/systemd/system/multi-user.target.wants/mosquitto.service → /lib/systemd/system/mosquitto.service.",
+        ];
+      case "disable":
+        if (!svc.enabled) return [];
+        svc.enabled = false;
+        return [
+          "Synchronizing state of mosquitto.service with SysV service script with /lib/systemd/systemd-sysv-install.",
+          "Executing: /lib/systemd/systemd-sysv-install disable mosquitto",
+          "Removed /etc/systemd/system/multi-user.target.wants/mosquitto.service.",
+        ];
+      default: return [];
+    }
+  }
+
+  // Journal shared by journalctl and the Logs panel; followers get every new entry.
+  // Entries are { ts, ident, pid, unit, priority (index into PRIORITIES), text, clientId }; `clientId`
+  // is set on mosquitto lines about one client so the Logs panel can pick them out.
+  const journal = { entries: [], listeners: new Set() };
+  function journalAppend(ident, text, { ts = new Date(clock.now()), priority = 6, clientId = null } = {}) {
+    const pid = ident === "systemd" ? 1 : ident === "mqtt-responder" ? RESPONDER_PID : broker.service.pid;
+    const entry = { ts, ident, pid, unit: journalUnit(ident), priority, text, clientId };
+    journal.entries.push(entry);
+    if (journal.entries.length > JOURNAL_MAX) journal.entries.shift();
+    for (const fn of journal.listeners) fn(entry);
+    return entry;
+  }
+  function journalListen(fn) {
+    journal.listeners.add(fn);
+    return () => journal.listeners.delete(fn);
+  }
+  function journalUnit(ident) { return ident === "mqtt-responder" ? "mqtt-responder.service" : "mosquitto.service"; }
+
+  // journalctl [-u UNIT] [-n N] [-f] [-p PRIORITY[..PRIORITY]] [--since TIME] [--until TIME] [-o FORMAT]
+  // over the journal, or over the live broker's log in live mode. Without -n everything matching is
+  // printed (-f: the last 10, -e: the last 1000); -f then follows. Output is never paged.
+  function runJournalctl({ args: argv, job, print }) {
+    const long = {
+      "--unit": "-u", "--lines": "-n", "--follow": "-f", "--priority": "-p", "--since": "-S", "--until": "-U", "--output": "-o",
+      "--pager-end": "-e", "--catalog": "-x", "--quiet": "-q", "--no-pager": "--no-pager", "--help": "-h",
+    };
+    const withValue = ["-u", "-p", "-S", "-U", "-o"];
+    // --unit=x -> --unit x; -xeu x -> -x -e -u x; -n20 -> -n 20
+    const args = [];
+    for (const a of argv) {
+      const eq = /^(--[a-z-]+)=(.*)$/.exec(a);
+      if (eq) { args.push(eq[1], eq[2]); continue; }
+      if (!/^-[a-zA-Z]./.test(a)) { args.push(a); continue; }
+      for (let i = 1; i < a.length; i++) {
+        args.push(`-${a[i]}`);
+        if ([...withValue, "-n"].includes(`-${a[i]}`) && i + 1 < a.length) { args.push(a.slice(i + 1)); break; }
+      }
+    }
+    const o = { units: [], lines: null, follow: false, end: false, quiet: false, priority: [0, 7], since: null, until: null, output: "short" };
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i]; const flag = long[a] || a;
+      if (!a.startsWith("-")) { print(`Failed to add match '${a}': Invalid argument`); return 1; }
+      if (!Object.values(long).includes(flag) && flag !== "-n") {
+        print(a.startsWith("--") ? `journalctl: unrecognized option '${a}'` : `journalctl: invalid option -- '${a.slice(1)}'`);
+        return 1;
+      }
+      if (flag === "-h") { print(JOURNALCTL_HELP); return 0; }
+      // -n takes an optional count: "-n" alone means 10
+      if (flag === "-n") {
+        const v = /^(\+?\d+|all)$/.test(args[i + 1] ?? "") ? args[++i] : "10";
+        o.lines = v === "all" ? Infinity : Number(v);
+        continue;
+      }
+      if (!withValue.includes(flag)) { o[{ "-f": "follow", "-e": "end", "-q": "quiet" }[flag]] = true; continue; }
+      if (i + 1 >= args.length) {
+        print(a.startsWith("--") ? `journalctl: option '${a}' requires an argument` : `journalctl: option requires an argument -- '${a.slice(1)}'`);
+        return 1;
+      }
+      const v = args[++i];
+      if (flag === "-u") o.units.push(v.includes(".") ? v : `${v}.service`);
+      else if (flag === "-p") {
+        const range = v.split("..").map(priorityLevel);
+        if (range.length > 2 || range.includes(null)) { print(`Unknown log level ${v}`); return 1; }
+        o.priority = range.length === 1 ? [0, range[0]] : [Math.min(...range), Math.max(...range)];
+      } else if (flag === "-o") {
+        if (!["short", "cat", "json", "json-pretty"].includes(v)) { print(`Unknown output format '${v}'.`); return 1; }
+        o.output = v;
+      } else {
+        const t = parseJournalTime(v, clock.now());
+        if (t == null) { print(`Failed to parse timestamp: ${v}`); return 1; }
+        o[flag === "-S" ? "since" : "until"] = t;
+      }
+    }
+    const wanted = (e) => (o.units.length === 0 || o.units.includes(e.unit)) && e.priority >= o.priority[0] && e.priority <= o.priority[1];
+    const show = (e) => {
+      if (o.output === "short") print(journalLine(e));
+      else if (o.output === "cat") print(e.text);
+      else JSON.stringify(journalJson(e), null, o.output === "json" ? undefined : "\t").split("\n").forEach((l) => print(l));
+    };
+    const source = live.enabled ? live.log : journal.entries;
+    const matching = source.filter((e) => wanted(e) && (o.since == null || e.ts >= o.since) && (o.until == null || e.ts <= o.until));
+    const count = o.lines ?? (o.follow ? 10 : o.end ? 1000 : Infinity);
+    if (live.enabled && !o.quiet) print(`-- Live broker log from ${live.settings.url} ($SYS/broker/log/#, needs 'log_dest topic') --${o.follow ? " (CTRL+C to stop)" : ""}`);
+    else if (o.follow && !o.quiet) print("-- Journal begins -- (CTRL+C to stop)");
+    matching.slice(Math.max(0, matching.length - count)).forEach(show);
+    if (matching.length === 0 && !o.follow && !o.quiet) print("-- No entries --");
+    if (!o.follow) return 0;
+    job.hold((live.enabled ? liveLogListen : journalListen)((e) => { if (wanted(e)) show(e); }));
+  }
+
+  const vfs = { files: new Map(), dirs: new Set(["/"]) };
+  function vfsDirname(path) { return path.replace(/\/[^/]*$/, "") || "/"; }
+  function vfsMkdirs(path) {
+    let cur = "";
+    for (const part of path.split("/").filter(Boolean)) { cur += `/${part}`; vfs.dirs.add(cur); }
+  }
+  function vfsPut(path, content, owner = "root") {
+    vfsMkdirs(vfsDirname(path));
+    vfs.files.set(path, { content, owner, mtime: new Date(clock.now()) });
+  }
+  // Resolve `p` against `cwd` (handles ~, . and ..)
+  function vfsResolve(cwd, p) {
+    const abs = p.startsWith("/") ? p : p === "~" || p.startsWith("~/") ? HOME + p.slice(1) : `${cwd}/${p}`;
+    const out = [];
+    for (const part of abs.split("/")) {
+      if (!part || part === ".") continue;
+      if (part === "..") out.pop(); else out.push(part);
+    }
+    return `/${out.join("/")}`;
+  }
+  function vfsRead(path) { return vfs.files.get(path)?.content ?? null; }
+  // Returns the errno text ("Permission denied", ...) or null on success
+  function vfsWrite(path, content, { append = false, root = false } = {}) {
+    if (vfs.dirs.has(path)) return "Is a directory";
+    if (!vfs.dirs.has(vfsDirname(path))) return "No such file or directory";
+    const writable = root || path.startsWith(`${HOME}/`) || path.startsWith("/tmp/");
+    if (!writable) return "Permission denied";
+    const prev = vfs.files.get(path);
+    vfs.files.set(path, { content: (append && prev ? prev.content : "") + content, owner: prev?.owner || (root ? "root" : "tech"), mtime: new Date(clock.now()) });
+    return null;
+  }
+  function vfsRemove(path, root = false) {
+    if (vfs.dirs.has(path)) return "Is a directory";
+    if (!vfs.files.has(path)) return "No such file or directory";
+    if (!root && !path.startsWith(`${HOME}/`) && !path.startsWith("/tmp/")) return "Permission denied";
+    vfs.files.delete(path);
+    return null;
+  }
+  // Directory listing: [{ name, dir }] sorted by name, or null when `path` is not a directory
+  function vfsList(path) {
+    if (!vfs.dirs.has(path)) return null;
+    const prefix = path === "/" ? "/" : `${path}/`;
+    const names = new Map();
+    for (const d of vfs.dirs) if (d.startsWith(prefix) && d !== path && !d.slice(prefix.length).includes("/")) names.set(d.slice(prefix.length), true);
+    for (const f of vfs.files.keys()) if (f.startsWith(prefix) && !f.slice(prefix.length).includes("/")) names.set(f.slice(prefix.length), false);
+    return [...names].map(([name, dir]) => ({ name, dir })).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Lab image: Debian-style mosquitto layout with a training-friendly default config
+  vfsPut(MOSQ_CONF, [
+    "# Place your local configuration in /etc/mosquitto/conf.d/",
+    "#",
+    "# A full description of the configuration file is at",
+    "# /usr/share/doc/mosquitto/examples/mosquitto.conf.example",
+    "",
+    "pid_file /run/mosquitto/mosquitto.pid",
+    "",
+    "persistence true",
+    "persistence_location /var/lib/mosquitto/",
+    "",
+    "log_dest syslog",
+    "# Training default: log every PUBLISH so it shows up in journalctl",
+    "log_type all",
+    "",
+    "listener 1883",
+    "# Lab only: lock this down with password_file / acl_file before production",
+    "allow_anonymous true",
+    "",
+    "include_dir /etc/mosquitto/conf.d",
+    "",
+  ].join("\n"));
+  vfsPut("/etc/mosquitto/conf.d/README", "Any files placed in this directory that have a .conf ending will be loaded as\nconfig files by the broker. Use this to make your local config.\n");
+  vfsPut("/etc/mosquitto/ca_certificates/README", "Place your CA certificates in this directory.\n");
+  vfsPut("/etc/mosquitto/certs/README", "Place your server certificate and key in this directory.\n");
+  ["/var/lib/mosquitto", "/var/log/mosquitto", "/run/mosquitto", "/tmp", HOME].forEach(vfsMkdirs);
+
+  // Parse MOSQ_CONF (plus include_dir files); returns { config } or { errors }
+  function loadBrokerConfig() {
+    const cfg = {
+      listeners: [], localOnly: false, allowAnonymous: null, passwordFile: null, passwords: new Map(), aclFile: null, acl: null,
+      persistence: false, persistenceLocation: "", persistenceFile: "mosquitto.db", logTypes: new Set(), logDests: [], sysInterval: 10,
+    };
+    const errors = [];
+    const parseFile = (file, text) => {
+      const lines = text.split("\n");
+      for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (!line || line.startsWith("#")) continue;
+        const [key, ...args] = line.split(/\s+/);
+        const err = applyConfLine(cfg, key, args, parseFile);
+        if (err) { errors.push(...[].concat(err), `Error found at ${file}:${n + 1}.`); return false; }
+      }
+      return true;
+    };
+    const text = vfsRead(MOSQ_CONF);
+    if (text == null) return { errors: [`Error: Unable to open config file ${MOSQ_CONF}.`] };
+    if (!parseFile(MOSQ_CONF, text)) return { errors };
+    // Defaults that depend on what was (not) configured — mosquitto 2.x semantics
+    if (cfg.listeners.length === 0) { cfg.localOnly = true; cfg.listeners.push({ port: 1883, bind: null }); cfg.allowAnonymous ??= true; }
+    cfg.allowAnonymous ??= false;
+    if (cfg.logTypes.size === 0) ["error", "warning", "notice", "information"].forEach((t) => cfg.logTypes.add(t));
+    if (cfg.logDests.length === 0) cfg.logDests.push({ kind: "stderr" });
+    if (cfg.passwordFile) {
+      const pw = vfsRead(cfg.passwordFile);
+      if (pw == null) return { errors: [`Error: Unable to open pwfile "${cfg.passwordFile}".`, `Error opening password file "${cfg.passwordFile}".`] };
+      pw.split("\n").filter((l) => l.includes(":")).forEach((l) => { const i = l.indexOf(":"); cfg.passwords.set(l.slice(0, i), l.slice(i + 1).trim()); });
+    }
+    if (cfg.aclFile) {
+      const text = vfsRead(cfg.aclFile);
+      if (text == null) return { errors: [`Error: Unable to open acl_file "${cfg.aclFile}".`] };
+      const { acl, error } = parseAcl(text, cfg.aclFile);
+      if (error) return { errors: [error] };
+      cfg.acl = acl;
+    }
+    return { config: cfg };
+  }
+
+  // Apply one "key args..." line; returns an error string (or lines) on failure
+  function applyConfLine(cfg, key, args, parseFile) {
+    const val = args.join(" ");
+    if (CONF_BOOL.includes(key) || CONF_INT.includes(key) || CONF_STRING.includes(key) || ["log_type", "log_dest", "include_dir"].includes(key)) {
+      if (!val) return `Error: Empty ${key} value in configuration.`;
+    }
+    if (CONF_BOOL.includes(key)) {
+      if (val !== "true" && val !== "false") return `Error: Invalid ${key} value (${val}).`;
+      if (key === "allow_anonymous") cfg.allowAnonymous = val === "true";
+      if (key === "persistence") cfg.persistence = val === "true";
+      return null;
+    }
+    if (CONF_INT.includes(key)) {
+      if (!/^-?\d+$/.test(val)) return `Error: Invalid ${key} value (${val}).`;
+      if (key === "sys_interval") cfg.sysInterval = parseInt(val, 10);
+      return null;
+    }
+    if (CONF_STRING.includes(key)) {
+      if (key === "password_file") cfg.passwordFile = val;
+      if (key === "acl_file") cfg.aclFile = val;
+      if (key === "persistence_location") cfg.persistenceLocation = val;
+      if (key === "persistence_file") cfg.persistenceFile = val;
+      return null;
+    }
+    switch (key) {
+      case "listener": {
+        if (!args[0]) return "Error: Empty listener value in configuration.";
+        const port = /^\d+$/.test(args[0]) ? parseInt(args[0], 10) : NaN;
+        if (!(port >= 0 && port <= 65535)) return `Error: Invalid port value (${args[0]}).`;
+        cfg.listeners.push({ port, bind: args[1] || null });
+        return null;
+      }
+      case "log_type":
+        if (!LOG_TYPES.includes(val)) return `Error: Invalid log_type value (${val}).`;
+        cfg.logTypes.add(val);
+        return null;
+      case "log_dest":
+        if (args[0] === "file") { if (!args[1]) return "Error: Empty log file name."; cfg.logDests.push({ kind: "file", path: args[1] }); return null; }
+        if (!["syslog", "stdout", "stderr", "topic", "none"].includes(args[0])) return `Error: Invalid log_dest value (${val}).`;
+        cfg.logDests.push({ kind: args[0] });
+        return null;
+      case "include_dir": {
+        const entries = vfsList(val);
+        if (!entries) return `Error: Unable to open include_dir '${val}'.`;
+        for (const e of entries.filter((x) => !x.dir && x.name.endsWith(".conf"))) {
+          if (!parseFile(`${val.replace(/\/$/, "")}/${e.name}`, vfsRead(`${val.replace(/\/$/, "")}/${e.name}`))) return [];
+        }
+        return null;
+      }
+      default:
+        return `Error: Unknown configuration variable "${key}".`;
+    }
+  }
+
+  // Broker comes up with the default config; boot history is dated when the service started
+  broker.config = loadBrokerConfig().config;
+  [...startupLog(), "New connection from 127.0.0.1:52344"].forEach((text) => brokerLog("notice", text, { ts: broker.service.since }));
+  sysStart();
+
+  // --- Request responder: the device on the other end of mosquitto_rr. It answers requests that
+  // carry an MQTT 5 response topic (or match a rule with a fixed `replyTo`), copying the correlation
+  // data, as the first matching rule in ~/responder.json says (format above RESPONDER_FILE). It is read again
+  // whenever it changed; problems go to the journal and the responder stays quiet until they are fixed.
+  const responder = { text: null, rules: [], timers: new Set(), replying: false, client: { clientId: "mqtt-responder", lane: "mqtt-responder", protocol: 5 } };
+  vfsPut(RESPONDER_FILE, RESPONDER_DEFAULTS, "tech");
+
+  function responderRules() {
+    const text = vfsRead(RESPONDER_FILE) ?? RESPONDER_DEFAULTS; // deleted: back to the defaults
+    if (text === responder.text) return responder.rules;
+    responder.text = text;
+    const { rules, errors } = parseResponderRules(text);
+    responder.rules = rules;
+    errors.forEach((e) => journalAppend("mqtt-responder", `${RESPONDER_FILE}: ${e}`, { priority: 3 }));
+    return rules;
+  }
+  brokerListen((msg) => {
+    if (responder.replying) return; // its own replies
+    const rules = responderRules().filter((r) => matchTopic(r.topic, msg.topic));
+    // The packet trace shows it receiving requests: messages with a response topic or for a rule with a fixed replyTo
+    if (rules.some((r) => msg.properties.responseTopic != null || r.replyTo)) wirePublish(responder.client, "out", { ...msg, qos: 0, mid: 0 });
+    const rule = rules.find((r) => r.test(msg.payload));
+    const topic = msg.properties.responseTopic ?? rule?.replyTo;
+    if (!rule || rule.reply == null || !topic) return;
+    const groups = rule.groups(msg.payload);
+    const payload = rule.reply.replace(/\{(payload|topic|\d)\}/g, (_, k) => (k === "payload" ? msg.payload : k === "topic" ? msg.topic : groups[k] ?? ""));
+    const properties = msg.properties.correlationData != null ? { correlationData: msg.properties.correlationData } : {};
+    const timer = clock.setTimeout(() => {
+      responder.timers.delete(timer);
+      responder.replying = true;
+      try { brokerPublish({ topic, payload, properties, origin: responder.client }); } finally { responder.replying = false; }
+    }, rule.delay);
+    responder.timers.add(timer);
+  });
+
+  // --- Node-RED runtime: runs flows.json against the simulated broker ---
+  const nodeRed = {
+    running: false, port: 1880, flowsFile: null, flows: [], stdout: null,
+    nodes: new Map(), brokers: new Map(), timers: [], offs: [],
+    context: { node: new Map(), flow: new Map(), global: new Map() },
+    debug: [], listeners: new Set(), // debug sidebar + running state
+  };
+
+  function nrNotify() { for (const fn of nodeRed.listeners) fn(); }
+  function nrListen(fn) {
+    nodeRed.listeners.add(fn);
+    return () => nodeRed.listeners.delete(fn);
+  }
+  // "19 Oct 10:15:22 - [info] ..." like Node-RED's console log
+  function nrLog(level, text) {
+    const ts = new Date(clock.now());
+    const mon = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][ts.getMonth()];
+    const hms = [ts.getHours(), ts.getMinutes(), ts.getSeconds()].map((n) => String(n).padStart(2, "0")).join(":");
+    nodeRed.stdout?.(`${ts.getDate()} ${mon} ${hms} - [${level}] ${text}`);
+  }
+  // Typed input value (the editor's str / num / bool / json / msg / flow / global / date pickers)
+  function nrValue(type, value, msg) {
+    switch (type) {
+      case "num": return Number(value);
+      case "bool": return value === true || value === "true";
+      case "json": return JSON.parse(value);
+      case "msg": return nrGet(msg, value);
+      case "flow": return nodeRed.context.flow.get(value);
+      case "global": return nodeRed.context.global.get(value);
+      case "date": return clock.now();
+      default: return value ?? "";
+    }
+  }
+  function nrDebugAdd(def, entry) {
+    nodeRed.debug = [...nodeRed.debug.slice(-(NR_DEBUG_MAX - 1)), { ts: new Date(clock.now()), node: def.name || def.id, ...entry }];
+    nrNotify();
+  }
+  function nrWarn(def, level, text) {
+    nrLog(level, `[${nrLabel(def)}] ${text}`);
+    nrDebugAdd(def, { level, label: `${def.type} : (${level})`, value: JSON.stringify(String(text)) });
+  }
+
+  // Pass a node's output along its wires. `out` is a msg or, for multi-output nodes, an array
+  // indexed by port whose entries may themselves be arrays of msgs. Extra targets get clones.
+  function nrSend(def, out) {
+    const ports = Array.isArray(out) ? out : [out];
+    ports.forEach((m, port) => {
+      if (m == null) return;
+      for (const one of Array.isArray(m) ? m : [m]) {
+        if (one == null) continue;
+        (def.wires?.[port] || []).forEach((id, i) => {
+          const copy = i === 0 ? one : structuredClone(one);
+          clock.setTimeout(() => nrReceive(id, copy), 0);
+        });
+      }
+    });
+  }
+  function nrReceive(id, msg) {
+    const node = nodeRed.nodes.get(id);
+    if (!node || !nodeRed.running) return;
+    try { node.input?.(msg); } catch (e) { nrWarn(node.def, "error", String(e)); }
+  }
+
+  function nrFunctionNode(def) {
+    let fn;
+    try { fn = new Function("msg", "node", "context", "flow", "global", "env", ...NR_SHADOWED, `"use strict";\n${def.func || "return msg;"}`); }
+    catch (e) { nrLog("error", `[${nrLabel(def)}] ${e}`); return {}; }
+    if (!nodeRed.context.node.has(def.id)) nodeRed.context.node.set(def.id, new Map());
+    const context = nrStore(nodeRed.context.node.get(def.id));
+    const flow = nrStore(nodeRed.context.flow); const global = nrStore(nodeRed.context.global);
+    const env = { get: (k) => ({ NR_NODE_ID: def.id, NR_NODE_NAME: def.name, NR_FLOW_ID: def.z })[k] };
+    const node = {
+      id: def.id, name: def.name,
+      send: (m) => nrSend(def, m), done: () => {}, status: () => {},
+      log: (t) => nrLog("info", `[${nrLabel(def)}] ${t}`),
+      warn: (t) => nrWarn(def, "warn", t), error: (t) => nrWarn(def, "error", t),
+    };
+    return { input: (msg) => {
+      try { const out = fn(msg, node, context, flow, global, env); if (out != null) nrSend(def, out); }
+      catch (e) { nrWarn(def, "error", `${e.name}: ${e.message}`); }
+    } };
+  }
+
+  // change node rules: set / change / delete / move on msg, flow or global properties
+  function nrChangeNode(def) {
+    const store = (pt) => (pt === "flow" ? nodeRed.context.flow : pt === "global" ? nodeRed.context.global : null);
+    const read = (pt, p, msg) => (store(pt) ? store(pt).get(p) : nrGet(msg, p));
+    const write = (pt, p, v, msg) => (store(pt) ? store(pt).set(p, v) : nrSet(msg, p, v));
+    const remove = (pt, p, msg) => (store(pt) ? store(pt).delete(p) : nrDelete(msg, p));
+    return { input: (msg) => {
+      for (const r of def.rules || []) {
+        const pt = r.pt || "msg";
+        if (r.t === "set") write(pt, r.p, nrValue(r.tot, r.to, msg), msg);
+        else if (r.t === "delete") remove(pt, r.p, msg);
+        else if (r.t === "move") { const v = read(pt, r.p, msg); remove(pt, r.p, msg); write(r.tot || "msg", r.to, v, msg); }
+        else if (r.t === "change") {
+          const cur = read(pt, r.p, msg); const to = nrValue(r.tot, r.to, msg);
+          if (r.fromt === "re") { if (typeof cur === "string") write(pt, r.p, cur.replace(new RegExp(r.from, "g"), to), msg); }
+          else {
+            const from = nrValue(r.fromt, r.from, msg);
+            if (cur === from) write(pt, r.p, to, msg);
+            else if (typeof cur === "string" && from !== "") write(pt, r.p, cur.split(String(from)).join(String(to)), msg);
+          }
+        }
+      }
+      nrSend(def, msg);
+    } };
+  }
+
+  function nrSwitchNode(def) {
+    const rules = def.rules || [];
+    return { input: (msg) => {
+      const pt = def.propertyType || "msg";
+      const value = pt === "msg" ? nrGet(msg, def.property || "payload") : nrValue(pt, def.property, msg);
+      const out = rules.map(() => null);
+      let matched = false;
+      for (let i = 0; i < rules.length; i++) {
+        const r = rules[i];
+        const hit = r.t === "else" ? !matched : NR_SWITCH[r.t]?.(value, r.t === "istype" ? r.v : nrValue(r.vt, r.v, msg), nrValue(r.v2t, r.v2, msg), r.case);
+        if (!hit) continue;
+        out[i] = matched ? structuredClone(msg) : msg; matched = true;
+        if (String(def.checkall) === "false") break;
+      }
+      if (matched) nrSend(def, out);
+    } };
+  }
+
+  // inject node: fires on start (once), on a repeat interval, or when its button is pressed
+  function nrInjectNode(def) {
+    const fire = () => {
+      const msg = { _msgid: nrMsgId() };
+      const props = def.props || [{ p: "payload" }, { p: "topic", vt: "str" }];
+      for (const p of props) {
+        if (p.p === "payload") msg.payload = nrValue(def.payloadType || "date", def.payload, msg);
+        else if (p.p === "topic") msg.topic = def.topic ?? "";
+        else nrSet(msg, p.p, nrValue(p.vt, p.v, msg));
+      }
+      nrSend(def, msg);
+    };
+    if (def.once) nodeRed.timers.push(clock.setTimeout(fire, (Number(def.onceDelay) || 0.1) * 1000));
+    if (Number(def.repeat) > 0) nodeRed.timers.push(clock.setInterval(fire, Number(def.repeat) * 1000));
+    return { fire };
+  }
+
+  function nrDebugNode(def) {
+    return { input: (msg) => {
+      if (def.active === false) return;
+      const full = String(def.complete) === "true";
+      const path = !def.complete || def.complete === "false" ? "payload" : def.complete;
+      const value = full ? msg : nrGet(msg, path);
+      const text = value === undefined ? "undefined" : JSON.stringify(value);
+      nrDebugAdd(def, { level: "debug", label: `${msg.topic ? `${msg.topic} : ` : ""}${full ? "msg" : `msg.${path}`} : ${nrTypeLabel(value)}`, value: text });
+      if (def.console === true || def.console === "true") nrLog("info", `[${nrLabel(def)}] ${text}`);
+    } };
+  }
+
+  // mqtt-broker config node: one client connection shared by its mqtt in / out nodes.
+  // It reconnects (and re-subscribes) whenever mosquitto comes back.
+  function nrBroker(def) {
+    const host = def.broker || "localhost"; const port = Number(def.port) || 1883;
+    const url = `mqtt://${host}:${port}`;
+    const b = { def, client: null, subs: [], offs: [] };
+    const subscribe = (s) => {
+      const { granted, off } = brokerSubscribe(b.client, [s.topic], s.qos, s.onMessage);
+      if (granted[0] === 0x80) nrLog("warn", `[${nrLabel(s.def)}] Subscription to '${s.topic}' was refused by the broker`);
+      b.offs.push(off);
+    };
+    b.connect = () => {
+      if (b.client) return;
+      const res = ["localhost", "127.0.0.1"].includes(host)
+        ? brokerConnect({ port, id: def.clientid || `nodered_${nrMsgId().slice(0, 12)}`, username: def.credentials?.user, password: def.credentials?.password, protocol: Number(def.protocolVersion) || 4, lane: "node-red" })
+        : { error: "unreachable" };
+      if (res.error) { nrLog("info", `[${nrLabel(def)}] Connection failed to broker: ${url}`); return; }
+      b.client = res.client;
+      nrLog("info", `[${nrLabel(def)}] Connected to broker: ${url}`);
+      b.subs.forEach(subscribe);
+    };
+    b.disconnect = (quiet) => {
+      b.offs.forEach((off) => off()); b.offs = [];
+      if (b.client && !quiet) nrLog("info", `[${nrLabel(def)}] Disconnected from broker: ${url}`);
+      brokerDisconnect(b.client); b.client = null;
+    };
+    b.subscribe = (s) => { b.subs.push(s); if (b.client) subscribe(s); };
+    nodeRed.offs.push(brokerOnState((state) => { if (state === "active") b.connect(); else b.disconnect(); }));
+    return b;
+  }
+  function nrMqttIn(def, b) {
+    b?.subscribe({ def, topic: def.topic, qos: Number(def.qos ?? 2), onMessage: (m) => {
+      let payload = m.payload;
+      if (def.datatype === "json") {
+        try { payload = JSON.parse(payload); } catch (e) { nrWarn(def, "error", `Failed to parse JSON string: ${e.message}`); return; }
+      } else if (!def.datatype || def.datatype === "auto-detect") {
+        try { const v = JSON.parse(payload); if (v !== null && typeof v === "object") payload = v; } catch { /* plain string */ }
+      }
+      nrSend(def, { topic: m.topic, payload, qos: m.qos, retain: m.retained, _msgid: nrMsgId() });
+    } });
+    return {};
+  }
+  function nrMqttOut(def, b) {
+    return { input: (msg) => {
+      const topic = def.topic || msg.topic;
+      if (!validTopicName(topic)) { nrWarn(def, "warn", "Invalid topic specified"); return; }
+      if (!b?.client) return;
+      const p = msg.payload;
+      const payload = p == null ? "" : typeof p === "object" ? JSON.stringify(p) : String(p);
+      const qos = def.qos !== undefined && def.qos !== "" ? Number(def.qos) : Number(msg.qos) || 0;
+      const retained = def.retain === true || def.retain === "true" || (def.retain !== "false" && msg.retain === true);
+      brokerPublish({ topic, payload, qos, retained, client: b.client });
+    } };
+  }
+
+  // `node-red [flows.json]`: loads the flows file (relative to userDir) and starts every node.
+  // Returns false when another instance already holds the port.
+  function nrStart({ userDir = NR_DIR, flowsFile = "flows.json", port = 1880, safe = false, stdout }) {
+    const prevStdout = nodeRed.stdout;
+    nodeRed.stdout = stdout;
+    const path = vfsResolve(userDir, flowsFile);
+    nrLog("info", "");
+    ["", "Welcome to Node-RED", "===================", ""].forEach((l) => stdout(l));
+    nrLog("info", `Node-RED version: v${NR_VERSION}`);
+    nrLog("info", `Node.js  version: v${NODE_VERSION}`);
+    nrLog("info", "Linux 6.1.0-rpi7-rpi-v8 arm64 LE");
+    nrLog("info", "Loading palette nodes");
+    nrLog("info", `Settings file  : ${userDir}/settings.js`);
+    nrLog("info", "Context store  : 'default' [module=memory]");
+    nrLog("info", `User directory : ${userDir}`);
+    if (nodeRed.running) {
+      nrLog("error", `Unable to listen on http://127.0.0.1:${port}/`);
+      nrLog("error", port === nodeRed.port ? "Error: port in use" : "Error: the trainer runs one Node-RED at a time; stop the other one with Ctrl+C");
+      nodeRed.stdout = prevStdout;
+      return false;
+    }
+    Object.assign(nodeRed, { running: true, port, flowsFile: path });
+    nrLog("info", `Server now running at http://127.0.0.1:${port}/`);
+    nrLog("info", `Flows file     : ${path}`);
+    let flows = [];
+    const text = vfsRead(path);
+    if (text == null) { nrLog("info", "Creating new flow file"); vfsWrite(path, "[]", {}); }
+    else {
+      try { flows = JSON.parse(text); if (!Array.isArray(flows)) throw new Error("flows file must contain a JSON array"); }
+      catch (e) { nrLog("error", `Error loading flows: ${e.message}`); flows = []; }
+    }
+    nodeRed.flows = flows;
+    nrNotify();
+    if (safe) { nrLog("warn", "Flows stopped due to safe mode. Deploy to start."); return true; }
+    nrStartFlows();
+    return true;
+  }
+  // Start nodeRed.flows; `what` is the wording of the deploy type ("flows", "modified nodes", ...)
+  function nrStartFlows(what = "flows") {
+    const flows = nodeRed.flows;
+    const missing = [...new Set(flows.map((n) => n.type).filter((t) => !NR_TYPES.includes(t)))];
+    if (missing.length) {
+      nrLog("warn", "Waiting for missing types to be registered:");
+      missing.forEach((t) => nrLog("warn", ` - ${t}`));
+      return;
+    }
+    nrLog("info", `Starting ${what}`);
+    for (const def of flows.filter((n) => n.type === "mqtt-broker")) nodeRed.brokers.set(def.id, nrBroker(def));
+    const build = {
+      "function": nrFunctionNode, change: nrChangeNode, switch: nrSwitchNode, inject: nrInjectNode, debug: nrDebugNode,
+      "mqtt in": (def) => nrMqttIn(def, nodeRed.brokers.get(def.broker)),
+      "mqtt out": (def) => nrMqttOut(def, nodeRed.brokers.get(def.broker)),
+    };
+    for (const def of flows) if (build[def.type] && !def.d) nodeRed.nodes.set(def.id, { def, ...build[def.type](def) });
+    nrLog("info", `Started ${what}`);
+    if (broker.service.state === "active") nodeRed.brokers.forEach((b) => b.connect());
+    nrNotify();
+  }
+  function nrStopFlows(what = "flows") {
+    nrLog("info", `Stopping ${what}`);
+    nodeRed.timers.forEach((t) => { clock.clearTimeout(t); clock.clearInterval(t); });
+    nodeRed.offs.forEach((off) => off());
+    nodeRed.brokers.forEach((b) => b.disconnect());
+    nrLog("info", `Stopped ${what}`);
+    Object.assign(nodeRed, { nodes: new Map(), brokers: new Map(), timers: [], offs: [] });
+  }
+  // The node-red process ends (Ctrl+C or kill): stop the flows and drop the broker connections
+  function nrStop() {
+    if (!nodeRed.running) return false;
+    nrStopFlows();
+    nodeRed.running = false;
+    nrNotify();
+    return true;
+  }
+  // POST /flows. The flows file is rewritten (previous copy kept as .flows.json.backup) unless the
+  // type is "reload". Node-RED only restarts what changed for "nodes" / "flows"; here every node
+  // restarts, with the log wording of the chosen type.
+  function nrDeploy(flows, type) {
+    const what = { full: "flows", nodes: "modified nodes", flows: "modified flows", reload: "flows" }[type];
+    if (type === "reload") {
+      try { flows = JSON.parse(vfsRead(nodeRed.flowsFile) ?? "[]"); } catch (e) { nrLog("error", `Error loading flows: ${e.message}`); flows = []; }
+    } else {
+      const previous = vfsRead(nodeRed.flowsFile);
+      if (previous != null) vfsWrite(`${vfsDirname(nodeRed.flowsFile)}/.${nodeRed.flowsFile.split("/").pop()}.backup`, previous);
+      vfsWrite(nodeRed.flowsFile, `${JSON.stringify(flows, null, 4)}\n`);
+    }
+    nrStopFlows(what);
+    nodeRed.flows = flows;
+    nrLog("info", "Updated flows");
+    nrStartFlows(what);
+  }
+
+  // Admin HTTP API on http://127.0.0.1:<port>/ (no adminAuth configured, as on a fresh install).
+  // `headers` has lower-case names; returns { status, type, body }.
+  function nrHttp({ method, path, headers, body }) {
+    const json = (status, obj) => ({ status, type: "application/json; charset=utf-8", body: JSON.stringify(obj) });
+    const text = (status) => ({ status, type: "text/plain; charset=utf-8", body: HTTP_STATUS[status] });
+    const html = (status, page) => ({ status, type: "text/html; charset=utf-8", body: page });
+    const route = path.split("?")[0];
+    const v2 = headers["node-red-api-version"] === "v2";
+    if (method === "GET" && route === "/") return html(200, `<!DOCTYPE html>\n<html>\n<head>\n<title>Node-RED</title>\n</head>\n<body class="red-ui-editor">\n<div id="red-ui-editor"></div>\n<script src="red/red.min.js"></script>\n</body>\n</html>\n`);
+    if (method === "GET" && route === "/flows") return json(200, v2 ? { rev: nrRev(nodeRed.flows), flows: nodeRed.flows } : nodeRed.flows);
+    if (method === "POST" && route === "/flows") {
+      const type = headers["node-red-deployment-type"] || "full";
+      if (!["full", "nodes", "flows", "reload"].includes(type)) return json(400, { code: "invalid_request", message: `Invalid deployment type: ${type}` });
+      if (type === "reload") { nrDeploy(null, "reload"); return v2 ? json(200, { rev: nrRev(nodeRed.flows) }) : { status: 204, type: null, body: "" }; }
+      // Without Content-Type: application/json the body parser leaves an empty object
+      let data = {};
+      if ((headers["content-type"] || "").startsWith("application/json")) {
+        try { data = JSON.parse(body); } catch (e) { return json(400, { code: "invalid_request", message: `${e.name}: ${e.message}` }); }
+      }
+      const flows = v2 ? data.flows : data;
+      if (!Array.isArray(flows)) return json(400, { code: "invalid_request", message: "Invalid request" });
+      if (v2 && data.rev && data.rev !== nrRev(nodeRed.flows)) return json(409, { code: "version_mismatch", message: "Flows have been modified since they were loaded" });
+      nrDeploy(flows, type);
+      return v2 ? json(200, { rev: nrRev(flows) }) : { status: 204, type: null, body: "" };
+    }
+    if (method === "GET" && route === "/nodes") {
+      if (headers.accept === "application/json") return json(200, NR_NODE_SETS);
+      return html(200, NR_NODE_SETS.map((set) => `<!-- --- [red-module:${set.id}] --- -->\n${set.types.map((t) => `<script type="text/html" data-template-name="${t}"></script>`).join("\n")}\n`).join(""));
+    }
+    if (method === "GET" && route === "/settings") {
+      return json(200, {
+        httpNodeRoot: "/", version: NR_VERSION,
+        context: { default: "memory", stores: ["memory"] },
+        codeEditor: { lib: "monaco", options: {} }, markdownEditor: { mermaid: { enabled: true } },
+        libraries: [{ id: "local", label: "editor:library.types.local", user: false, icon: "font-awesome/fa-hdd-o" }],
+        flowFilePretty: true, externalModules: {}, flowEncryptionType: "system",
+        diagnostics: { enabled: true, ui: true }, runtimeState: { enabled: false, ui: false },
+        functionExternalModules: true, functionTimeout: 0, tlsConfigDisableLocalFiles: false,
+        editorTheme: { palette: {}, projects: { enabled: false, workflow: { mode: "manual" } }, languages: ["en-US"] },
+      });
+    }
+    const inject = method === "POST" && route.match(/^\/inject\/([^/]+)$/);
+    if (inject) return text(nrInject(inject[1]) ? 200 : 404);
+    return html(404, `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>Error</title>\n</head>\n<body>\n<pre>Cannot ${method} ${route}</pre>\n</body>\n</html>\n`);
+  }
+  // Press an inject node's button; false when it is not running
+  function nrInject(id) {
+    const node = nodeRed.nodes.get(id);
+    if (!node?.fire) return false;
+    node.fire(); return true;
+  }
+  function nrClearDebug() { nodeRed.debug = []; nrNotify(); }
+
+  // Lab image: a starter flow closing the CLICK -> Node-RED -> CLICK loop on line 1
+  vfsPut(`${NR_DIR}/flows.json`, JSON.stringify([
+    { id: "f1a2b3c4d5e6f701", type: "tab", label: "CLICK line 1" },
+    { id: "b1a2b3c4d5e6f702", type: "mqtt-broker", name: "Local broker", broker: "localhost", port: "1883", clientid: "", protocolVersion: "4" },
+    { id: "a1a2b3c4d5e6f703", type: "mqtt in", z: "f1a2b3c4d5e6f701", name: "Telemetry", topic: "click/line1/telemetry/#", qos: "1", datatype: "auto-detect", broker: "b1a2b3c4d5e6f702", wires: [["a1a2b3c4d5e6f704", "a1a2b3c4d5e6f705"]] },
+    { id: "a1a2b3c4d5e6f704", type: "debug", z: "f1a2b3c4d5e6f701", name: "telemetry", active: true, complete: "payload", wires: [] },
+    { id: "a1a2b3c4d5e6f705", type: "function", z: "f1a2b3c4d5e6f701", name: "to number", func: "msg.payload = Number(msg.payload);\nreturn msg;", outputs: 1, wires: [["a1a2b3c4d5e6f706"]] },
+    { id: "a1a2b3c4d5e6f706", type: "switch", z: "f1a2b3c4d5e6f701", name: "over 200?", property: "payload", propertyType: "msg", rules: [{ t: "gt", v: "200", vt: "num" }], checkall: "true", outputs: 1, wires: [["a1a2b3c4d5e6f707"]] },
+    { id: "a1a2b3c4d5e6f707", type: "change", z: "f1a2b3c4d5e6f701", name: "stop command", rules: [{ t: "set", p: "payload", pt: "msg", to: "1", tot: "str" }], wires: [["a1a2b3c4d5e6f708", "a1a2b3c4d5e6f709"]] },
+    { id: "a1a2b3c4d5e6f708", type: "mqtt out", z: "f1a2b3c4d5e6f701", name: "Stop line", topic: "click/line1/cmd/stop", qos: "1", retain: "false", broker: "b1a2b3c4d5e6f702", wires: [] },
+    { id: "a1a2b3c4d5e6f709", type: "debug", z: "f1a2b3c4d5e6f701", name: "commands", active: true, complete: "true", wires: [] },
+    { id: "a1a2b3c4d5e6f70a", type: "inject", z: "f1a2b3c4d5e6f701", name: "Start line", props: [{ p: "payload" }], payload: "1", payloadType: "str", topic: "", repeat: "", once: false, wires: [["a1a2b3c4d5e6f70b"]] },
+    { id: "a1a2b3c4d5e6f70b", type: "mqtt out", z: "f1a2b3c4d5e6f701", name: "Start", topic: "click/line1/cmd/start", qos: "1", retain: "false", broker: "b1a2b3c4d5e6f702", wires: [] },
+  ], null, 4) + "\n", "tech");
+
+  // --- CLICK PLC on line 1: memory map, a small ladder program and its MQTT client ---
+  const plc = {
+    mem: Object.fromEntries(Object.entries(PLC_SPACES).map(([k, s]) => [k, new Array(s.size + 1).fill(0)])), // 1-based
+    // MQTT mapping as set up in the CLICK software: "sub" writes the address, "pub" sends it
+    // on change (interval 0) or every `interval` seconds
+    map: [
+      { dir: "sub", topic: "click/line1/cmd/start", address: "C1", qos: 1 },
+      { dir: "sub", topic: "click/line1/cmd/stop", address: "C2", qos: 1 },
+      { dir: "sub", topic: "click/line1/cmd/reset", address: "C3", qos: 1 },
+      { dir: "pub", topic: "click/line1/telemetry/DS1", address: "DS1", interval: 0, qos: 0, retain: false },
+      { dir: "pub", topic: "click/line1/telemetry/Y001", address: "Y001", interval: 0, qos: 1, retain: true },
+      { dir: "pub", topic: "click/line1/telemetry/DF1", address: "DF1", interval: 30, qos: 0, retain: false },
+    ],
+    auth: { username: "", password: "" }, clientId: "CLICK-PLC-LINE1",
+    // Birth and death messages: a retained ONLINE on connect, and the broker publishes the will when
+    // the PLC drops off without disconnecting. The session is persistent, so commands sent while it
+    // is away (QoS 1) are waiting when it comes back.
+    status: { topic: "click/line1/status", online: "ONLINE", offline: "OFFLINE" }, keepalive: 10,
+    client: null, error: null, offs: [], timers: [], listeners: new Set(), events: new Set(),
+  };
+
+  function plcGet(address) { const a = plcAddress(address); return a ? plc.mem[a.space][a.n] : undefined; }
+
+  function plcNotify() { for (const fn of plc.listeners) fn(); }
+  function plcListen(fn) {
+    plc.listeners.add(fn);
+    return () => plc.listeners.delete(fn);
+  }
+  // Cause-and-effect lines ("click/line1/cmd/start = 1 → C1") for the coach panel
+  function plcOnEvent(fn) {
+    plc.events.add(fn);
+    return () => plc.events.delete(fn);
+  }
+  function plcEvent(text) { for (const fn of plc.events) fn(text); }
+
+  // Write a register; on-change mappings publish the new value. `quiet` skips the event line
+  // (the production counter and temperature change every second).
+  function plcWrite(address, value, { quiet = false } = {}) {
+    const a = plcAddress(address);
+    if (!a || plc.mem[a.space][a.n] === value) return;
+    plc.mem[a.space][a.n] = value;
+    if (!quiet) plcEvent(`PLC ${a.name} = ${plcText(a.space, value)}`);
+    plc.map.filter((m) => m.dir === "pub" && !m.interval && plcAddress(m.address)?.name === a.name).forEach(plcPublish);
+    plcNotify();
+  }
+  function plcPublish(m) {
+    const a = plcAddress(m.address);
+    if (!plc.client || !a) return;
+    const payload = plcText(a.space, plc.mem[a.space][a.n]);
+    if (brokerPublish({ topic: m.topic, payload, qos: m.qos || 0, retained: !!m.retain, client: plc.client }) && !m.interval && a.space !== "DS") {
+      plcEvent(`PLC publishes ${a.name} → ${m.topic} = ${payload}`);
+    }
+  }
+
+  // Ladder program, evaluated after every input change and once per second:
+  //   X001 or C1 starts the conveyor (Y001, sealed in), X002 or C2 stops it (stop wins).
+  //   C1-C3 are momentary remote commands: the program clears them once handled.
+  //   While Y001 runs, DS1 counts parts and DF1 (motor temperature) climbs; C3 resets DS1.
+  function plcScan() {
+    const { X, C } = plc.mem;
+    if (X[2] || C[2]) plcWrite("Y1", 0);
+    else if (X[1] || C[1]) plcWrite("Y1", 1);
+    if (C[3]) plcWrite("DS1", 0);
+    ["C1", "C2", "C3"].forEach((c) => { if (plcGet(c)) plcWrite(c, 0, { quiet: true }); });
+  }
+  function plcTick() {
+    const { Y, DS, DF } = plc.mem;
+    if (Y[1]) plcWrite("DS1", DS[1] >= 32767 ? 0 : DS[1] + 1, { quiet: true });
+    const temp = DF[1] + ((Y[1] ? 65 : 22) - DF[1]) * 0.05;
+    plcWrite("DF1", Math.round(temp * 100) / 100, { quiet: true });
+    plcScan();
+  }
+  // Panel toggle for a physical input (X)
+  function plcToggleInput(address) {
+    const a = plcAddress(address);
+    if (a?.space !== "X") return;
+    plcWrite(a.name, plc.mem.X[a.n] ? 0 : 1);
+    plcScan();
+  }
+
+  // A message for the "sub" mappings, live or queued in the session while the PLC was away
+  function plcReceive(msg) {
+    for (const m of plc.map.filter((x) => x.dir === "sub" && matchTopic(x.topic, msg.topic))) {
+      const a = plcAddress(m.address);
+      if (!a) continue;
+      const v = plcCoerce(a.space, msg.payload);
+      if (v == null) { plcEvent(`PLC ignored '${msg.payload}' on ${msg.topic}: not a valid ${a.name} value`); continue; }
+      plcEvent(`${msg.topic} = ${msg.payload} → PLC ${a.name}`);
+      plcWrite(a.name, v, { quiet: true }); plcScan();
+    }
+  }
+
+  // (Re)connect with the current credentials and mapping; reconnects whenever mosquitto comes back
+  function plcConnect() {
+    plcDisconnect();
+    const { status } = plc;
+    const res = brokerConnect({
+      port: 1883, id: plc.clientId, username: plc.auth.username || undefined, password: plc.auth.password || undefined, lane: "plc",
+      clean: false, keepalive: plc.keepalive, will: { topic: status.topic, payload: status.offline, qos: 1, retain: true },
+      onMessage: plcReceive, onLost: () => { plcDisconnect(); plc.error = "Error: The connection was lost."; plcNotify(); },
+    });
+    if (res.error) { plc.error = res.error; plcNotify(); return; }
+    plc.client = res.client; plc.error = null;
+    brokerPublish({ topic: status.topic, payload: status.online, retained: true, client: plc.client });
+    for (const m of plc.map) {
+      if (!plcAddress(m.address)) continue;
+      if (m.dir === "sub") {
+        const { granted, off } = brokerSubscribe(plc.client, [m.topic], m.qos || 0, null);
+        if (granted[0] === 0x80) plc.error = `Subscription to ${m.topic} was denied`;
+        plc.offs.push(off);
+      } else if (m.interval > 0) {
+        plc.timers.push(clock.setInterval(() => plcPublish(m), m.interval * 1000));
+      }
+    }
+    plcNotify();
+  }
+  function plcDisconnect() {
+    plc.offs.forEach((off) => off()); plc.timers.forEach((t) => clock.clearInterval(t));
+    brokerDisconnect(plc.client);
+    Object.assign(plc, { client: null, offs: [], timers: [] });
+  }
+  brokerOnState((state) => {
+    if (state === "active") plcConnect();
+    else { plcDisconnect(); plc.error = "Error: Connection refused"; plcNotify(); }
+  });
+  // The cable back in: a PLC the broker dropped meanwhile connects again
+  brokerOnCable((lane, plugged) => {
+    if (lane !== "plc") return;
+    if (plugged && !plc.client && broker.service.state === "active") plcConnect();
+    else plcNotify();
+  });
+  plc.mem.DF[1] = 22;
+  plcConnect();
+  const plcTimer = clock.setInterval(plcTick, 1000);
+
+  // --- Test Mode challenges ---
+  // Commands as the terminal parsed them (after sudo), for the checks
+  const shellListeners = new Set();
+  function shellListen(fn) {
+    shellListeners.add(fn);
+    return () => shellListeners.delete(fn);
+  }
+  // Called per pipeline stage; `last` marks the stage that ends the command line
+  function shellEmit({ argv, root }, i, stages) {
+    const [name, ...args] = argv;
+    const opts = MOSQ_TOOLS[name] ? parseMosqArgs(name, args).opts ?? null : null;
+    for (const fn of shellListeners) fn({ name, args, root, opts, last: i === stages.length - 1 });
+  }
+
+  // One attempt runs at a time; finished attempts stay in `results` for the summary
+  const challenges = { active: null, last: null, results: [], listeners: new Set() };
+  function challengeNotify() { for (const fn of challenges.listeners) fn(); }
+  function challengeListen(fn) {
+    challenges.listeners.add(fn);
+    return () => challenges.listeners.delete(fn);
+  }
+  // What a challenge's setup may change; challengeFinish puts it back
+  function labSnapshot() {
+    return { state: broker.service.state, retained: new Map(broker.retained), X: [...plc.mem.X], Y: [...plc.mem.Y] };
+  }
+  function labRestore(lab) {
+    if (lab.state === "active") serviceStart();
+    else { serviceStop(); if (broker.service.state !== lab.state) setServiceState(lab.state); }
+    ["X", "Y"].forEach((space) => lab[space].forEach((v, n) => { if (n) plcWrite(`${space}${n}`, v, { quiet: true }); }));
+    broker.retained = new Map(lab.retained);
+  }
+  function challengeStart(id) {
+    if (challenges.active) challengeFinish(challenges.active, "abandoned");
+    const def = CHALLENGES.find((c) => c.id === id);
+    const s = { def, startedAt: clock.now(), commands: 0, hints: 0, done: def.objectives.map(() => false), data: {}, status: "running", offs: [] };
+    s.lab = labSnapshot();
+    def.setup?.(sim);
+    challenges.active = s;
+    const feed = (ev) => challengeFeed(s, ev);
+    const timer = clock.setInterval(() => feed({ kind: "tick" }), 1000);
+    s.offs.push(
+      shellListen((cmd) => { if (cmd.last) s.commands++; feed({ kind: "command", ...cmd }); }),
+      brokerListen((msg, client) => feed({ kind: "publish", msg, client })),
+      brokerOnState((state) => feed({ kind: "state", state })),
+      plcListen(() => feed({ kind: "plc" })),
+      () => clock.clearInterval(timer),
+    );
+    challengeNotify();
+  }
+  function challengeFeed(s, ev) {
+    if (s.status !== "running") return;
+    s.def.objectives.forEach((o, i) => { if (!s.done[i] && o.check(ev, s, sim)) s.done[i] = true; });
+    if (s.done.every(Boolean)) challengeFinish(s, "passed");
+    else if (clock.now() - s.startedAt > s.def.timeLimit * 1000) challengeFinish(s, "timeout");
+    else if (ev.kind !== "publish") challengeNotify();
+  }
+  // status: "passed" | "timeout" | "gave up" | "abandoned" (another challenge was started)
+  function challengeFinish(s, status) {
+    s.offs.forEach((off) => off());
+    labRestore(s.lab);
+    s.status = status;
+    s.seconds = Math.round((clock.now() - s.startedAt) / 1000);
+    s.score = status === "passed" ? Math.max(10, 100 - HINT_COST * s.hints - EXTRA_COMMAND_COST * Math.max(0, s.commands - s.def.par)) : 0;
+    challenges.results = [...challenges.results, { id: s.def.id, status, seconds: s.seconds, commands: s.commands, hints: s.hints, score: s.score }];
+    challenges.active = null; challenges.last = s;
+    challengeNotify();
+  }
+  function challengeHint() {
+    const s = challenges.active;
+    if (!s || s.hints >= s.def.hints.length) return;
+    s.hints++; challengeNotify();
+  }
+  function challengeGiveUp() { if (challenges.active) challengeFinish(challenges.active, "gave up"); }
+
+  // --- Command registry ---
+  // A spec is { name, context, help, flags, handler } plus `producer` or `builtin`:
+  //   context  the shells whose `help` lists it: "mqtt", "nodered" or "any" (every shell can run it)
+  //   help     usage shown by `help` (omitted: not listed); flags: what Tab offers after the name
+  //   handler  gets { shell, name, args, root, stdin, job, print, readLine } and returns the exit status, or
+  //            calls job.hold(cleanup) to keep running until job.exit(status) or a signal. readLine()
+  //            (null when stdin is a pipe) resolves with the next typed line, or null at Ctrl+D.
+  // Producers return their stdout (null after printing an error) so they can be piped and redirected;
+  // builtins act on the shell itself and never become jobs.
+  const commands = new Map();
+  function registerCommand(spec) {
+    commands.set(spec.name, { context: "any", flags: [], ...spec });
+  }
+
+  registerCommand({ name: "mosquitto_sub", context: "mqtt", help: "mosquitto_sub", handler: runMosquittoClient });
+  registerCommand({ name: "mosquitto_pub", context: "mqtt", help: "mosquitto_pub", handler: runMosquittoClient });
+  registerCommand({ name: "mosquitto_rr", context: "mqtt", help: "mosquitto_rr", handler: runMosquittoClient });
+  // systemctl start|stop|restart|reload|status|enable|disable|is-active mosquitto
+  registerCommand({
+    name: "systemctl", context: "mqtt", help: "[sudo] systemctl start|stop|restart|reload|status|enable|disable|is-active mosquitto",
+    handler: ({ args, root, print }) => { systemctl(args[0], args[1], root).forEach((l) => print(l)); return 0; },
+  });
+  registerCommand({
+    name: "journalctl", context: "mqtt", help: "journalctl [-u mosquitto] [-f] [-n N] [-p PRIORITY] [--since TIME] [-o json] [--no-pager]",
+    flags: ["-u", "-f", "-n", "-p", "-o", "-e", "-x", "-q", "--unit", "--follow", "--lines", "--priority", "--since", "--until", "--output", "--no-pager", "--help"],
+    handler: runJournalctl,
+  });
+  registerCommand({
+    name: "mosquitto_passwd", context: "mqtt", help: "[sudo] mosquitto_passwd", flags: ["-b", "-c", "-D", "-H", "-U"],
+    handler: (ctx) => { ctx.job.hold(ctx.shell.cancelPrompt); runPasswd(ctx).then((status) => ctx.job.exit(status ?? 0), (e) => { ctx.print(String(e)); ctx.job.exit(1); }); },
+  });
+  registerCommand({
+    name: "node-red", context: "nodered", help: "node-red [flows.json], node-red --port <n>, node-red --safe",
+    flags: ["-p", "-s", "-u", "-v", "--port", "--settings", "--userDir", "--title", "--safe", "--verbose", "--help"],
+    handler: runNodeRed,
+  });
+  // Installing Node-RED is only narrated; the runtime above is always there
+  registerCommand({
+    name: "npm", context: "nodered", help: "npm install -g --unsafe-perm node-red",
+    handler: ({ args, print }) => {
+      if (!/^install\s+-g.*node-red/i.test(args.join(" "))) { print("npm: only 'npm install -g node-red' is simulated"); return 1; }
+      return nrInstalled(print);
+    },
+  });
+  // The install script as `bash <(curl -sL https://.../update-nodejs-and-nodered)`
+  registerCommand({
+    name: "bash", context: "nodered",
+    handler: ({ args, print }) => {
+      if (!/<\(curl.*node-red/i.test(args.join(" "))) { print("bash: nested shells are not simulated"); return 1; }
+      return nrInstalled(print);
+    },
+  });
+  registerCommand({
+    name: "node", context: "nodered", help: "node -v",
+    handler: ({ args, print }) => {
+      if (args.join(" ") !== "-v") { print("node: only 'node -v' is simulated"); return 1; }
+      print(`v${NODE_VERSION}`); return 0;
+    },
+  });
+  registerCommand({
+    name: "curl", context: "nodered", producer: true, help: "curl http://127.0.0.1:1880/flows|nodes|settings",
+    flags: ["-X", "-H", "-d", "-i", "-s", "-S", "-v", "-o", "-f", "-w", "-L", "--request", "--header", "--data", "--data-raw", "--data-binary", "--json", "--include", "--silent", "--show-error", "--verbose", "--output", "--fail", "--write-out", "--location"],
+    handler: runCurl,
+  });
+
+  // Shell tools on the lab image
+  registerCommand({
+    name: "cat", producer: true, help: "cat",
+    handler: ({ shell, args, stdin, print }) => {
+      if (args.length === 0) return stdin;
+      let out = "";
+      for (const a of args) {
+        const path = vfsResolve(shell.cwd, a);
+        if (vfs.dirs.has(path)) { print(`cat: ${a}: Is a directory`); continue; }
+        const text = vfsRead(path);
+        if (text == null) { print(`cat: ${a}: No such file or directory`); continue; }
+        out += text;
+      }
+      return out;
+    },
+  });
+  registerCommand({
+    name: "ls", context: "mqtt", producer: true, help: "ls",
+    handler: ({ shell, args, print }) => {
+      const flags = args.filter((a) => a.startsWith("-")).join("");
+      const target = args.find((a) => !a.startsWith("-")) || ".";
+      const path = vfsResolve(shell.cwd, target);
+      const file = vfs.files.get(path);
+      const entries = file ? [{ name: target, dir: false }] : vfsList(path);
+      if (!entries) { print(`ls: cannot access '${target}': No such file or directory`); return null; }
+      const shown = entries.filter((e) => flags.includes("a") || !e.name.startsWith("."));
+      if (!flags.includes("l")) return shown.length ? shown.map((e) => e.name).join("  ") + "\n" : "";
+      const rows = shown.map((e) => {
+        const f = file || vfs.files.get(`${path === "/" ? "" : path}/${e.name}`);
+        const size = e.dir ? 4096 : f.content.length;
+        const owner = e.dir ? (`${path}/${e.name}`.startsWith(HOME) ? "tech" : "root") : f.owner;
+        return `${e.dir ? "drwxr-xr-x" : "-rw-r--r--"} 1 ${owner} ${owner} ${String(size).padStart(5)} ${formatTime(f?.mtime || broker.service.since).slice(0, 12)} ${e.name}`;
+      });
+      return `${file ? "" : `total ${rows.length * 4}\n`}${rows.join("\n")}${rows.length ? "\n" : ""}`;
+    },
+  });
+  registerCommand({
+    name: "cd", context: "mqtt", builtin: true, help: "cd",
+    handler: ({ shell, args, print }) => {
+      const path = vfsResolve(shell.cwd, args[0] || "~");
+      if (!vfs.dirs.has(path)) { print(`bash: cd: ${args[0]}: ${vfs.files.has(path) ? "Not a directory" : "No such file or directory"}`); return; }
+      shell.cwd = path;
+    },
+  });
+  registerCommand({ name: "pwd", context: "mqtt", producer: true, help: "pwd", handler: ({ shell }) => `${shell.cwd}\n` });
+  registerCommand({
+    name: "echo", context: "mqtt", producer: true, help: "echo",
+    handler: ({ args }) => {
+      const noNewline = args[0] === "-n";
+      return (noNewline ? args.slice(1) : args).join(" ") + (noNewline ? "" : "\n");
+    },
+  });
+  registerCommand({
+    name: "printf", context: "mqtt", producer: true, help: "printf",
+    handler: ({ args, print }) => {
+      if (!args[0]) { print("printf: usage: printf format [arguments]"); return null; }
+      let n = 1;
+      return args[0]
+        .replace(/%[sd%]/g, (m) => (m === "%%" ? "%" : args[n++] ?? ""))
+        .replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|[nt\\])/g, (_, c) => ({ n: "\n", t: "\t", "\\": "\\" })[c] ?? String.fromCharCode(c[0] === "x" ? parseInt(c.slice(1), 16) : parseInt(c, 8)));
+    },
+  });
+  registerCommand({
+    name: "tee", context: "mqtt", producer: true, help: "tee",
+    handler: ({ shell, args, root, stdin, print }) => {
+      const append = args[0] === "-a";
+      for (const a of append ? args.slice(1) : args) {
+        const err = vfsWrite(vfsResolve(shell.cwd, a), stdin, { append, root });
+        if (err) print(`tee: ${a}: ${err}`);
+      }
+      return stdin;
+    },
+  });
+  registerCommand({
+    name: "rm", context: "mqtt", help: "rm", flags: ["-f"],
+    handler: ({ shell, args, root, print }) => {
+      let status = 0;
+      for (const a of args.filter((x) => !x.startsWith("-"))) {
+        const err = vfsRemove(vfsResolve(shell.cwd, a), root);
+        if (err && !(err === "No such file or directory" && args.includes("-f"))) { print(`rm: cannot remove '${a}': ${err}`); status = 1; }
+      }
+      return status;
+    },
+  });
+  // nano <file>: the shell opens its editor; saving honours the same permissions as a redirect
+  registerCommand({
+    name: "nano", help: "nano",
+    handler: ({ shell, args, root, print }) => {
+      if (!args[0]) { print("nano: no file name given (the simulator has no scratch buffer)"); return 1; }
+      shell.openEditor(args[args.length - 1], root); return 0;
+    },
+  });
+
+  // Job control and the shell itself
+  registerCommand({ name: "jobs", builtin: true, help: "jobs", flags: ["-l"], handler: ({ shell, args }) => shell.listJobs(args.includes("-l")) });
+  registerCommand({ name: "fg", builtin: true, help: "fg", handler: ({ shell, args }) => shell.foreground(args[0]) });
+  registerCommand({ name: "kill", builtin: true, help: "kill", flags: ["-s", "-l", "-HUP", "-INT", "-KILL", "-TERM"], handler: ({ shell, args }) => shell.kill(args) });
+  registerCommand({
+    name: "history", context: "mqtt", builtin: true, help: "history",
+    handler: ({ shell, print }) => shell.history.list.forEach((c, i) => print(`${String(i + 1).padStart(5)}  ${c}`)),
+  });
+  registerCommand({
+    name: "help", builtin: true,
+    handler: ({ shell, print }) => {
+      const area = shell.context === "nodered" ? "Node-RED" : "MQTT";
+      const listed = [...commands.values()].filter((c) => c.help && (c.context === "any" || c.context === shell.context));
+      print(`${sim.testMode ? `Test Mode (${area})` : area}: ${listed.map((c) => c.help).join(", ")}`);
+      print("Long-running commands hold the prompt: Ctrl+C stops them, a trailing & runs them in the background. Tab completes, ↑/↓ recall history.");
+      if (live.enabled && shell.context === "mqtt") print(`Live broker: mosquitto_pub, mosquitto_sub, mosquitto_rr and journalctl use ${live.settings.url}; everything else is simulated.`);
+    },
+  });
+  registerCommand({ name: "clear", builtin: true, help: "clear", handler: ({ shell }) => shell.clear() });
+
+  function nrInstalled(print) {
+    print("added 200 packages, and audited 200 packages in 5s");
+    print("Node-RED installed globally. You can start it with 'node-red'.");
+    return 0;
+  }
+
+  // mosquitto_pub / mosquitto_sub / mosquitto_rr
+  function runMosquittoClient(ctx) {
+    const { name } = ctx;
+    const { opts, error } = parseMosqArgs(name, ctx.args);
+    if (error) { error.forEach((l) => ctx.print(l)); return 1; }
+    if (opts.help) { ctx.print(mosqUsage(name)); return 1; }
+    if (name === "mosquitto_rr" && opts.protocol !== 5) { ctx.print("Error: mosquitto_rr only supports MQTT v5."); return 1; }
+    if (live.enabled) return name === "mosquitto_sub" ? runLiveSub(opts, ctx) : name === "mosquitto_pub" ? runLivePub(opts, ctx) : runLiveRr(opts, ctx);
+    if (name === "mosquitto_sub") return runSub(opts, ctx);
+    if (name === "mosquitto_pub") return runPub(opts, ctx);
+    return runRr(opts, ctx);
+  }
+
+  // mosquitto_passwd [-H alg] [-c | -D] file user | -b file user password | -U file; resolves to the exit status
+  async function runPasswd({ shell, args, root, print }) {
+    const usage = [
+      "mosquitto_passwd is a tool for managing password files for mosquitto.",
+      "",
+      "Usage: mosquitto_passwd [-H sha512 | -H sha512-pbkdf2] [-c | -D] passwordfile username",
+      "       mosquitto_passwd [-H sha512 | -H sha512-pbkdf2] [-c] -b passwordfile username password",
+      "       mosquitto_passwd -U passwordfile",
+      " -b : run in batch mode to allow passing passwords on the command line.",
+      " -c : create a new password file. This will overwrite existing files.",
+      " -D : delete the username rather than adding/updating its password.",
+      " -H : specify the hashing algorithm. Defaults to sha512-pbkdf2, which is recommended.",
+      "      Mosquitto 1.6 and earlier don't support sha512-pbkdf2.",
+      " -U : update a plain text password file to use hashed passwords.",
+      "",
+      "See https://mosquitto.org/ for more information.",
+    ].join("\n");
+    const f = { c: false, D: false, b: false, U: false }; let alg = "sha512-pbkdf2"; const rest = [];
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i];
+      if (["-c", "-D", "-b", "-U"].includes(a)) f[a[1]] = true;
+      else if (a === "-H") {
+        alg = args[++i];
+        if (alg !== "sha512" && alg !== "sha512-pbkdf2") { print(`Error: Unknown hash type '${alg}'`); return 1; }
+      } else if (a.startsWith("-")) { print(usage); return 1; }
+      else rest.push(a);
+    }
+    if (f.c && f.D) { print("Error: -c and -D cannot be used together."); return 1; }
+    if (rest.length !== (f.U ? 1 : f.b && !f.D ? 3 : 2)) { print(usage); return 1; }
+    const [file, user, batchPassword] = rest;
+    if (user?.includes(":")) { print("Error: Username must not contain the ':' character."); return 1; }
+    const path = vfsResolve(shell.cwd, file);
+    const existing = vfsRead(path);
+    if (existing == null && !f.c) { print(`Error: Unable to open file ${file} for reading. No such file or directory.`); return 1; }
+    const entries = f.c ? [] : existing.split("\n").filter((l) => l.includes(":"));
+    const save = (list) => {
+      const err = vfsWrite(path, list.map((l) => `${l}\n`).join(""), { root });
+      if (!err) return 0;
+      print(`Error: Unable to open file ${file} for writing. ${err}.`); return 1;
+    };
+    if (f.U) {
+      return save(entries.map((l) => { const i = l.indexOf(":"); return l.slice(i + 1).startsWith("$") ? l : pwEntry(l.slice(0, i), l.slice(i + 1), alg); }));
+    }
+    const others = entries.filter((l) => !l.startsWith(`${user}:`));
+    if (f.D) return save(others);
+    let password = batchPassword;
+    if (!f.b) {
+      password = await shell.ask("Password: ", true); if (password == null) return 1;
+      const again = await shell.ask("Reenter password: ", true); if (again == null) return 1;
+      if (password !== again) { print("Error: Passwords do not match."); return 1; }
+    }
+    if (!password) { print("Error: Empty password."); return 1; }
+    return save([...others, pwEntry(user, password, alg)]);
+  }
+
+  // Payloads for pub/rr: -m, -n, -s (all of stdin), -l (one per stdin line) or -f <file>; null on error
+  function messagesFrom(opts, { shell, stdin, print }) {
+    if (opts.message != null) return [opts.message];
+    if (opts.nullMessage) return [""];
+    if (opts.stdinFile) return [stdin];
+    if (opts.stdinLine) return stdin.split("\n").filter((l, i, all) => i < all.length - 1 || l !== "");
+    const text = vfsRead(vfsResolve(shell.cwd, opts.file));
+    if (text == null) { print(`Error loading input file "${opts.file}".`); return null; }
+    return [text];
+  }
+  // mosquitto_pub -l / -s with nothing piped in read the terminal instead (see sendTyped());
+  // mosquitto_rr only takes piped stdin
+  function typedInput(opts, { readLine }) {
+    return !!readLine && !!(opts.stdinLine || opts.stdinFile);
+  }
+  // -l sends each line as it is typed, -s everything typed before Ctrl+D; resolves when input ends
+  async function sendTyped(opts, { job, readLine }, send) {
+    let all = "";
+    for (let line; (line = await readLine()) != null && !job.done;) {
+      if (opts.stdinLine) await send(line); else all += `${line}\n`;
+    }
+    if (opts.stdinFile && !job.done) await send(all);
+  }
+  // --repeat N sends each message N times, --repeat-delay seconds apart (not with -l). Timers fire late
+  // at high rates, so every send that has fallen due goes out at once; without a delay they go out
+  // REPEAT_BATCH at a time so the page keeps drawing. The promise resolves after the last one.
+  function repeated(opts, job, send) {
+    const count = opts.stdinLine ? 1 : opts.repeat ?? 1; const delay = (opts.repeatDelay ?? 0) * 1000;
+    if (count === 1) return send;
+    return (payload) => new Promise((resolve) => {
+      const start = clock.now(); let done = 0;
+      const next = async () => {
+        const due = Math.min(count, delay ? Math.floor((clock.now() - start) / delay) + 1 : done + REPEAT_BATCH);
+        while (done < due && !job.done) { const acked = send(payload); done++; if (acked) await acked; }
+        if (done >= count || job.done) resolve();
+        else clock.setTimeout(next, delay ? start + done * delay - clock.now() : 0);
+      };
+      next();
+    });
+  }
+
+  // Clients started in this session connect as <session>-<pid> unless -i names them. `handlers` are
+  // brokerConnect()'s onMessage / onLost.
+  function connect(opts, { shell, job }, handlers = {}) {
+    return brokerConnect({ ...opts, id: opts.id || `${shell.clientId}-${job.pid}`, lane: shell.id, clean: !opts.persistent, will: mosqWill(opts), ...handlers });
+  }
+  // The broker went away (stopped, keepalive timeout, another client took the id)
+  function connectionLost({ job, print }) {
+    return () => { if (!job.done) { print("Error: The connection was lost."); job.exit(7); } };
+  }
+  // The clients catch SIGINT / SIGTERM and send DISCONNECT; SIGKILL and SIGHUP end them without it
+  function killedHard(status) { return status === "KILL" || status === "HUP"; }
+
+  // A received message as mosquitto_sub / mosquitto_rr print it: -F format (--pretty) or -v, and -N leaves
+  // the line open. Without -F a zero-length payload prints nothing, or "topic (null)" with -v.
+  function printMessage(opts, { shell, print }, msg) {
+    let text;
+    if (opts.format != null) {
+      text = formatMessage(opts.format, msg, { now: new Date(clock.now()), pretty: opts.pretty });
+      if (text == null) { print(`Error: Message payload is not valid JSON on topic ${msg.topic}.`); return; }
+    } else if (msg.payload === "") {
+      if (!opts.verbose || opts.noEol) return;
+      text = `${msg.topic} (null)`;
+    } else text = opts.verbose ? `${msg.topic} ${msg.payload}` : msg.payload;
+    if (opts.noEol) shell.write(text); else print(text);
+  }
+
+  function debugConnect(opts, print) {
+    print(`Client ${opts.id || "(null)"} sending CONNECT`); print(`Client ${opts.id || "(null)"} received CONNACK (0)`);
+  }
+
+  // mosquitto_sub holds the job until -C messages arrived, the broker goes away or a signal stops it
+  function runSub(opts, ctx) {
+    const { job, print } = ctx;
+    const cid = opts.id || "(null)"; let count = 0;
+    // Print one delivered message (-T filters, -C count)
+    const deliver = (msg) => {
+      if (job.done || opts.filterOut.some((f) => matchTopic(f, msg.topic))) return;
+      if (opts.debug) print(packetDebugLine(opts.id, "received", msg));
+      if (opts.noRetain && msg.retained) return; // -R: stale retained messages are not printed or counted
+      printMessage(opts, ctx, msg);
+      if (opts.count != null && ++count >= opts.count) job.exit(0);
+    };
+    // SUBACK is printed before the retained messages the broker hands over on subscribe
+    const early = []; let ready = false;
+    const receive = (m) => (ready ? deliver(m) : early.push(m));
+    const lost = connectionLost(ctx);
+    // A resumed session (-c) also delivers on the subscriptions it kept
+    const { client, error } = connect(opts, ctx, { onMessage: receive, onLost: lost }); if (error) { print(error); return 1; }
+    if (opts.debug) {
+      debugConnect(opts, print);
+      opts.topics.forEach((f) => print(`Client ${cid} sending SUBSCRIBE (Mid: 1, Topic: ${f}, QoS: ${opts.qos}, Options: 0x00)`));
+    }
+    const res = brokerSubscribe(client, opts.topics, opts.qos, receive, mosqProps(opts, "subscribe"));
+    if (opts.debug) { print(`Client ${cid} received SUBACK`); print(`Subscribed (mid: 1): ${res.granted.join(", ")}`); }
+    if (res.granted.every((g) => g === 0x80)) { res.off(); brokerDisconnect(client); print("All subscription requests were denied."); return 1; }
+    const offState = brokerOnState((state) => { if (state !== "active") lost(); });
+    job.hold((status) => { res.off(); offState(); brokerDisconnect(client, { lost: killedHard(status) }); });
+    ready = true; early.forEach(deliver);
+  }
+
+  // mosquitto_pub reading the terminal holds the job until Ctrl+D, like mosquitto_sub, and --repeat until the last send
+  function runPub(opts, ctx) {
+    const { job, print } = ctx;
+    const payloads = typedInput(opts, ctx) ? [] : messagesFrom(opts, ctx); if (!payloads) return 1;
+    const lost = connectionLost(ctx);
+    const { client, error } = connect(opts, ctx, { onLost: lost }); if (error) { print(error); return 1; }
+    const cid = opts.id || "(null)"; const { topic, qos } = opts; const retained = !!opts.retain; let sent = 0;
+    if (opts.debug) debugConnect(opts, print);
+    const publish = (payload) => {
+      const mid = qos > 0 ? ++sent : 0;
+      if (opts.debug) print(packetDebugLine(opts.id, "sending", { topic, payload, qos, retained, mid }));
+      brokerPublish({ topic, payload, qos, retained, client, properties: mosqProps(opts, "publish") }); // an ACL-denied publish is dropped silently (MQTT v3.1.1)
+      if (!opts.debug) return;
+      if (qos === 1) print(`Client ${cid} received PUBACK (Mid: ${mid}, RC:0)`);
+      if (qos === 2) { print(`Client ${cid} received PUBREC (Mid: ${mid})`); print(`Client ${cid} sending PUBREL (m${mid})`); print(`Client ${cid} received PUBCOMP (Mid: ${mid}, RC:0)`); }
+    };
+    const send = repeated(opts, job, publish);
+    if (!typedInput(opts, ctx) && send === publish) {
+      payloads.forEach(publish);
+      if (opts.debug) print(`Client ${cid} sending DISCONNECT`);
+      brokerDisconnect(client);
+      return;
+    }
+    const offState = brokerOnState((state) => { if (state !== "active") lost(); });
+    job.hold((status) => { offState(); brokerDisconnect(client, { lost: killedHard(status) }); });
+    (typedInput(opts, ctx) ? sendTyped(opts, ctx, send) : send(payloads[0])).then(() => {
+      if (job.done) return;
+      if (opts.debug) print(`Client ${cid} sending DISCONNECT`);
+      job.exit(0);
+    });
+  }
+
+  // mosquitto_rr holds the job until the response, the timeout or a signal
+  function runRr(opts, ctx) {
+    const { job, print } = ctx;
+    const payloads = messagesFrom(opts, ctx); if (!payloads) return 1;
+    const reqTopic = opts.topic; const resTopic = opts.responseTopic; const payload = payloads[0] ?? "";
+    const finish = (line, status) => { if (job.done) return; print(line); job.exit(status); };
+    const { client, error } = connect(opts, ctx, { onLost: () => finish("Error: The connection was lost.", 7) }); if (error) { print(error); return 1; }
+    const reply = (m) => { if (job.done) return; printMessage(opts, ctx, m); job.exit(0); };
+    const sub = brokerSubscribe(client, [resTopic], opts.qos, reply, mosqProps(opts, "subscribe"));
+    if (sub.granted[0] === 0x80) { sub.off(); brokerDisconnect(client); print("All subscription requests were denied."); return 1; }
+    const offState = brokerOnState((state) => { if (state !== "active") finish("Error: The connection was lost.", 7); });
+    const timer = clock.setTimeout(() => finish("Timed out", 27), (opts.timeout ?? 3) * 1000);
+    job.hold((status) => { sub.off(); offState(); clock.clearTimeout(timer); brokerDisconnect(client, { lost: killedHard(status) }); });
+    brokerPublish({ topic: reqTopic, payload, qos: opts.qos, client, properties: { ...mosqProps(opts, "publish"), responseTopic: resTopic } });
+  }
+
+  // --- The same clients against the live broker. -h / -p are ignored (the broker URL decides),
+  // -u / -P override the configured login, and without -i the client id is <client id>-<pid>.
+  function liveClient(opts, { job, print }) {
+    const conn = liveConnection(opts.id || `${live.settings.clientId}-${job.pid}`, { ...opts, properties: mosqProps(opts, "connect"), clean: !opts.persistent, will: mosqWill(opts) });
+    if (opts.debug) conn.onPacket((dir, packet) => liveDebugLines(opts.id, dir, packet).forEach((l) => print(l)));
+    return conn;
+  }
+  // -d output in the clients' wording, from the packets actually exchanged
+  function liveDebugLines(id, dir, p) {
+    const cid = id || "(null)"; const name = packetName(p.type);
+    switch (p.type) {
+      case PACKET.CONNACK: return [`Client ${cid} received CONNACK (${p.returnCode})`];
+      case PACKET.PUBLISH: {
+        const payload = typeof p.payload === "string" ? p.payload : new TextDecoder().decode(p.payload);
+        return [packetDebugLine(id, dir, { topic: p.topic, payload, qos: p.qos, retained: p.retain, mid: p.packetId ?? 0 })];
+      }
+      case PACKET.PUBACK: case PACKET.PUBREC: case PACKET.PUBCOMP:
+        if (dir === "sending") return [`Client ${cid} sending ${name} (m${p.packetId}${p.type === PACKET.PUBCOMP ? "" : ", rc0"})`];
+        return [`Client ${cid} received ${name} (Mid: ${p.packetId}${p.type === PACKET.PUBREC ? "" : `, RC:${p.reasonCode ?? 0}`})`];
+      case PACKET.PUBREL: return [dir === "sending" ? `Client ${cid} sending PUBREL (m${p.packetId})` : `Client ${cid} received PUBREL (Mid: ${p.packetId})`];
+      case PACKET.SUBSCRIBE: return p.subscriptions.map((s) => `Client ${cid} sending SUBSCRIBE (Mid: ${p.packetId}, Topic: ${s.topic}, QoS: ${s.qos}, Options: 0x00)`);
+      case PACKET.SUBACK: return [`Client ${cid} received SUBACK`, `Subscribed (mid: ${p.packetId}): ${p.granted.join(", ")}`];
+      case PACKET.UNSUBSCRIBE: return p.topics.map((t) => `Client ${cid} sending UNSUBSCRIBE (Mid: ${p.packetId}, Topic: ${t})`);
+      default: return [`Client ${cid} ${dir} ${name}`];
+    }
+  }
+
+  function runLiveSub(opts, ctx) {
+    const { job, print } = ctx;
+    const conn = liveClient(opts, ctx); let count = 0;
+    job.hold(() => conn.disconnect());
+    conn.onMessage((msg) => {
+      if (job.done || opts.filterOut.some((f) => matchTopic(f, msg.topic)) || (opts.noRetain && msg.retain)) return;
+      printMessage(opts, ctx, { ...msg, retained: msg.retain });
+      if (opts.count != null && ++count >= opts.count) job.exit(0);
+    });
+    conn.onLost(() => { if (!job.done) { print("Error: The connection was lost."); job.exit(7); } });
+    conn.connect().then(async ({ error }) => {
+      if (job.done) return;
+      if (error) { print(error); job.exit(1); return; }
+      const granted = await conn.subscribe(opts.topics, opts.qos, mosqProps(opts, "subscribe"));
+      if (!job.done && granted?.every((g) => g >= 0x80)) { print("All subscription requests were denied."); job.exit(1); }
+    });
+  }
+
+  function runLivePub(opts, ctx) {
+    const { job, print } = ctx;
+    const payloads = typedInput(opts, ctx) ? [] : messagesFrom(opts, ctx); if (!payloads) return 1;
+    const conn = liveClient(opts, ctx);
+    job.hold(() => conn.disconnect());
+    conn.connect().then(async ({ error }) => {
+      if (job.done) return;
+      if (error) { print(error); job.exit(1); return; }
+      const publish = async (payload) => {
+        const ack = await conn.publish({ topic: opts.topic, payload, qos: opts.qos, retain: !!opts.retain, properties: mosqProps(opts, "publish") });
+        if (job.done) return;
+        if (!ack) { print("Error: The connection was lost."); job.exit(7); return; }
+        // MQTT 5 brokers say why a publish was refused; 3.1.1 ones drop it silently
+        if (ack.reasonCode >= 0x80) print(`Warning: Publish ${ack.packetId} failed: ${reasonText(ack.reasonCode)}.`);
+      };
+      const send = repeated(opts, job, publish);
+      for (const payload of payloads) { await send(payload); if (job.done) return; }
+      if (typedInput(opts, ctx)) await sendTyped(opts, ctx, send);
+      if (!job.done) job.exit(0);
+    });
+  }
+
+  function runLiveRr(opts, ctx) {
+    const { job, print } = ctx;
+    const payloads = messagesFrom(opts, ctx); if (!payloads) return 1;
+    const conn = liveClient(opts, ctx); let timer = null;
+    const finish = (line, status) => { if (job.done) return; print(line); job.exit(status); };
+    job.hold(() => { clock.clearTimeout(timer); conn.disconnect(); });
+    conn.onMessage((m) => { if (job.done) return; printMessage(opts, ctx, { ...m, retained: m.retain }); job.exit(0); });
+    conn.onLost(() => finish("Error: The connection was lost.", 7));
+    conn.connect().then(async ({ error }) => {
+      if (job.done) return;
+      if (error) { finish(error, 1); return; }
+      const granted = await conn.subscribe([opts.responseTopic], opts.qos, mosqProps(opts, "subscribe"));
+      if (job.done || !granted) return;
+      if (granted[0] >= 0x80) { finish("All subscription requests were denied.", 1); return; }
+      timer = clock.setTimeout(() => finish("Timed out", 27), (opts.timeout ?? 3) * 1000);
+      // The responder learns where to answer from the MQTT 5 response topic property
+      conn.publish({ topic: opts.topic, payload: payloads[0] ?? "", qos: opts.qos, properties: { ...mosqProps(opts, "publish"), responseTopic: opts.responseTopic } });
+    });
+  }
+
+  // curl against the Node-RED admin API. Returns stdout, or null after printing an error (stderr).
+  function runCurl({ shell, args: argv, stdin, print }) {
+    const args = [...argv];
+    const tryHelp = "curl: try 'curl --help' or 'curl --manual' for more information";
+    const long = { "--request": "-X", "--header": "-H", "--data": "-d", "--data-raw": "--data-raw", "--data-binary": "--data-binary", "--json": "--json", "--include": "-i", "--silent": "-s", "--show-error": "-S", "--verbose": "-v", "--output": "-o", "--fail": "-f", "--write-out": "-w", "--location": "-L" };
+    const withValue = ["-X", "-H", "-d", "--data-raw", "--data-binary", "--json", "-o", "-w"];
+    const o = { method: null, headers: [], data: null, url: null };
+    const readData = (flag, v) => {
+      if (flag === "--data-raw" || !v.startsWith("@")) return v;
+      const file = v.slice(1);
+      const content = file === "-" ? stdin : vfsRead(vfsResolve(shell.cwd, file));
+      if (content == null) { print(`Warning: Couldn't read data from file "${file}", this makes an empty POST.`); return ""; }
+      return flag === "--data-binary" ? content : content.replace(/[\r\n]/g, ""); // -d strips newlines from files
+    };
+    for (let i = 0; i < args.length; i++) {
+      let a = args[i];
+      // -sS, -fsS ...: bundled boolean short options
+      if (/^-[a-zA-Z]{2,}$/.test(a) && [...a.slice(1)].every((c) => "sSivfL".includes(c))) { args.splice(i + 1, 0, ...[...a.slice(2)].map((c) => `-${c}`)); a = a.slice(0, 2); }
+      const flag = long[a] || a;
+      if (!a.startsWith("-")) { o.url = a; continue; }
+      if (!["-i", "-s", "-S", "-v", "-f", "-L", ...withValue].includes(flag)) { print(`curl: option ${a}: is unknown`); print(tryHelp); return null; }
+      if (!withValue.includes(flag)) { o[flag] = true; continue; }
+      if (i + 1 >= args.length) { print(`curl: option ${a}: requires parameter`); print(tryHelp); return null; }
+      const v = args[++i];
+      if (flag === "-X") o.method = v;
+      else if (flag === "-H") o.headers.push(v);
+      else if (flag === "-o") o.output = v;
+      else if (flag === "-w") o.writeOut = v;
+      else {
+        o.data = (o.data == null ? "" : `${o.data}&`) + readData(flag, v);
+        if (flag === "--json") o.json = true;
+      }
+    }
+    const quiet = o["-s"] && !o["-S"];
+    const fail = (code, text) => { if (!quiet) print(`curl: (${code}) ${text}`); return null; };
+    if (!o.url) { print("curl: no URL specified!"); print(tryHelp); return null; }
+    const m = o.url.match(/^(?:([a-z]+):\/\/)?([^/:?#]+)(?::(\d+))?([^#]*)/i);
+    if (!m) return fail(3, "URL using bad/illegal format or missing URL");
+    const [, scheme = "http", host, portText, rest] = m;
+    const port = Number(portText || (scheme === "https" ? 443 : 80));
+    const path = rest ? (rest.startsWith("/") ? rest : `/${rest}`) : "/";
+    if (!["localhost", "127.0.0.1"].includes(host)) return fail(6, `Could not resolve host: ${host}`);
+    // Request headers: curl's defaults, then -H overrides
+    const headers = { host: `${host}:${port}`, "user-agent": "curl/7.88.1", accept: o.json ? "application/json" : "*/*" };
+    if (o.data != null) headers["content-type"] = o.json ? "application/json" : "application/x-www-form-urlencoded";
+    const shown = { host: "Host", "user-agent": "User-Agent", accept: "Accept", "content-type": "Content-Type" };
+    for (const h of o.headers) {
+      const i = h.indexOf(":"); if (i < 0) continue;
+      const name = h.slice(0, i).trim(); headers[name.toLowerCase()] = h.slice(i + 1).trim(); shown[name.toLowerCase()] = name;
+    }
+    const method = o.method || (o.data != null ? "POST" : "GET");
+    if (o["-v"]) {
+      print(`*   Trying ${host === "localhost" ? "127.0.0.1" : host}:${port}...`);
+    }
+    if (!nodeRed.running || port !== nodeRed.port) return fail(7, `Failed to connect to ${host} port ${port} after 0 ms: Couldn't connect to server`);
+    if (scheme === "https") return fail(35, "error:0A00010B:SSL routines::wrong version number");
+    const body = o.data ?? "";
+    if (o["-v"]) {
+      print(`* Connected to ${host} (127.0.0.1) port ${port} (#0)`);
+      print(`> ${method} ${path} HTTP/1.1`);
+      Object.entries(headers).forEach(([k, v]) => print(`> ${shown[k]}: ${v}`));
+      if (o.data != null) print(`> Content-Length: ${body.length}`);
+      print(">");
+    }
+    const res = nrHttp({ method, path, headers, body });
+    const resHeaders = [`HTTP/1.1 ${res.status} ${HTTP_STATUS[res.status]}`, "X-Powered-By: Express"];
+    if (res.type) resHeaders.push(`Content-Type: ${res.type}`, `Content-Length: ${res.body.length}`);
+    resHeaders.push(`Date: ${new Date(clock.now()).toUTCString()}`, "Connection: keep-alive", "Keep-Alive: timeout=5");
+    if (o["-v"]) { resHeaders.forEach((h) => print(`< ${h}`)); print("<"); }
+    let out = "";
+    if (o["-f"] && res.status >= 400) fail(22, `The requested URL returned error: ${res.status}`);
+    else {
+      out = (o["-i"] ? `${resHeaders.join("\n")}\n\n` : "") + res.body;
+      if (o.output) {
+        const err = vfsWrite(vfsResolve(shell.cwd, o.output), out);
+        if (err) { fail(23, `Failure writing output to destination`); out = ""; } else out = "";
+      }
+    }
+    if (o.writeOut) {
+      out += o.writeOut.replace(/\\n/g, "\n").replace(/%\{(\w+)\}/g, (t, k) => ({ http_code: String(res.status).padStart(3, "0"), response_code: String(res.status), content_type: res.type ?? "", size_download: String(res.body.length) })[k] ?? "");
+    }
+    return out;
+  }
+
+  // node-red [--port n] [--userDir dir] [--safe] [flows.json]: holds the job until Ctrl+C or kill
+  function runNodeRed({ shell, args, job, print }) {
+    const usage = [
+      `Node-RED v${NR_VERSION}`,
+      "Usage: node-red [-v] [-?] [--settings settings.js] [--userDir DIR]",
+      "                [--port PORT] [--title TITLE] [--safe] [flows.json|projectName]",
+      "",
+      "Options:",
+      "  -p, --port     PORT  port to listen on",
+      "  -s, --settings FILE  use specified settings file",
+      "      --title    TITLE process window title",
+      "  -u, --userDir  DIR   use specified user directory",
+      "  -v, --verbose        enable verbose output",
+      "      --safe           enable safe mode",
+      "  -?, --help           show this help",
+      "",
+      "Documentation can be found at http://nodered.org",
+    ].join("\n");
+    const o = { userDir: NR_DIR, flowsFile: "flows.json", port: 1880, safe: false };
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i];
+      if (a === "-p" || a === "--port") { o.port = parseInt(args[++i], 10); if (!(o.port > 0 && o.port < 65536)) { print(usage); return 1; } }
+      else if (a === "-u" || a === "--userDir") o.userDir = vfsResolve(shell.cwd, args[++i] || "");
+      else if (a === "-s" || a === "--settings" || a === "--title") i++;
+      else if (a === "--safe") o.safe = true;
+      else if (a === "-v" || a === "--verbose") continue;
+      else if (a.startsWith("-")) { print(usage); return 1; }
+      else o.flowsFile = a;
+    }
+    if (!nrStart({ ...o, stdout: print })) return 1;
+    job.hold(nrStop);
+  }
+
+  // --- Shells: one per terminal session, with its own scrollback, cwd, history and jobs ---
+  const shells = new Map();
+  let nextPid = 2301; // pids for shell jobs, shared by every shell of this simulator
+
+  // Each shell keeps its last `scrollback` lines (an entry of shell.lines may hold several)
+  function trimScrollback(shell) {
+    const over = shell.lines.length - scrollback;
+    if (over > 0) shell.lines.splice(0, over);
+  }
+  function setScrollback(lines) {
+    scrollback = lines;
+    shells.forEach(trimScrollback);
+  }
+
+  // Opens the shell for terminal session `id`; clients it starts connect as <clientId>-<pid>
+  function openShell({ id, context = "mqtt", clientId = id, lines = [] }) {
+    closeShell(id);
+    const shell = createShell({ id, context, clientId, lines });
+    shells.set(id, shell);
+    return shell;
+  }
+  // Closing a session hangs up whatever still runs in it
+  function closeShell(id) {
+    shells.get(id)?.hangUp();
+    shells.delete(id);
+  }
+
+  function createShell({ id, context, clientId, lines }) {
+    // Job control: the foreground job owns the prompt until it exits; `cmd &` jobs keep running behind it
+    const jobs = { fg: null, bg: [] };
+    const listeners = new Set();
+    let lineOpen = false; // the last line is still being written (see write())
+    let reader = null; // {job, resolve}: a job reading lines typed at the terminal (see readLine())
+    const shell = {
+      id, context, clientId, cwd: HOME, jobs,
+      lines: lines.slice(-scrollback),
+      history: { list: [], pos: null, draft: "" }, // pos: entry shown while browsing with ↑/↓
+      prompt: null, // question from the foreground job: {label, secret, resolve}
+      editor: null, // nano: {path, text, root, dirty, confirmExit, status}
+      listen, print, write, clear, busy, run, submit, interrupt, endOfInput, browseHistory, complete, ask, cancelPrompt, hangUp,
+      listJobs, foreground, kill: runKill, openEditor, editorChange, editorSave, editorExit, editorCancel,
+    };
+
+    // fn() runs after every change to the lines, prompt, jobs or editor
+    function listen(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    }
+    function notify() { for (const fn of listeners) fn(); }
+    // print() adds a line (or ends the one write() left open); write() adds text without a line end,
+    // as mosquitto_sub -N does, so the next output continues that line
+    function print(text = "") {
+      if (lineOpen) { shell.lines[shell.lines.length - 1] += text; lineOpen = false; } else shell.lines.push(text);
+      trimScrollback(shell); notify();
+    }
+    function write(text) {
+      const parts = String(text).split("\n"); const rest = parts.pop();
+      for (const part of parts) { if (lineOpen) { shell.lines[shell.lines.length - 1] += part; lineOpen = false; } else shell.lines.push(part); }
+      if (rest) { if (lineOpen) shell.lines[shell.lines.length - 1] += rest; else shell.lines.push(rest); lineOpen = true; }
+      trimScrollback(shell); notify();
+    }
+    function clear() { shell.lines = []; lineOpen = false; notify(); }
+    function busy() { return !!(shell.prompt || jobs.fg); }
+    function hangUp() { [jobs.fg, ...jobs.bg].forEach((j) => j?.kill("HUP")); }
+
+    // Every command line runs as a job. start(job) either finishes at once (its return value is the exit
+    // status) or calls job.hold(cleanup) and keeps running until job.exit(status) or a signal ends it.
+    // cleanup gets the status, or the signal's name ("INT", "KILL", ...) when one ended the job.
+    function spawn(text, background, start) {
+      const job = { pid: nextPid++, cmd: text, id: null, held: false, done: false, cleanup: null };
+      job.hold = (cleanup) => { job.held = true; job.cleanup = cleanup; };
+      job.kill = (sig) => job.exit(sig);
+      job.exit = (status = 0) => {
+        if (job.done) return;
+        job.done = true; job.cleanup?.(status);
+        if (reader?.job === job) endReading(null);
+        const i = jobs.bg.indexOf(job);
+        if (i >= 0) { print(`[${job.id}]${jobMark(i)}  ${jobStatusText(status).padEnd(24)}${job.cmd}`); jobs.bg.splice(i, 1); }
+        if (jobs.fg === job) jobs.fg = null;
+        notify();
+      };
+      if (background) { toBackground(job); print(`[${job.id}] ${job.pid}`); }
+      const status = start(job);
+      if (job.done) return;
+      if (!job.held) job.exit(status ?? 0);
+      else if (!background) { jobs.fg = job; notify(); }
+    }
+    function toBackground(job) {
+      job.id ??= Math.max(0, ...[jobs.fg, ...jobs.bg].map((j) => j?.id ?? 0)) + 1;
+      jobs.bg.push(job); if (jobs.fg === job) jobs.fg = null;
+      notify();
+    }
+    // bash marks the current job "+" and the previous one "-"
+    function jobMark(i) {
+      const n = jobs.bg.length;
+      return i === n - 1 ? "+" : i === n - 2 ? "-" : " ";
+    }
+    function findJob(spec) {
+      const { bg } = jobs;
+      if (/^%[%+]?$/.test(spec)) return bg[bg.length - 1];
+      if (spec === "%-") return bg[bg.length - 2];
+      if (spec.startsWith("%")) return bg.find((j) => j.id === Number(spec.slice(1)));
+      return bg.find((j) => j.pid === Number(spec));
+    }
+    function listJobs(long) {
+      const { bg } = jobs;
+      [...bg].sort((a, b) => a.id - b.id).forEach((j) => print(`[${j.id}]${jobMark(bg.indexOf(j))}  ${long ? `${j.pid} ` : ""}${"Running".padEnd(24)}${j.cmd} &`));
+    }
+    function foreground(spec) {
+      const job = spec ? findJob(spec) : jobs.bg[jobs.bg.length - 1];
+      if (!job) { print(`bash: fg: ${spec || "current"}: no such job`); return; }
+      jobs.bg.splice(jobs.bg.indexOf(job), 1); jobs.fg = job;
+      print(job.cmd);
+    }
+    // kill [-s sigspec | -n signum | -sigspec] %job | pid ...; only this shell's jobs are visible
+    function runKill(args) {
+      if (args[0] === "-l") { print(Object.entries(SIGNALS).map(([n, v]) => `${String(v).padStart(2)}) SIG${n}`).join("\t")); return; }
+      let spec = "TERM"; let targets = args;
+      if (args[0] === "-s" || args[0] === "-n") { spec = args[1] ?? ""; targets = args.slice(2); }
+      else if (args[0]?.startsWith("-")) { spec = args[0].slice(1); targets = args.slice(1); }
+      const upper = spec.toUpperCase().replace(/^SIG/, "");
+      const sig = /^\d+$/.test(upper) ? Object.keys(SIGNALS).find((k) => SIGNALS[k] === Number(upper)) : SIGNALS[upper] && upper;
+      if (!sig) { print(`bash: kill: ${spec}: invalid signal specification`); return; }
+      if (targets.length === 0) { print("kill: usage: kill [-s sigspec | -n signum | -sigspec] pid | jobspec ... or kill -l [sigspec]"); return; }
+      for (const t of targets) {
+        if (!t.startsWith("%") && !/^\d+$/.test(t)) { print(`bash: kill: ${t}: arguments must be process or job IDs`); continue; }
+        const job = findJob(t);
+        if (job) job.kill(sig);
+        else print(t.startsWith("%") ? `bash: kill: ${t}: no such job` : `bash: kill: (${t}) - No such process`);
+      }
+    }
+
+    // Ctrl+C: SIGINT to the foreground job; at an idle prompt it just abandons `input`
+    function interrupt(input = "") {
+      const job = jobs.fg; const p = shell.prompt;
+      print(p ? `${p.label}^C` : job ? "^C" : `$ ${input}^C`);
+      shell.history.pos = null;
+      job?.kill("INT");
+    }
+    // Ctrl+D: end of input for whatever reads the terminal, a pending prompt or a job reading stdin.
+    // Other running jobs ignore it and the lab shell stays open.
+    function endOfInput(input = "") {
+      if (input !== "") return;
+      if (shell.prompt) submit("");
+      else if (reader && reader.job === jobs.fg) endReading(null);
+    }
+    // ↑ / ↓ from the line being typed; returns the line to show
+    function browseHistory(step, input) {
+      const h = shell.history; if (h.list.length === 0) return input;
+      if (h.pos == null) { if (step > 0) return input; h.pos = h.list.length; h.draft = input; }
+      h.pos = Math.min(h.list.length, Math.max(0, h.pos + step));
+      const line = h.pos === h.list.length ? h.draft : h.list[h.pos];
+      if (h.pos === h.list.length) h.pos = null;
+      return line;
+    }
+    // Tab: returns the completed line; several candidates are listed the way bash does
+    function complete(input) {
+      const { line, matches } = completeLine(input, shell.cwd);
+      if (matches.length > 1 && line === input) { print(`$ ${input}`); print(matches.join("  ")); }
+      return line;
+    }
+
+    // Line typed at the prompt: answers a pending question (e.g. "Password:") or runs a command.
+    // A foreground job that doesn't read the terminal only gets the line echoed.
+    function submit(v) {
+      const p = shell.prompt;
+      if (p) { shell.prompt = null; print(p.secret ? p.label : `${p.label}${v}`); p.resolve(v); return; }
+      if (jobs.fg) { print(v); if (reader?.job === jobs.fg) endReading(v); return; }
+      handleCommand(v);
+    }
+    // The next line typed while `job` is in the foreground; null at Ctrl+D or when the job ends
+    function readLine(job) {
+      return new Promise((resolve) => { reader = { job, resolve }; job.reading = true; notify(); });
+    }
+    function endReading(line) {
+      const { job, resolve } = reader; reader = null; job.reading = false;
+      notify(); resolve(line);
+    }
+    // Resolves with the answer, or null when the job is interrupted first
+    function ask(label, secret = false) {
+      return new Promise((resolve) => { shell.prompt = { label, secret, resolve }; notify(); });
+    }
+    function cancelPrompt() {
+      const p = shell.prompt; if (!p) return;
+      shell.prompt = null; notify(); p.resolve(null);
+    }
+
+    function openEditor(target, root) {
+      const path = vfsResolve(shell.cwd, target);
+      if (vfs.dirs.has(path)) { print(`Error reading ${target}: Is a directory`); return; }
+      const text = vfsRead(path);
+      setEditor({ path, text: text ?? "", root, dirty: false, confirmExit: false, status: text == null ? "[ New File ]" : `[ Read ${text.split("\n").length - (text.endsWith("\n") ? 1 : 0)} lines ]` });
+    }
+    function setEditor(editor) { shell.editor = editor; notify(); }
+    function editorChange(text) { setEditor({ ...shell.editor, text, dirty: true }); }
+    function editorSave() {
+      const editor = shell.editor;
+      const err = vfsWrite(editor.path, editor.text, { root: editor.root });
+      if (err) { setEditor({ ...editor, status: `[ Error writing ${editor.path}: ${err} ]` }); return false; }
+      setEditor({ ...editor, dirty: false, status: `[ Wrote ${editor.text.split("\n").length - (editor.text.endsWith("\n") ? 1 : 0)} lines ]` });
+      return true;
+    }
+    // save: true / false answers "Save modified buffer?"; undefined asks it when there are changes
+    function editorExit(save) {
+      const editor = shell.editor;
+      if (save === undefined && editor.dirty) { setEditor({ ...editor, confirmExit: true, status: "Save modified buffer?" }); return; }
+      if (save && !editorSave()) return;
+      setEditor(null);
+    }
+    function editorCancel() { setEditor({ ...shell.editor, confirmExit: false, status: "[ Cancelled ]" }); }
+
+    function handleCommand(raw) {
+      const cmd = raw.trim(); if (!cmd) return; print(`$ ${cmd}`);
+      const history = shell.history; history.pos = null;
+      if (history.list[history.list.length - 1] !== cmd) history.list.push(cmd);
+
+      let parsed;
+      try { parsed = parseShell(cmd); } catch (e) { print(`bash: ${e.message}`); return; }
+      // `sudo` runs that stage as root (the lab image has passwordless sudo)
+      const runs = parsed.stages.map((argv) => (argv[0] === "sudo" ? { argv: argv.slice(1), root: true } : { argv, root: false }));
+      if (runs.some((r) => r.argv.length === 0)) { print("usage: sudo command"); return; }
+      runs.forEach(shellEmit);
+
+      const last = runs[runs.length - 1];
+      const spec = commands.get(last.argv[0]);
+      if (spec?.builtin) { spec.handler(handlerArgs(last, "", null)); return; }
+      spawn(cmd.replace(/\s*&\s*$/, ""), parsed.background, (job) => execute(parsed, runs, job));
+    }
+    // readLine is only there when stdin is the terminal rather than a pipe
+    function handlerArgs({ argv, root }, stdin, job, tty = false) {
+      return { shell, name: argv[0], args: argv.slice(1), root, stdin, job, print, readLine: tty ? () => readLine(job) : null };
+    }
+    // Stdout of a pipeline stage, or null after it printed an error
+    function produce(run, stdin) {
+      const spec = commands.get(run.argv[0]);
+      if (!spec?.producer) { print(`${run.argv[0]}: command not found`); return null; }
+      return spec.handler(handlerArgs(run, stdin, null));
+    }
+
+    // Runs a parsed command line as `job`; returns its exit status unless it holds the job
+    function execute(parsed, runs, job) {
+      const last = runs[runs.length - 1];
+      const spec = commands.get(last.argv[0]);
+
+      // Left-hand stages feed stdin to the next one
+      let stdin = "";
+      for (const r of runs.slice(0, -1)) { stdin = produce(r, stdin); if (stdin == null) return 1; }
+      if (spec?.producer) {
+        const out = produce(last, stdin); if (out == null) return 1;
+        // The redirect is opened by the user's shell, so `sudo echo ... >> /etc/...` is still denied
+        if (parsed.redirect) { const err = vfsWrite(vfsResolve(shell.cwd, parsed.redirect.path), out, { append: parsed.redirect.append }); if (err) { print(`bash: ${parsed.redirect.path}: ${err}`); return 1; } }
+        else if (out) print(out.replace(/\n$/, ""));
+        return 0;
+      }
+      if (parsed.redirect) {
+        const names = [...commands.values()].filter((c) => c.producer).map((c) => c.name);
+        print(`bash: output redirection is only simulated for ${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`);
+        return 1;
+      }
+      if (!spec) { print("command not found. Type 'help'"); return 127; }
+      return spec.handler(handlerArgs(last, stdin, job, runs.length === 1));
+    }
+
+    // Commands sent from outside (command cards) can't press Ctrl+C: one sent while a job holds the
+    // prompt first moves that job to the background (as Ctrl+Z then `bg` would), or interrupts it
+    // when it is waiting at a prompt
+    function run(cmd) {
+      const job = jobs.fg;
+      if (shell.prompt) interrupt();
+      else if (job) { toBackground(job); print(`[${job.id}]+ ${job.cmd} &`); }
+      handleCommand(cmd);
+    }
+
+    return shell;
+  }
+
+  // Completes the word under the cursor at the end of `line`.
+  // Returns { line, matches }: line grows to the longest common prefix; matches lists the candidates when it can't.
+  function completeLine(line, cwd) {
+    const words = line.split(/\s+/); const word = words[words.length - 1];
+    const before = words.slice(0, -1).filter(Boolean);
+    let start = 0; before.forEach((w, i) => { if (w === "|" || w === "sudo") start = i + 1; });
+    const cmd = before[start]; const prev = before[before.length - 1];
+    const stageStart = start === before.length;
+    let candidates; let dirs = new Set();
+    if (stageStart) candidates = [...commands.keys(), "sudo"].sort();
+    else if (TOPIC_FLAGS.includes(prev) && MOSQ_TOOLS[cmd]) candidates = [...new Set([...broker.topics, ...broker.retained.keys()])].sort();
+    else if (word.startsWith("-")) candidates = MOSQ_TOOLS[cmd] ? MOSQ_TOOLS[cmd].flags.flatMap((f) => [f.flag, f.long].filter(Boolean)) : commands.get(cmd)?.flags || [];
+    else if (cmd === "systemctl") candidates = before.length === start + 1 ? SYSTEMCTL_VERBS : ["mosquitto"];
+    else {
+      const slash = word.lastIndexOf("/"); const dirPart = word.slice(0, slash + 1);
+      const entries = vfsList(vfsResolve(cwd, dirPart || ".")) || [];
+      candidates = entries.filter((e) => !e.name.startsWith(".") || word.slice(slash + 1).startsWith(".")).map((e) => dirPart + e.name);
+      dirs = new Set(entries.filter((e) => e.dir).map((e) => dirPart + e.name));
+    }
+    const matches = candidates.filter((c) => c.startsWith(word));
+    if (matches.length === 0) return { line, matches };
+    const common = matches.reduce((a, b) => { let i = 0; while (i < a.length && a[i] === b[i]) i++; return a.slice(0, i); });
+    const head = line.slice(0, line.length - word.length);
+    if (matches.length === 1) return { line: head + common + (dirs.has(common) ? "/" : " "), matches };
+    return { line: head + common, matches: common.length > word.length ? [] : matches };
+  }
+
+  // --- Saved sessions: everything above except the shells' jobs, as plain JSON-able data ---
+  function capture() {
+    return {
+      journal: [...journal.entries],
+      broker: { state: broker.service.state, enabled: broker.service.enabled, retained: retainedMessages() },
+      vfs: { files: [...vfs.files], dirs: [...vfs.dirs] },
+      plc: { mem: plc.mem, map: plc.map, auth: plc.auth },
+      challenges: challenges.results,
+    };
+  }
+  // Dates come back as strings from JSON. The broker stops and starts as under systemctl, re-reading
+  // whatever config is on disk; if that no longer loads, a broker that was active comes back "failed".
+  // Journal entries saved before they carried a priority count as info.
+  function restore(data) {
+    serviceStop();
+    vfs.files = new Map(data.vfs.files.map(([path, f]) => [path, { ...f, mtime: new Date(f.mtime) }]));
+    vfs.dirs = new Set(data.vfs.dirs);
+    journal.entries = data.journal.map((e) => ({ unit: journalUnit(e.ident), priority: 6, clientId: null, ...e, ts: new Date(e.ts) }));
+    const { config } = loadBrokerConfig();
+    if (config) broker.config = config;
+    broker.service.enabled = data.broker.enabled;
+    broker.retained = new Map(data.broker.retained.map((m) => [m.topic, { ...m, ts: new Date(m.ts) }]));
+    Object.assign(plc, { mem: data.plc.mem, map: data.plc.map, auth: data.plc.auth });
+    challenges.results = data.challenges;
+    if (data.broker.state === "active") serviceStart();
+    else if (broker.service.state !== data.broker.state) setServiceState(data.broker.state);
+  }
+
+  // Stops the timers and every shell's jobs (tests; the page keeps its simulator for good)
+  function dispose() {
+    clock.clearInterval(plcTimer); sysStop(); liveDisconnect();
+    responder.timers.forEach((t) => clock.clearTimeout(t)); responder.timers.clear();
+    challengeGiveUp();
+    [...shells.keys()].forEach(closeShell);
+    nrStop();
+    plcDisconnect();
+  }
+
+  const sim = {
+    clock, broker, journal, vfs, nodeRed, plc, challenges, shells,
+    testMode: false, // Test Mode wording for `help`
+    registerCommand, commands, openShell, closeShell, setScrollback, capture, restore, dispose,
+    brokerPublish, brokerListen, brokerOnState, brokerSubscribe, brokerConnect, brokerDisconnect, brokerCable, brokerOnCable, wire, wireListen,
+    live, liveConnect, liveDisconnect, liveListen, liveLogListen,
+    serviceStart, serviceStop, systemctl, journalAppend, journalListen,
+    vfsResolve, vfsRead, vfsWrite, vfsList,
+    nrListen, nrInject, nrClearDebug, nrHttp, nrStop,
+    plcListen, plcOnEvent, plcWrite, plcGet, plcConnect, plcToggleInput,
+    challengeListen, challengeStart, challengeHint, challengeGiveUp, shellListen,
+  };
+  return sim;
+}
@@ -0,0 +1,55 @@
+// Checks the built-in lessons file and the errors the schema gives for broken ones (../lessons.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseLessons, validateLessons } from "../lessons.js";
+import { createSimulator } from "../simulator.js";
+
+const defaults = JSON.parse(readFileSync(new URL("../lessons/default.json", import.meta.url), "utf8"));
+const lesson = (blocks, extra = {}) => ({ version: 1, sections: [{ id: "intro", label: "Intro", title: "Intro", blocks, ...extra }] });
+
+test("default lessons are valid", () => {
+  assert.deepEqual(validateLessons(defaults), []);
+});
+
+test("every default command card runs a simulated command", () => {
+  const sim = createSimulator();
+  try {
+    const cmds = defaults.sections.flatMap((s) => s.blocks ?? []).filter((b) => b.cmd).map((b) => b.cmd);
+    const unknown = cmds.filter((c) => !sim.commands.has(c.replace(/^sudo\s+/, "").split(/\s+/)[0]));
+    assert.deepEqual(unknown, []);
+  } finally { sim.dispose(); }
+});
+
+test("errors name the path and the problem", () => {
+  assert.deepEqual(validateLessons(null), ['lessons: expected a JSON object with "version" and "sections"']);
+  assert.deepEqual(validateLessons({ version: 2, sections: [] }), ["version: must be 1, got 2", "sections: must be a non-empty list"]);
+  assert.deepEqual(validateLessons(lesson([{ type: "card", label: "Watch", comand: "mosquitto_sub -t a" }])), [
+    'sections[0] ("intro").blocks[0]: unknown field "comand" (card fields: type, label, cmd, explain, expect, session, context, coach)',
+    'sections[0] ("intro").blocks[0]: missing "cmd"',
+  ]);
+  assert.deepEqual(validateLessons(lesson([{ type: "video", url: "x" }])), [
+    'sections[0] ("intro").blocks[0]: "type" must be one of "prose", "heading", "tiles", "action", "card", "widget", got "video"',
+  ]);
+  assert.deepEqual(validateLessons(lesson([{ type: "card", label: "x", cmd: "y", coach: "one step", session: "a b" }], { context: "plc" })), [
+    'sections[0] ("intro"): "context" must be one of "mqtt", "nodered", got "plc"',
+    'sections[0] ("intro").blocks[0]: "session" must be a terminal name (letters, digits, . _ -), got "a b"',
+    'sections[0] ("intro").blocks[0]: "coach" must be a list of non-empty strings',
+  ]);
+});
+
+test("section ids are unique and built-in panels are known", () => {
+  const data = { version: 1, sections: [{ id: "plc", label: "PLC", panel: "plc" }, { id: "plc", label: "Again", panel: "ladder" }] };
+  assert.deepEqual(validateLessons(data), [
+    'sections[1] ("plc"): duplicate section id "plc"',
+    'sections[1] ("plc"): "panel" must be one of "plc", "packets", "logs", "tests", got "ladder"',
+  ]);
+});
+
+test("parseLessons reports bad JSON and every schema problem", () => {
+  assert.throws(() => parseLessons("{ sections: "), /^Error: not valid JSON \(/);
+  assert.throws(() => parseLessons(JSON.stringify(lesson([]))), {
+    message: '1 problem in the lessons file:\nsections[0] ("intro"): needs a non-empty "blocks" list (or a "panel": "plc", "packets", "logs", "tests")',
+  });
+  assert.equal(parseLessons(JSON.stringify(defaults)).sections.length, defaults.sections.length);
+});
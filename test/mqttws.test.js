@@ -0,0 +1,145 @@
+// MQTT packet codec and live broker mode (../mqttws.js) against an in-memory broker behind a fake WebSocket
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PACKET, decodePacket, encodePacket, splitPackets } from "../mqttws.js";
+import { createSimulator, journalLine, matchTopic } from "../simulator.js";
+import { createFakeClock } from "../selftest.js";
+
+// Just enough broker for the clients: CONNACK (users in `logins`), SUBACK, QoS 0/1 routing, DISCONNECT
+function fakeBroker({ logins = null } = {}) {
+  const sockets = new Set(); const log = [];
+  const route = (topic, payload, properties) => {
+    for (const s of sockets) if (s.subs.some((f) => matchTopic(f, topic))) s.reply({ type: PACKET.PUBLISH, topic, payload, qos: 0, properties });
+  };
+  class FakeWebSocket {
+    constructor(url, protocols) {
+      this.url = url; this.protocols = protocols; this.readyState = 0; this.subs = []; this.protocol = 4;
+      if (!url.startsWith("ws://lab:")) { Promise.resolve().then(() => { this.onerror?.(); this.onclose?.(); }); return; }
+      sockets.add(this);
+      Promise.resolve().then(() => { this.readyState = 1; this.onopen?.(); });
+    }
+    reply(packet) { Promise.resolve().then(() => this.readyState === 1 && this.onmessage?.({ data: encodePacket(packet, this.protocol).buffer })); }
+    send(bytes) {
+      for (const raw of splitPackets(bytes).packets) {
+        const p = decodePacket(raw, this.protocol);
+        log.push(packetLabel(p));
+        if (p.type === PACKET.CONNECT) {
+          this.protocol = p.protocol; this.clientId = p.clientId;
+          const ok = !logins || logins[p.username] === p.password;
+          this.reply({ type: PACKET.CONNACK, returnCode: ok ? 0 : p.protocol === 5 ? 0x87 : 5 });
+        } else if (p.type === PACKET.SUBSCRIBE) {
+          this.subs.push(...p.subscriptions.map((s) => s.topic));
+          this.reply({ type: PACKET.SUBACK, packetId: p.packetId, granted: p.subscriptions.map((s) => (s.topic.startsWith("secret") ? 0x80 : s.qos)) });
+        } else if (p.type === PACKET.PUBLISH) {
+          if (p.qos === 1) this.reply({ type: PACKET.PUBACK, packetId: p.packetId });
+          route(p.topic, p.payload, p.properties);
+        } else if (p.type === PACKET.DISCONNECT) this.close();
+      }
+    }
+    close() { if (this.readyState === 3) return; this.readyState = 3; sockets.delete(this); Promise.resolve().then(() => this.onclose?.()); }
+  }
+  return { FakeWebSocket, sockets, log, publish: route, drop: () => [...sockets].forEach((s) => s.close()) };
+}
+function packetLabel(p) {
+  const name = Object.keys(PACKET).find((k) => PACKET[k] === p.type);
+  return p.type === PACKET.CONNECT ? `${name} ${p.clientId}` : p.type === PACKET.PUBLISH ? `${name} ${p.topic}` : name;
+}
+
+async function liveLab(options) {
+  const broker = fakeBroker(options);
+  const clock = createFakeClock();
+  const sim = createSimulator({ clock, WebSocket: broker.FakeWebSocket });
+  const shell = sim.openShell({ id: "t" });
+  const run = async (cmd, ms = 0) => { const from = shell.lines.length; shell.submit(cmd); await clock.advance(ms); return shell.lines.slice(from); };
+  sim.liveConnect({ url: "ws://lab:9001", clientId: "trainee" });
+  await clock.advance(0);
+  return { broker, clock, sim, shell, run };
+}
+
+test("packets survive an encode / decode round trip", () => {
+  const packets = [
+    [{ type: PACKET.CONNECT, clientId: "c1", username: "u", password: "p", keepalive: 30, clean: true, properties: {} }, 4],
+    [{ type: PACKET.CONNECT, clientId: "plc", keepalive: 10, clean: false, will: { properties: { willDelay: 5 }, topic: "line/status", payload: "OFFLINE", qos: 1, retain: true }, properties: {} }, 5],
+    [{ type: PACKET.PUBLISH, topic: "a/b", payload: "héllo", qos: 1, packetId: 7, retain: true, properties: { responseTopic: "r/1", userProperties: [["k", "v"]] } }, 5],
+    [{ type: PACKET.SUBSCRIBE, packetId: 3, subscriptions: [{ topic: "a/#", qos: 2 }, { topic: "b", qos: 0 }], properties: {} }, 4],
+    [{ type: PACKET.SUBACK, packetId: 3, granted: [2, 0x80], properties: {} }, 5],
+  ];
+  for (const [packet, protocol] of packets) {
+    const decoded = decodePacket(encodePacket(packet, protocol), protocol);
+    for (const [key, value] of Object.entries(packet)) {
+      if (key === "payload") assert.equal(new TextDecoder().decode(decoded.payload), value);
+      else if (key !== "properties" || protocol === 5) assert.deepEqual(decoded[key], value, `${packetLabel(packet)} ${key}`);
+    }
+  }
+});
+
+test("a stream is split into whole packets, keeping a partial one for later", () => {
+  const a = encodePacket({ type: PACKET.PINGRESP }); const b = encodePacket({ type: PACKET.PUBLISH, topic: "t", payload: "x".repeat(200) });
+  const joined = new Uint8Array([...a, ...b.slice(0, 10)]);
+  const { packets, rest } = splitPackets(joined);
+  assert.equal(packets.length, 1);
+  assert.deepEqual([...rest], [...b.slice(0, 10)]);
+});
+
+test("live mode: mosquitto_sub and mosquitto_pub go through the real connection", async () => {
+  const { broker, sim, run } = await liveLab();
+  const received = sim.broker.stats.received; // the PLC's birth message
+  try {
+    assert.equal(sim.live.state, "connected");
+    await run("mosquitto_sub -t lab/# -v &");
+    assert.deepEqual(await run("mosquitto_pub -t lab/x -m hi -q 1"), ["$ mosquitto_pub -t lab/x -m hi -q 1", "lab/x hi"]);
+    assert.deepEqual(broker.log.filter((l) => l.startsWith("CONNECT")), ["CONNECT trainee", "CONNECT trainee-2301", "CONNECT trainee-2302"]);
+    assert.equal(sim.broker.stats.received, received, "the simulated broker saw nothing");
+  } finally { sim.dispose(); }
+});
+
+test("live mode: the broker's refusals and debug output use the clients' wording", async () => {
+  const { sim, run } = await liveLab({ logins: { plc1: "pw" } });
+  try {
+    assert.deepEqual((await run("mosquitto_pub -t a -m 1 -u plc1 -P nope")).slice(1), ["Connection error: Connection Refused: not authorised."]);
+    assert.deepEqual((await run("mosquitto_pub -t a -m 1 -u plc1 -P nope -V mqttv5")).slice(1), ["Connection error: Not authorized"]);
+    assert.deepEqual((await run("mosquitto_sub -t secret/x -u plc1 -P pw -i me -d")).slice(1), [
+      "Client me sending CONNECT", "Client me received CONNACK (0)",
+      "Client me sending SUBSCRIBE (Mid: 1, Topic: secret/x, QoS: 0, Options: 0x00)",
+      "Client me received SUBACK", "Subscribed (mid: 1): 128", "All subscription requests were denied.",
+      "Client me sending DISCONNECT",
+    ]);
+  } finally { sim.dispose(); }
+});
+
+test("live mode: connection state, lost connections and switching back", async () => {
+  const { broker, clock, sim, shell, run } = await liveLab();
+  const received = sim.broker.stats.received;
+  try {
+    await run("mosquitto_sub -t lab/# &");
+    broker.drop();
+    await clock.advance(0);
+    assert.equal(sim.live.state, "disconnected");
+    assert.ok(shell.lines.includes("Error: The connection was lost."));
+    await clock.advance(5000);
+    assert.equal(sim.live.state, "connected", "the monitor reconnects");
+    sim.liveDisconnect();
+    assert.equal(sim.live.state, "off");
+    assert.deepEqual(await run("mosquitto_pub -t lab/x -m 1"), ["$ mosquitto_pub -t lab/x -m 1"]);
+    assert.equal(sim.broker.stats.received, received + 1, "back on the simulator");
+    sim.liveConnect({ url: "ws://nowhere:9001" });
+    await clock.advance(0);
+    assert.equal(sim.live.state, "disconnected");
+    assert.deepEqual((await run("mosquitto_pub -t lab/x -m 1")).slice(1), ["Error: Connection refused"]);
+  } finally { sim.dispose(); }
+});
+
+test("live mode: journalctl -u mosquitto -f follows the broker's $SYS/broker/log topics", async () => {
+  const { broker, clock, sim, shell, run } = await liveLab();
+  try {
+    assert.deepEqual((await run("journalctl -u mosquitto -f &")).slice(-1), ["-- Live broker log from ws://lab:9001 ($SYS/broker/log/#, needs 'log_dest topic') -- (CTRL+C to stop)"]);
+    broker.publish("$SYS/broker/log/N", "1760000000: New client connected from 10.0.0.7:51234 as plc1 (p2, c1, k60).");
+    broker.publish("$SYS/broker/log/I", "no timestamp");
+    await clock.advance(0);
+    assert.deepEqual(sim.live.log.map((e) => `${e.host} ${e.ident}: ${e.text}`), [
+      "lab mosquitto: New client connected from 10.0.0.7:51234 as plc1 (p2, c1, k60).", "lab mosquitto: no timestamp",
+    ]);
+    assert.equal(sim.live.log[0].ts.getTime(), 1760000000 * 1000);
+    assert.ok(shell.lines.includes(journalLine(sim.live.log[1])));
+  } finally { sim.dispose(); }
+});
@@ -0,0 +1,11 @@
+// Runs the simulator self-tests (../selftest.js) under node:test for CI
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SELF_TESTS, runSelfTest } from "../selftest.js";
+
+for (const t of SELF_TESTS) {
+  test(t.name, async () => {
+    const { failures } = await runSelfTest(t);
+    assert.ok(failures.length === 0, failures.map((f) => [f.label ?? "expected (-) / actual (+)", ...f.diff].join("\n")).join("\n\n"));
+  });
+}